@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * lexicalgem-words - Word pack maintenance CLI
+ * Run `lexicalgem-words --help` for the list of commands
+ */
+
+const path = require('path');
+const config = require('../config');
+const WordsCli = require('../src/cli/WordsCli');
+
+const cli = new WordsCli({
+    wordsDir: path.join(__dirname, '..', 'src'),
+    defaultPack: config.words.defaultPack
+});
+
+cli.run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -8,9 +8,139 @@ module.exports = {
     // Your Telegram bot token from @BotFather (loaded from .env)
     botToken: process.env.BOT_TOKEN_CODE || 'YOUR_BOT_TOKEN_HERE',
     
-    // Bot configuration options
+    // Bot configuration options (polling is started by BotManager per transport)
     botOptions: {
-        polling: true
+        polling: false
+    },
+    
+    // How updates reach the bot: 'polling' or 'webhook' (Telegram), 'console'
+    // (local REPL) or 'memory' (in-process fake for tests)
+    transport: {
+        mode: process.env.BOT_MODE || (process.env.WEBHOOK_URL ? 'webhook' : 'polling'),
+        // Webhooks need a public URL, so development always falls back to polling
+        pollingInDevelopment: true,
+        webhook: {
+            // Public HTTPS base URL Telegram can reach (e.g. https://bot.example.com)
+            url: process.env.WEBHOOK_URL,
+            path: process.env.WEBHOOK_PATH || '/telegram/webhook',
+            host: process.env.WEBHOOK_HOST || '0.0.0.0',
+            port: parseInt(process.env.WEBHOOK_PORT, 10) || 8443,
+            secretToken: process.env.WEBHOOK_SECRET_TOKEN,
+            // Serve HTTPS directly when both are set, otherwise plain HTTP behind a proxy
+            certPath: process.env.WEBHOOK_CERT_PATH,
+            keyPath: process.env.WEBHOOK_KEY_PATH,
+            deleteOnStop: process.env.WEBHOOK_DELETE_ON_STOP !== 'false'
+        },
+        // User typing at the console prompt (switch users with .user)
+        console: {
+            userId: parseInt(process.env.CONSOLE_USER_ID, 10) || 1001,
+            username: process.env.CONSOLE_USERNAME || 'console',
+            language: process.env.CONSOLE_LANGUAGE || 'en'
+        }
+    },
+    
+    // Logging (LOG_LEVEL takes precedence over DEBUG=true)
+    logging: {
+        level: process.env.LOG_LEVEL || (process.env.DEBUG === 'true' ? 'debug' : 'info'),
+        // 'pretty' (colored lines) or 'json' (one object per line)
+        format: process.env.LOG_FORMAT || 'pretty',
+        // Mask bot tokens, secrets and usernames/names in log entries
+        redact: process.env.LOG_REDACT !== 'false',
+        console: process.env.LOG_CONSOLE !== 'false',
+        // Optional log file, rotated daily and when it would exceed maxSize
+        file: {
+            enabled: Boolean(process.env.LOG_FILE),
+            path: process.env.LOG_FILE || 'logs/lexicalgem.log',
+            format: process.env.LOG_FILE_FORMAT || 'json',
+            maxSize: (parseInt(process.env.LOG_FILE_MAX_SIZE_MB, 10) || 10) * 1024 * 1024,
+            daily: process.env.LOG_FILE_ROTATE_DAILY !== 'false',
+            maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES, 10) || 7
+        }
+    },
+    
+    // Word packs (src/words.<pack>.json)
+    words: {
+        // Pack used by users who haven't picked any with /pack
+        defaultPack: process.env.DEFAULT_WORD_PACK || 'en',
+        // Reload the pack files automatically when they change
+        watch: process.env.WORDS_WATCH !== 'false',
+        watchDebounce: 500
+    },
+    
+    // Telegram user IDs allowed to use /admin (comma-separated in ADMIN_IDS)
+    admin: {
+        ids: (process.env.ADMIN_IDS || '')
+            .split(',')
+            .map(id => parseInt(id.trim(), 10))
+            .filter(Number.isInteger)
+    },
+    
+    // Token-bucket rate limits for commands, per user and per group chat.
+    // A bucket holds `capacity` commands and refills `refillPerMinute` of them;
+    // commands without their own limits share one bucket.
+    rateLimit: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        // Limited users are told to slow down at most once per window
+        noticeWindow: 60 * 1000,
+        default: {
+            user: { capacity: 10, refillPerMinute: 20 },
+            chat: { capacity: 20, refillPerMinute: 40 }
+        },
+        commands: {
+            // Commands that draw words from the cycle
+            '/word': {
+                user: { capacity: 5, refillPerMinute: 6 },
+                chat: { capacity: 8, refillPerMinute: 10 }
+            },
+            '/random': {
+                user: { capacity: 5, refillPerMinute: 6 },
+                chat: { capacity: 8, refillPerMinute: 10 }
+            },
+            '/quiz': {
+                user: { capacity: 5, refillPerMinute: 10 }
+            },
+            // Sends a file each time
+            '/export': {
+                user: { capacity: 3, refillPerMinute: 2 }
+            },
+            // Each suggestion notifies every admin
+            '/suggest': {
+                user: { capacity: 2, refillPerMinute: 1 }
+            }
+        }
+    },
+    
+    // Optional HTTP server for /metrics (Prometheus), /healthz and /readyz
+    monitoring: {
+        enabled: process.env.MONITORING_ENABLED === 'true',
+        host: process.env.MONITORING_HOST || '0.0.0.0',
+        port: parseInt(process.env.MONITORING_PORT, 10) || 9091
+    },
+    
+    // Persistent storage for user progress
+    storage: {
+        // 'file' keeps state in a JSON file, 'memory' discards it on exit
+        driver: process.env.STORAGE_DRIVER || 'file',
+        path: process.env.STORAGE_PATH || 'data/state.json',
+        flushInterval: parseInt(process.env.STORAGE_FLUSH_INTERVAL_MS, 10) || 60 * 1000
+    },
+    
+    // Scheduled daily word delivery (/subscribe)
+    subscriptions: {
+        defaultTime: process.env.DEFAULT_DELIVERY_TIME || '09:00',
+        defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+        checkInterval: 30 * 1000
+    },
+    
+    // Word suggestions (/suggest), reviewed by the admins in ADMIN_IDS
+    suggestions: {
+        // Pending suggestions a user may have at once
+        maxPendingPerUser: parseInt(process.env.SUGGESTIONS_MAX_PENDING, 10) || 3
+    },
+    
+    // Word of the day (one word per calendar day in this time zone)
+    wordOfTheDay: {
+        timezone: process.env.WORD_OF_THE_DAY_TIMEZONE || process.env.DEFAULT_TIMEZONE || 'UTC'
     },
     
     // Bot information
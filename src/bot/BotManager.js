@@ -1,17 +1,40 @@
-const TelegramBot = require('node-telegram-bot-api');
 const Logger = require('../utils/Logger');
 const Validator = require('../utils/Validator');
 const Constants = require('../utils/Constants');
 const CommandHandler = require('./CommandHandler');
+const MonitoringServer = require('./MonitoringServer');
 const WordService = require('../services/WordService');
+const UserService = require('../services/UserService');
+const QuizService = require('../services/QuizService');
+const RateLimitService = require('../services/RateLimitService');
+const MetricsService = require('../services/MetricsService');
+const SubscriptionService = require('../services/SubscriptionService');
+const SuggestionService = require('../services/SuggestionService');
+const ChatService = require('../services/ChatService');
+const WordOfTheDayService = require('../services/WordOfTheDayService');
+const StorageFactory = require('../storage/StorageFactory');
+const TransportFactory = require('../transports/TransportFactory');
 
 class BotManager {
     constructor(config) {
         this.config = config;
         this.bot = null;
+        this.storage = null;
         this.wordService = null;
+        this.userService = null;
+        this.quizService = null;
+        this.rateLimitService = null;
+        this.metricsService = null;
+        this.subscriptionService = null;
+        this.suggestionService = null;
+        this.chatService = null;
+        this.wordOfTheDayService = null;
         this.commandHandler = null;
+        this.monitoringServer = null;
+        this.transportMode = null;
+        this.persistTimer = null;
         this.isInitialized = false;
+        this.isStarted = false;
         this.isShuttingDown = false;
         
         this.stats = {
@@ -60,6 +83,16 @@ class BotManager {
      * @returns {boolean} - Validation result
      */
     validateConfig() {
+        this.transportMode = this.resolveTransportMode();
+
+        // Local transports never talk to Telegram, so no token is needed
+        if (TransportFactory.isLocal(this.transportMode)) {
+            Logger.info('Using a local transport, Telegram will not be contacted', {
+                mode: this.transportMode
+            });
+            return true;
+        }
+
         const envValidation = Validator.validateEnvironment(process.env);
         
         if (!envValidation.valid) {
@@ -81,10 +114,46 @@ class BotManager {
             return false;
         }
 
+        if (this.transportMode === 'webhook') {
+            const webhookValidation = Validator.validateWebhookConfig(this.config.transport.webhook);
+
+            if (!webhookValidation.valid) {
+                Logger.error('Webhook configuration is invalid', {
+                    errors: webhookValidation.errors
+                });
+                return false;
+            }
+
+            if (!this.config.transport.webhook.secretToken) {
+                Logger.warn('WEBHOOK_SECRET_TOKEN is not set, webhook requests will not be authenticated');
+            }
+        }
+
         Logger.success(Constants.MESSAGES.TOKEN_SUCCESS);
         return true;
     }
 
+    /**
+     * Decide how updates are received
+     * @returns {string} - 'polling', 'webhook', 'console' or 'memory'
+     */
+    resolveTransportMode() {
+        const transport = this.config.transport || {};
+        const mode = transport.mode || 'polling';
+
+        if (!TransportFactory.MODES.includes(mode)) {
+            Logger.warn(`Unknown BOT_MODE "${mode}", using polling`);
+            return 'polling';
+        }
+
+        if (mode === 'webhook' && transport.pollingInDevelopment && process.env.NODE_ENV === 'development') {
+            Logger.info('Development mode: using polling instead of webhook');
+            return 'polling';
+        }
+
+        return mode;
+    }
+
     /**
      * Initialize services
      * @returns {Promise<void>}
@@ -92,30 +161,75 @@ class BotManager {
     async initializeServices() {
         Logger.info('Initializing services...');
         
+        // Open persistent storage and restore user state
+        this.storage = StorageFactory.create(this.config.storage);
+        await this.storage.open();
+
+        this.userService = new UserService(this.storage);
+        await this.userService.load();
+
         // Initialize word service
-        this.wordService = new WordService();
+        this.wordService = new WordService(this.storage, {
+            defaultPack: this.config.words?.defaultPack,
+            watchDebounce: this.config.words?.watchDebounce
+        });
         const wordServiceReady = await this.wordService.initialize();
         
         if (!wordServiceReady) {
             throw new Error('Failed to initialize WordService');
         }
+
+        await this.wordService.load();
+
+        this.quizService = new QuizService();
+        this.rateLimitService = new RateLimitService(this.config.rateLimit);
+        this.metricsService = new MetricsService();
+        this.metricsService.addCollector(metrics => this.collectMetrics(metrics));
+
+        this.wordOfTheDayService = new WordOfTheDayService(this.storage, {
+            ...this.config.wordOfTheDay,
+            defaultPack: this.config.words?.defaultPack
+        });
+        await this.wordOfTheDayService.load();
+
+        this.subscriptionService = new SubscriptionService(this.storage, this.config.subscriptions);
+        await this.subscriptionService.load();
+
+        this.suggestionService = new SuggestionService(this.storage, this.config.suggestions);
+        await this.suggestionService.load();
+
+        this.chatService = new ChatService(this.storage);
+        await this.chatService.load();
         
         Logger.success('Services initialized successfully');
     }
 
     /**
-     * Initialize Telegram bot
+     * Initialize the transport the bot talks through
      * @returns {Promise<void>}
      */
     async initializeBot() {
-        Logger.info('Initializing Telegram bot...');
+        Logger.info('Initializing transport...', { mode: this.transportMode });
         
-        this.bot = new TelegramBot(this.config.botToken, this.config.botOptions);
+        this.bot = TransportFactory.create(this.transportMode, this.config);
         
         // Initialize command handler
-        this.commandHandler = new CommandHandler(this.bot, this.wordService);
+        this.commandHandler = new CommandHandler(this.bot, {
+            wordService: this.wordService,
+            userService: this.userService,
+            quizService: this.quizService,
+            rateLimitService: this.rateLimitService,
+            metricsService: this.metricsService,
+            subscriptionService: this.subscriptionService,
+            suggestionService: this.suggestionService,
+            chatService: this.chatService,
+            wordOfTheDayService: this.wordOfTheDayService
+        }, {
+            adminIds: this.config.admin?.ids,
+            botManager: this
+        });
         
-        Logger.success('Telegram bot initialized successfully');
+        Logger.success('Transport initialized successfully');
     }
 
     /**
@@ -127,12 +241,44 @@ class BotManager {
             try {
                 await this.handleMessage(msg);
             } catch (error) {
-                Logger.error('Error handling message', { 
+                Logger.child({ userId: msg.from?.id, chatId: msg.chat?.id }).error('Error handling message', {
+                    error: error.message
+                });
+                this.recordError('message');
+            }
+        });
+
+        // Handle inline keyboard button presses
+        this.bot.on('callback_query', async (query) => {
+            if (this.isShuttingDown) {
+                return;
+            }
+
+            try {
+                await this.commandHandler.handleCallbackQuery(query);
+            } catch (error) {
+                Logger.error('Error handling callback query', { 
                     error: error.message,
-                    userId: msg.from?.id,
-                    chatId: msg.chat?.id 
+                    userId: query.from?.id
                 });
-                this.stats.errors++;
+                this.recordError('callback_query');
+            }
+        });
+
+        // Handle inline mode queries
+        this.bot.on('inline_query', async (query) => {
+            if (this.isShuttingDown) {
+                return;
+            }
+
+            try {
+                await this.commandHandler.handleInlineQuery(query);
+            } catch (error) {
+                Logger.error('Error handling inline query', { 
+                    error: error.message,
+                    userId: query.from?.id
+                });
+                this.recordError('inline_query');
             }
         });
 
@@ -147,19 +293,19 @@ class BotManager {
                 Logger.info(Constants.LOGS.CONNECTION_RESET);
             }
             
-            this.stats.errors++;
+            this.recordError('polling');
         });
 
         // Handle bot errors
         this.bot.on('error', (error) => {
             Logger.error('Bot error', { error: error.message });
-            this.stats.errors++;
+            this.recordError('bot');
         });
 
         // Handle webhook errors
         this.bot.on('webhook_error', (error) => {
             Logger.error('Webhook error', { error: error.message });
-            this.stats.errors++;
+            this.recordError('webhook');
         });
     }
 
@@ -173,12 +319,21 @@ class BotManager {
         }
 
         this.stats.totalMessages++;
+        this.metricsService.recordMessage(msg.chat?.type);
+
+        // Anyone who writes in a group shows up on its leaderboard
+        this.chatService.recordMember(msg.chat, msg.from);
 
         // Check if it's a command
         const isCommand = Object.values(Constants.COMMANDS).some(cmd => 
             msg.text.startsWith(cmd)
         );
 
+        // Group conversations aren't meant for the bot, only commands are answered there
+        if (ChatService.isGroupChat(msg.chat) && !msg.text.startsWith('/')) {
+            return;
+        }
+
         if (!isCommand) {
             // Handle unknown command
             await this.commandHandler.handleUnknownCommand(msg);
@@ -200,6 +355,23 @@ class BotManager {
             Logger.info(Constants.LOGS.COMMANDS_AVAILABLE);
             Logger.info(Constants.LOGS.USING_ENV);
 
+            await this.bot.start();
+
+            if (this.config.words?.watch) {
+                this.wordService.watchWords();
+            }
+
+            this.startPersistence();
+            this.subscriptionService.start(
+                subscription => this.commandHandler.deliverSubscription(subscription)
+            );
+
+            if (this.config.monitoring?.enabled) {
+                await this.startMonitoring();
+            }
+
+            this.isStarted = true;
+
             // Log initial stats
             setTimeout(() => {
                 const stats = this.wordService.getStats();
@@ -230,7 +402,28 @@ class BotManager {
             Logger.info(Constants.LOGS.SHUTDOWN_GRACEFUL);
             
             if (this.bot) {
-                await this.bot.stopPolling();
+                await this.bot.stop();
+            }
+
+            if (this.subscriptionService) {
+                this.subscriptionService.stop();
+            }
+
+            if (this.wordService) {
+                this.wordService.unwatchWords();
+            }
+
+            this.stopPersistence();
+            await this.persistState();
+
+            if (this.storage) {
+                await this.storage.close();
+            }
+
+            // Last, so health checks report the shutdown until the end
+            if (this.monitoringServer) {
+                await this.monitoringServer.stop();
+                this.monitoringServer = null;
             }
             
             Logger.success('Bot stopped successfully');
@@ -240,6 +433,115 @@ class BotManager {
         }
     }
 
+    /**
+     * Start the /metrics, /healthz and /readyz server
+     * @returns {Promise<void>}
+     */
+    async startMonitoring() {
+        this.monitoringServer = new MonitoringServer(this.config.monitoring, {
+            renderMetrics: () => this.metricsService.render(),
+            isHealthy: () => !this.isShuttingDown,
+            isReady: () => this.isStarted && this.isReady() && this.wordService.isReady()
+        });
+        await this.monitoringServer.start();
+    }
+
+    /**
+     * Update the gauges of the metrics registry
+     * @param {MetricsService} metrics - Metrics registry
+     */
+    collectMetrics(metrics) {
+        const now = Date.now();
+        const windows = { '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+        const users = Array.from(this.userService.getAllUsers().values());
+
+        Object.entries(windows).forEach(([window, duration]) => {
+            const active = users.filter(user => (
+                user.stats.lastUsed && now - new Date(user.stats.lastUsed).getTime() <= duration
+            )).length;
+            metrics.set('active_users', { window }, active);
+        });
+
+        metrics.set('known_users', {}, users.length);
+        this.wordService.getPacks().forEach(pack => {
+            metrics.set('words_loaded', { pack: pack.id }, pack.count);
+        });
+        metrics.set('subscriptions', {}, this.subscriptionService.getSubscriptionCount());
+        metrics.set('pending_suggestions', {}, this.suggestionService.getPendingCount());
+        metrics.set('group_chats', {}, this.chatService.getChatCount());
+        metrics.set('ready', {}, this.isStarted && this.isReady() ? 1 : 0);
+        metrics.set('uptime_seconds', {}, this.stats.startTime ? Math.floor((now - this.stats.startTime) / 1000) : 0);
+    }
+
+    /**
+     * Count an error in the stats and metrics
+     * @param {string} type - Where it happened
+     */
+    recordError(type) {
+        this.stats.errors++;
+
+        if (this.metricsService) {
+            this.metricsService.recordError(type);
+        }
+    }
+
+    /**
+     * Start periodic persistence of service state
+     */
+    startPersistence() {
+        const interval = this.config.storage?.flushInterval || 60 * 1000;
+
+        this.persistTimer = setInterval(() => {
+            this.persistState().catch(error => {
+                Logger.error('Periodic state flush failed', { error: error.message });
+                this.recordError('persistence');
+            });
+        }, interval);
+
+        // Do not keep the process alive just to flush state
+        this.persistTimer.unref();
+    }
+
+    /**
+     * Stop periodic persistence
+     */
+    stopPersistence() {
+        if (this.persistTimer) {
+            clearInterval(this.persistTimer);
+            this.persistTimer = null;
+        }
+    }
+
+    /**
+     * Persist the state of all stateful services
+     * @returns {Promise<void>}
+     */
+    async persistState() {
+        if (this.userService) {
+            await this.userService.save();
+        }
+
+        if (this.wordService) {
+            await this.wordService.save();
+        }
+
+        if (this.subscriptionService) {
+            await this.subscriptionService.save();
+        }
+
+        if (this.wordOfTheDayService) {
+            await this.wordOfTheDayService.save();
+        }
+
+        if (this.suggestionService) {
+            await this.suggestionService.save();
+        }
+
+        if (this.chatService) {
+            await this.chatService.save();
+        }
+    }
+
     /**
      * Get bot statistics
      * @returns {Object} - Bot statistics
@@ -250,6 +552,7 @@ class BotManager {
         return {
             isInitialized: this.isInitialized,
             isShuttingDown: this.isShuttingDown,
+            transport: this.transportMode,
             totalMessages: this.stats.totalMessages,
             errors: this.stats.errors,
             uptime,
@@ -297,7 +600,7 @@ class BotManager {
      * @returns {boolean} - Ready status
      */
     isReady() {
-        return this.isInitialized && !this.isShuttingDown && this.bot && this.wordService;
+        return Boolean(this.isInitialized && !this.isShuttingDown && this.bot && this.wordService);
     }
 }
 
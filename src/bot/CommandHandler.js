@@ -2,15 +2,47 @@ const Logger = require('../utils/Logger');
 const Constants = require('../utils/Constants');
 const Validator = require('../utils/Validator');
 const UserService = require('../services/UserService');
+const QuizService = require('../services/QuizService');
+const RateLimitService = require('../services/RateLimitService');
+const MetricsService = require('../services/MetricsService');
+const SuggestionService = require('../services/SuggestionService');
+const ChatService = require('../services/ChatService');
+const AchievementService = require('../services/AchievementService');
+const SpacedRepetition = require('../utils/SpacedRepetition');
+const DateUtils = require('../utils/DateUtils');
+const WordFormatter = require('../utils/WordFormatter');
+const WordExporter = require('../utils/WordExporter');
+const WordRef = require('../utils/WordRef');
+const I18n = require('../utils/I18n');
+
+const QUIZ_OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+const SEARCH_PAGE_SIZE = 5;
+const FAVORITES_PAGE_SIZE = 5;
+const INLINE_PAGE_SIZE = 20;
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_METRICS = ['words', 'quiz', 'streak'];
+const LEADERBOARD_MEDALS = ['🥇', '🥈', '🥉'];
 
 class CommandHandler {
-    constructor(bot, wordService) {
+    constructor(bot, services = {}, options = {}) {
         this.bot = bot;
-        this.wordService = wordService;
-        this.userService = new UserService();
+        this.botManager = options.botManager || null;
+        this.adminIds = new Set(options.adminIds || []);
+        this.wordService = services.wordService;
+        this.userService = services.userService || new UserService();
+        this.quizService = services.quizService || new QuizService();
+        this.rateLimitService = services.rateLimitService || new RateLimitService();
+        this.metricsService = services.metricsService || new MetricsService();
+        this.subscriptionService = services.subscriptionService;
+        this.wordOfTheDayService = services.wordOfTheDayService;
+        this.suggestionService = services.suggestionService || new SuggestionService();
+        this.chatService = services.chatService || new ChatService();
+        this.achievementService = services.achievementService || new AchievementService(this.userService, this.wordService);
         this.commands = new Map();
+        this.callbacks = new Map();
         
         this.initializeCommands();
+        this.initializeCallbacks();
     }
 
     /**
@@ -29,6 +61,87 @@ class CommandHandler {
         this.registerCommand(Constants.COMMANDS.RANDOM, this.handleRandom.bind(this));
         this.registerCommand(Constants.COMMANDS.DIFFICULTY, this.handleDifficulty.bind(this));
         this.registerCommand(Constants.COMMANDS.SHARE, this.handleShare.bind(this));
+        this.registerCommand(Constants.COMMANDS.REVIEW, this.handleReview.bind(this));
+        this.registerCommand(Constants.COMMANDS.QUIZ, this.handleQuiz.bind(this));
+        this.registerCommand(Constants.COMMANDS.SUBSCRIBE, this.handleSubscribe.bind(this));
+        this.registerCommand(Constants.COMMANDS.UNSUBSCRIBE, this.handleUnsubscribe.bind(this));
+        this.registerCommand(Constants.COMMANDS.CATEGORY, this.handleCategory.bind(this));
+        this.registerCommand(Constants.COMMANDS.DEFINE, this.handleDefine.bind(this));
+        this.registerCommand(Constants.COMMANDS.SEARCH, this.handleSearch.bind(this));
+        this.registerCommand(Constants.COMMANDS.LANGUAGE, this.handleLanguage.bind(this));
+        this.registerCommand(Constants.COMMANDS.PACK, this.handlePack.bind(this));
+        this.registerCommand(Constants.COMMANDS.EXPORT, this.handleExport.bind(this));
+        this.registerCommand(Constants.COMMANDS.FAVORITES, this.handleFavorites.bind(this));
+        this.registerCommand(Constants.COMMANDS.SUGGEST, this.handleSuggest.bind(this));
+        this.registerCommand(Constants.COMMANDS.SETTINGS, this.handleSettings.bind(this));
+        this.registerCommand(Constants.COMMANDS.LEADERBOARD, this.handleLeaderboard.bind(this));
+        this.registerCommand(Constants.COMMANDS.BADGES, this.handleBadges.bind(this));
+
+        // Admin commands
+        this.registerCommand(Constants.COMMANDS.ADMIN, this.handleAdmin.bind(this));
+    }
+
+    /**
+     * Initialize inline keyboard callback handlers
+     */
+    initializeCallbacks() {
+        this.registerCallback(Constants.CALLBACKS.REVIEW, this.handleReviewCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.QUIZ, this.handleQuizCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.CATEGORY, this.handleCategoryCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.DEFINE, this.handleDefineCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.SEARCH, this.handleSearchCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.LANGUAGE, this.handleLanguageCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.PACK, this.handlePackCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.EXPORT, this.handleExportCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.FAVORITE, this.handleFavoriteCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.SUGGESTION, this.handleSuggestionCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.SETTINGS, this.handleSettingsCallback.bind(this));
+        this.registerCallback(Constants.CALLBACKS.LEADERBOARD, this.handleLeaderboardCallback.bind(this));
+    }
+
+    /**
+     * Register an inline keyboard callback handler
+     * @param {string} prefix - Callback data prefix
+     * @param {Function} handler - Handler receiving the query and the data arguments
+     */
+    registerCallback(prefix, handler) {
+        this.callbacks.set(prefix, handler);
+    }
+
+    /**
+     * Dispatch an inline keyboard callback query
+     * Callback data has the form `prefix:arg1:arg2...`
+     * @param {Object} query - Telegram callback query object
+     */
+    async handleCallbackQuery(query) {
+        const [prefix, ...args] = (query.data || '').split(':');
+        const handler = this.callbacks.get(prefix);
+        const log = Logger.child({
+            userId: query.from?.id,
+            chatId: query.message?.chat?.id,
+            callback: prefix
+        });
+
+        if (!handler) {
+            log.warn(`No handler found for callback: ${prefix}`);
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        try {
+            await handler(query, args);
+        } catch (error) {
+            log.error(`Error handling callback ${prefix}`, { error: error.message });
+            this.metricsService.recordError('callback');
+
+            await this.bot.answerCallbackQuery(query.id, {
+                text: I18n.t(this.getLocale(query.from), 'ERROR_CALLBACK')
+            });
+            return;
+        }
+
+        // Buttons of inline messages have no chat, announce badges privately then
+        await this.checkAchievements(query.message?.chat?.id ?? query.from?.id, query.from);
     }
 
     /**
@@ -46,12 +159,11 @@ class CommandHandler {
             try {
                 await this.executeCommand(command, msg);
             } catch (error) {
-                Logger.error(`Error executing command ${command}`, { 
-                    error: error.message,
-                    userId: msg.from?.id,
-                    chatId: msg.chat?.id 
+                this.getCommandLogger(command, msg).error(`Error executing command ${command}`, {
+                    error: error.message
                 });
-                await this.handleError(msg.chat.id, error);
+                this.metricsService.recordError('command');
+                await this.handleError(msg.chat.id, error, this.getLocale(msg.from));
             }
         });
     }
@@ -68,20 +180,84 @@ class CommandHandler {
             return;
         }
 
+        if (!await this.checkRateLimit(command, msg)) {
+            this.metricsService.recordCommand(command, 'rate_limited');
+            return;
+        }
+
+        const log = this.getCommandLogger(command, msg);
         const startTime = Date.now();
-        Logger.debug(`Executing command: ${command}`, {
+        log.debug(`Executing command: ${command}`, { username: msg.from?.username });
+
+        try {
+            await handler(msg);
+        } catch (error) {
+            this.metricsService.recordCommand(command, 'error', (Date.now() - startTime) / 1000);
+            throw error;
+        }
+
+        const executionTime = Date.now() - startTime;
+        this.metricsService.recordCommand(command, 'ok', executionTime / 1000);
+        log.debug(`Command executed successfully`, {
+            executionTime: `${executionTime}ms`
+        });
+
+        await this.checkAchievements(msg.chat.id, msg.from);
+    }
+
+    /**
+     * Get a logger that tags entries with the user, chat and command of a message
+     * @param {string} command - Command name
+     * @param {Object} msg - Telegram message object
+     * @returns {Object} - Child logger
+     */
+    getCommandLogger(command, msg) {
+        return Logger.child({
             userId: msg.from?.id,
             chatId: msg.chat?.id,
-            username: msg.from?.username
+            command
         });
+    }
 
-        await handler(msg);
+    /**
+     * Apply the rate limit of a command
+     * Limited users are told to slow down at most once per window; admins are exempt
+     * @param {string} command - Command to execute
+     * @param {Object} msg - Telegram message object
+     * @returns {Promise<boolean>} - True if the command may run
+     */
+    async checkRateLimit(command, msg) {
+        const { chat, from } = msg;
 
-        const executionTime = Date.now() - startTime;
-        Logger.debug(`Command executed successfully`, {
-            command,
-            executionTime: `${executionTime}ms`
+        if (!from || this.isAdmin(from.id)) {
+            return true;
+        }
+
+        const result = this.rateLimitService.consume(command, from.id, chat?.id);
+        if (result.allowed) {
+            return true;
+        }
+
+        const log = this.getCommandLogger(command, msg);
+        const logContext = {
+            username: from.username,
+            scope: result.scope,
+            retryAfter: `${result.retryAfter}ms`
+        };
+
+        if (!result.notify) {
+            log.debug('Rate limited command dropped', logContext);
+            return false;
+        }
+
+        log.warn('Rate limit exceeded', { ...logContext, droppedSinceLastNotice: result.dropped });
+
+        await this.bot.sendMessage(chat.id, I18n.t(this.getLocale(from), 'RATE_LIMITED', {
+            seconds: Math.ceil(result.retryAfter / 1000)
+        }), { 
+            parse_mode: 'Markdown' 
         });
+        return false;
     }
 
     /**
@@ -97,6 +273,7 @@ class CommandHandler {
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
         
         Logger.bot('Start command executed', {
             userId: from.id,
@@ -104,7 +281,7 @@ class CommandHandler {
             chatId: chat.id
         });
 
-        await this.bot.sendMessage(chat.id, Constants.MESSAGES.WELCOME, { 
+        await this.bot.sendMessage(chat.id, I18n.t(locale, 'WELCOME'), { 
             parse_mode: 'Markdown' 
         });
     }
@@ -122,22 +299,22 @@ class CommandHandler {
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
 
         if (!this.wordService.isReady()) {
             Logger.warn('Word service not ready', { userId: from.id });
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.NO_WORDS_AVAILABLE, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'NO_WORDS_AVAILABLE'), { 
                 parse_mode: 'Markdown' 
             });
             return;
         }
 
-        const userPreferences = this.userService.getUserStats(from.id);
-        const preferredDifficulty = userPreferences?.difficulty || 'medium';
-        const randomWord = this.wordService.getRandomWord(preferredDifficulty);
+        const wordOptions = this.getWordOptions(from.id, chat.id);
+        const randomWord = this.wordService.getRandomWord(from.id, wordOptions);
         
         if (!randomWord) {
             Logger.error('Failed to get random word', { userId: from.id });
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.NO_WORDS_AVAILABLE, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'NO_WORDS_AVAILABLE'), { 
                 parse_mode: 'Markdown' 
             });
             return;
@@ -145,30 +322,108 @@ class CommandHandler {
 
         // Add to user history
         this.userService.addToHistory(from.id, randomWord);
+        this.metricsService.recordWordServed('word', randomWord);
 
-        const stats = this.wordService.getStats();
+        const cycle = this.wordService.getCycleProgress(from.id, { ...wordOptions, pack: randomWord.pack });
         const userStats = this.userService.getUserStats(from.id);
         
-        const wordMessage = `${randomWord.emoji} *${randomWord.word}* — ${randomWord.definition}
+        const progressLine = I18n.t(locale, 'WORD_PROGRESS', {
+            used: cycle.used,
+            total: cycle.total,
+            pool: this.formatPoolLabel(cycle, locale),
+            progress: cycle.progress
+        });
+        
+        const wordMessage = `${WordFormatter.formatWord(randomWord, locale)}
 
-📊 *Progress:* ${stats.usedWords}/${stats.totalWords} words discovered (${stats.cycleProgress}% complete)
-🔥 *Streak:* ${userStats.streak} days
+${progressLine}
+${I18n.t(locale, 'WORD_STREAK', { streak: userStats.streak })}
 
-💡 *Tip:* Use /history to see your discovered words!`;
+${I18n.t(locale, 'WORD_TIP')}`;
 
         Logger.bot('Word command executed', {
             userId: from.id,
             word: randomWord.word,
-            preferredDifficulty,
+            pack: randomWord.pack,
+            preferredDifficulty: wordOptions.difficulty,
+            categories: wordOptions.categories,
             selectedDifficulty: randomWord.difficulty,
-            progress: `${stats.usedWords}/${stats.totalWords}`
+            progress: `${cycle.used}/${cycle.total}`
         });
 
         await this.bot.sendMessage(chat.id, wordMessage, { 
-            parse_mode: 'Markdown' 
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSaveKeyboard([randomWord], locale)
         });
     }
 
+    /**
+     * Get the word selection options from a user's preferences
+     * In a group, the difficulty and pack set by the group's admins win
+     * @param {number} userId - User ID
+     * @param {number} chatId - Chat the word is for (optional)
+     * @returns {Object} - Options for WordService.getRandomWord
+     */
+    getWordOptions(userId, chatId = null) {
+        const userStats = this.userService.getUserStats(userId);
+        const settings = chatId ? this.chatService.getSettings(chatId) : {};
+
+        return {
+            packs: settings.pack ? [settings.pack] : userStats?.packs || [],
+            difficulty: settings.difficulty || userStats?.difficulty || 'medium',
+            categories: userStats?.categories || []
+        };
+    }
+
+    /**
+     * Resolve the locale for a Telegram user.
+     * Also remembers Telegram's language_code so scheduled messages
+     * (which have no sender) use the same language.
+     * @param {Object} user - Telegram user object (`msg.from`)
+     * @returns {string} - Supported locale
+     */
+    getLocale(user) {
+        if (!user || !Validator.isValidUserId(user.id)) {
+            return I18n.DEFAULT_LOCALE;
+        }
+
+        this.userService.updateLanguageCode(user.id, user.language_code);
+        return this.userService.getLocale(user.id);
+    }
+
+    /**
+     * Describe the pool a cycle belongs to (e.g. "Spanish · medium · nature, sound")
+     * The pack is only named when more than one pack is loaded
+     * @param {Object} cycle - Cycle progress from WordService.getCycleProgress
+     * @param {string} locale - Locale of the label
+     * @returns {string} - Pool label
+     */
+    formatPoolLabel(cycle, locale = I18n.DEFAULT_LOCALE) {
+        const parts = [I18n.t(locale, `DIFFICULTY_LABELS.${cycle.difficulty || 'all'}`)];
+
+        if (this.wordService.getPacks().length > 1) {
+            parts.unshift(I18n.getPackName(cycle.pack, locale));
+        }
+
+        if (cycle.categories.length > 0) {
+            parts.push(cycle.categories.join(', '));
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Get a user's progress through the cycle of each selected pack
+     * @param {number} userId - User ID
+     * @returns {Array} - Cycle progress per pack
+     */
+    getPackCycles(userId) {
+        const wordOptions = this.getWordOptions(userId);
+
+        return this.wordService.normalizePacks(wordOptions.packs)
+            .map(pack => this.wordService.getCycleProgress(userId, { ...wordOptions, pack }));
+    }
+
     /**
      * Handle /stats command
      * @param {Object} msg - Telegram message object
@@ -182,29 +437,45 @@ class CommandHandler {
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
         
         const stats = this.wordService.getStats();
+        const userStats = this.userService.getUserStats(from.id);
+        const cycles = this.getPackCycles(from.id);
+
+        const packLines = stats.packs.map(pack => I18n.t(locale, 'STATS_PACK', {
+            pack: I18n.getPackName(pack.id, locale),
+            count: pack.count,
+            seen: userStats.wordsByPack[pack.id] || 0
+        }));
+        const cycleLines = cycles.map(cycle => I18n.t(locale, 'STATS_CYCLE', {
+            pool: this.formatPoolLabel(cycle, locale),
+            used: cycle.used,
+            total: cycle.total,
+            remaining: cycle.remaining,
+            progress: cycle.progress
+        }));
+        const cycleComplete = cycles.every(cycle => cycle.remaining === 0);
         
-        const statsMessage = `📊 *LexicalGem Statistics*
-
-📚 *Word Collection:*
-• Total words: *${stats.totalWords}*
-• Words discovered: *${stats.usedWords}*
-• Remaining in cycle: *${stats.remainingWords}*
-• Cycle progress: *${stats.cycleProgress}%*
-
-🤖 *Bot Activity:*
-• Total requests: *${stats.totalRequests}*
-• Unique users: *${stats.uniqueUsers}*
-• Uptime: *${stats.uptime}*
-
-${stats.remainingWords === 0 ? '🔄 All words have been shown! Next /word will start a new cycle.' : '💡 Keep exploring to see all our linguistic gems!'}`;
+        const statsMessage = I18n.t(locale, 'STATS', {
+            totalWords: stats.totalWords,
+            packs: packLines.join('\n'),
+            cycles: cycleLines.join('\n'),
+            streak: userStats.streak,
+            quizAnswered: userStats.quiz.answered,
+            quizAccuracy: userStats.quiz.accuracy,
+            quizCorrect: userStats.quiz.correct,
+            totalRequests: stats.totalRequests,
+            uniqueUsers: stats.uniqueUsers,
+            uptime: stats.uptime,
+            footer: I18n.t(locale, cycleComplete ? 'STATS_CYCLE_COMPLETE' : 'STATS_KEEP_EXPLORING')
+        });
 
         Logger.bot('Stats command executed', {
             userId: from.id,
             stats: {
                 totalWords: stats.totalWords,
-                usedWords: stats.usedWords,
+                cycles: cycles.map(cycle => `${cycle.pool} ${cycle.used}/${cycle.total}`),
                 totalRequests: stats.totalRequests
             }
         });
@@ -227,13 +498,14 @@ ${stats.remainingWords === 0 ? '🔄 All words have been shown! Next /word will
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
         
         Logger.bot('Help command executed', {
             userId: from.id,
             username: from.username
         });
 
-        await this.bot.sendMessage(chat.id, Constants.MESSAGES.HELP, { 
+        await this.bot.sendMessage(chat.id, I18n.t(locale, 'HELP'), { 
             parse_mode: 'Markdown' 
         });
     }
@@ -251,36 +523,113 @@ ${stats.remainingWords === 0 ? '🔄 All words have been shown! Next /word will
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
 
         if (!this.wordService.isReady()) {
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.NO_WORDS_AVAILABLE, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'NO_WORDS_AVAILABLE'), { 
                 parse_mode: 'Markdown' 
             });
             return;
         }
 
-        const words = this.wordService.words;
-        const wordOfTheDay = this.userService.getWordOfTheDay(words);
-        
-        // Add to user history
-        this.userService.addToHistory(from.id, wordOfTheDay);
+        const today = this.wordOfTheDayService.getToday();
+        const dateArg = (msg.text.trim().split(/\s+/)[1] || 'today').toLowerCase();
+        let dateKey = dateArg;
+
+        if (dateArg === 'today') {
+            dateKey = today;
+        } else if (dateArg === 'yesterday') {
+            dateKey = DateUtils.addDays(today, -1);
+        } else if (!DateUtils.isValidDateKey(dateArg)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'WORD_OF_THE_DAY_USAGE'), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        if (dateKey > today) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'WORD_OF_THE_DAY_FUTURE', { date: dateKey }), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        let wordMessage;
+        let wordsOfTheDay;
+
+        if (dateKey === today) {
+            wordsOfTheDay = this.getWordsOfTheDay(from.id, chat.id);
+
+            // Add to user history
+            wordsOfTheDay.forEach(word => {
+                this.userService.addToHistory(from.id, word);
+                this.metricsService.recordWordServed('wordoftheday', word);
+            });
+
+            wordMessage = `${I18n.t(locale, 'WORD_OF_THE_DAY')}
 
-        const wordMessage = `${Constants.MESSAGES.WORD_OF_THE_DAY}
+${this.formatPackWords(wordsOfTheDay, locale)}
 
-${wordOfTheDay.emoji} *${wordOfTheDay.word}* — ${wordOfTheDay.definition}
+${I18n.t(locale, 'WORD_OF_THE_DAY_FOOTER')}`;
+        } else {
+            wordsOfTheDay = this.wordService.normalizePacks(this.getWordOptions(from.id, chat.id).packs)
+                .map(pack => this.wordOfTheDayService.getArchivedWord(dateKey, this.wordService.getWords([pack]), pack))
+                .filter(Boolean);
+
+            if (wordsOfTheDay.length === 0) {
+                await this.bot.sendMessage(chat.id, I18n.t(locale, 'WORD_OF_THE_DAY_NOT_FOUND', { date: dateKey }), { 
+                    parse_mode: 'Markdown' 
+                });
+                return;
+            }
 
-📅 *Today's special word for everyone!*`;
+            wordMessage = `${I18n.t(locale, 'WORD_OF_THE_DAY_ARCHIVE_TITLE', { date: dateKey })}
+
+${this.formatPackWords(wordsOfTheDay, locale)}`;
+        }
 
         Logger.bot('Word of the day command executed', {
             userId: from.id,
-            word: wordOfTheDay.word
+            date: dateKey,
+            words: wordsOfTheDay.map(word => word.word)
         });
 
         await this.bot.sendMessage(chat.id, wordMessage, { 
-            parse_mode: 'Markdown' 
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSaveKeyboard(wordsOfTheDay, locale)
         });
     }
 
+    /**
+     * Get today's word of each pack a user draws from
+     * @param {number} userId - User ID
+     * @param {number} chatId - Chat the words are for (optional, see getWordOptions)
+     * @returns {Array} - Words of the day
+     */
+    getWordsOfTheDay(userId, chatId = null) {
+        const now = new Date();
+
+        return this.wordService.normalizePacks(this.getWordOptions(userId, chatId).packs)
+            .map(pack => this.wordOfTheDayService.getWordOfTheDay(this.wordService.getWords([pack]), now, pack))
+            .filter(Boolean);
+    }
+
+    /**
+     * Format words from one or more packs, labelled by pack when there are several
+     * @param {Array} words - Word objects
+     * @param {string} locale - Locale of the message
+     * @returns {string} - Formatted words
+     */
+    formatPackWords(words, locale) {
+        if (words.length === 1) {
+            return WordFormatter.formatWord(words[0], locale);
+        }
+
+        return words
+            .map(word => `📦 _${I18n.getPackName(word.pack, locale)}_\n${WordFormatter.formatWord(word, locale)}`)
+            .join('\n\n');
+    }
+
     /**
      * Handle /history command
      * @param {Object} msg - Telegram message object
@@ -294,24 +643,25 @@ ${wordOfTheDay.emoji} *${wordOfTheDay.word}* — ${wordOfTheDay.definition}
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
 
         const history = this.userService.getHistory(from.id, 10);
         
         if (history.length === 0) {
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.NO_HISTORY, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'NO_HISTORY'), { 
                 parse_mode: 'Markdown' 
             });
             return;
         }
 
-        let historyMessage = `${Constants.MESSAGES.HISTORY_TITLE}\n\n`;
+        let historyMessage = `${I18n.t(locale, 'HISTORY_TITLE')}\n\n`;
         
         history.forEach((entry, index) => {
-            const date = new Date(entry.timestamp).toLocaleDateString();
+            const date = new Date(entry.timestamp).toLocaleDateString(locale);
             historyMessage += `${index + 1}. ${entry.emoji} *${entry.word}* (${date})\n`;
         });
 
-        historyMessage += `\n📊 *Total words discovered:* ${history.length}`;
+        historyMessage += `\n${I18n.t(locale, 'HISTORY_TOTAL', { count: history.length })}`;
 
         Logger.bot('History command executed', {
             userId: from.id,
@@ -338,25 +688,27 @@ ${wordOfTheDay.emoji} *${wordOfTheDay.word}* — ${wordOfTheDay.definition}
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
 
         if (!this.wordService.isReady()) {
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.NO_WORDS_AVAILABLE, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'NO_WORDS_AVAILABLE'), { 
                 parse_mode: 'Markdown' 
             });
             return;
         }
 
-        const words = this.wordService.words;
+        const words = this.wordService.getWords(this.getWordOptions(from.id, chat.id).packs);
         const randomWord = this.userService.getRandomWord(words);
         
         // Add to user history
         this.userService.addToHistory(from.id, randomWord);
+        this.metricsService.recordWordServed('random', randomWord);
 
-        const wordMessage = `${Constants.MESSAGES.RANDOM_WORD_TITLE}
+        const wordMessage = `${I18n.t(locale, 'RANDOM_WORD_TITLE')}
 
-${randomWord.emoji} *${randomWord.word}* — ${randomWord.definition}
+${WordFormatter.formatWord(randomWord, locale)}
 
-🎲 *Completely random selection (may repeat)*`;
+${I18n.t(locale, 'RANDOM_WORD_FOOTER')}`;
 
         Logger.bot('Random command executed', {
             userId: from.id,
@@ -364,7 +716,8 @@ ${randomWord.emoji} *${randomWord.word}* — ${randomWord.definition}
         });
 
         await this.bot.sendMessage(chat.id, wordMessage, { 
-            parse_mode: 'Markdown' 
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSaveKeyboard([randomWord], locale)
         });
     }
 
@@ -381,22 +734,17 @@ ${randomWord.emoji} *${randomWord.word}* — ${randomWord.definition}
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
 
         const validDifficulties = new Set(['easy', 'medium', 'hard']);
         const commandParts = msg.text.trim().toLowerCase().split(/\s+/);
         const difficulty = commandParts[1] || null;
 
         if (!difficulty) {
-            const helpMessage = `🎯 *Difficulty Settings*
-
-Current difficulty: *${this.userService.getUserStats(from.id).difficulty}*
-
-To change difficulty, use:
-/difficulty easy
-/difficulty medium  
-/difficulty hard
-
-💡 *Note:* Difficulty affects word selection preferences.`;
+            const currentDifficulty = this.userService.getUserStats(from.id).difficulty;
+            const helpMessage = I18n.t(locale, 'DIFFICULTY_SETTINGS', {
+                difficulty: I18n.t(locale, `DIFFICULTY_LABELS.${currentDifficulty}`)
+            });
 
             await this.bot.sendMessage(chat.id, helpMessage, { 
                 parse_mode: 'Markdown' 
@@ -405,7 +753,7 @@ To change difficulty, use:
         }
 
         if (!validDifficulties.has(difficulty)) {
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.INVALID_DIFFICULTY, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'INVALID_DIFFICULTY'), { 
                 parse_mode: 'Markdown' 
             });
             return;
@@ -414,11 +762,11 @@ To change difficulty, use:
         const success = this.userService.setDifficulty(from.id, difficulty);
         
         if (success) {
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.DIFFICULTY_CHANGED, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'DIFFICULTY_CHANGED'), { 
                 parse_mode: 'Markdown' 
             });
         } else {
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.INVALID_DIFFICULTY, { 
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'INVALID_DIFFICULTY'), { 
                 parse_mode: 'Markdown' 
             });
         }
@@ -430,107 +778,2752 @@ To change difficulty, use:
     }
 
     /**
-     * Handle /share command
+     * Handle /category command
      * @param {Object} msg - Telegram message object
      */
-    async handleShare(msg) {
+    async handleCategory(msg) {
         const { chat, from } = msg;
         
         if (!Validator.isValidUserId(from.id)) {
-            Logger.warn('Invalid user ID in share command', { userId: from.id });
+            Logger.warn('Invalid user ID in category command', { userId: from.id });
             return;
         }
 
         this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
 
-        // Get a random word to share
-        if (!this.wordService.isReady()) {
-            await this.bot.sendMessage(chat.id, Constants.MESSAGES.NO_WORDS_AVAILABLE, { 
-                parse_mode: 'Markdown' 
+        const category = (msg.text.trim().toLowerCase().split(/\s+/)[1] || '');
+
+        if (!category) {
+            await this.bot.sendMessage(chat.id, this.buildCategoryMessage(from.id, locale), { 
+                parse_mode: 'Markdown',
+                reply_markup: this.buildCategoryKeyboard(from.id, locale)
             });
             return;
         }
 
-        const words = this.wordService.words;
-        const shareWord = this.userService.getRandomWord(words);
+        let categories;
+        if (category === 'all' || category === 'clear') {
+            this.userService.setCategories(from.id, []);
+            categories = [];
+        } else {
+            const available = this.wordService.getCategories(this.userService.getPacks(from.id)).map(entry => entry.name);
+
+            if (!available.includes(category)) {
+                await this.bot.sendMessage(chat.id, I18n.t(locale, 'CATEGORY_UNKNOWN', {
+                    category: Validator.sanitizeString(category),
+                    categories: available.join(', ')
+                }), { 
+                    parse_mode: 'Markdown' 
+                });
+                return;
+            }
 
-        const shareMessage = `${Constants.MESSAGES.SHARE_MESSAGE}
+            categories = this.userService.toggleCategory(from.id, category);
+        }
 
-${shareWord.emoji} *${shareWord.word}* — ${shareWord.definition}
+        Logger.bot('Category command executed', {
+            userId: from.id,
+            categories
+        });
+
+        await this.bot.sendMessage(chat.id, I18n.t(locale, 'CATEGORY_UPDATED', {
+            categories: categories.length > 0 ? categories.join(', ') : I18n.t(locale, 'CATEGORY_ALL')
+        }), { 
+            parse_mode: 'Markdown' 
+        });
+    }
 
-🤖 *Shared via LexicalGem Bot*
-💎 *Learn a word you didn't know you needed!*`;
+    /**
+     * Handle category toggle buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (`toggle` and category, or `clear`)
+     */
+    async handleCategoryCallback(query, args) {
+        const { from, message } = query;
+        const [action, category] = args;
+        const locale = this.getLocale(from);
+
+        if (action === 'clear') {
+            this.userService.setCategories(from.id, []);
+        } else if (action === 'toggle' && this.wordService.getCategories(this.userService.getPacks(from.id)).some(entry => entry.name === category)) {
+            this.userService.toggleCategory(from.id, category);
+        } else {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
 
-        Logger.bot('Share command executed', {
+        const categories = this.userService.getCategories(from.id);
+
+        Logger.bot('Categories updated', {
             userId: from.id,
-            word: shareWord.word
+            categories
         });
 
-        await this.bot.sendMessage(chat.id, shareMessage, { 
-            parse_mode: 'Markdown' 
+        await this.bot.answerCallbackQuery(query.id, {
+            text: categories.length > 0 ? categories.join(', ') : I18n.t(locale, 'CATEGORY_ALL')
+        });
+
+        await this.bot.editMessageText(this.buildCategoryMessage(from.id, locale), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: this.buildCategoryKeyboard(from.id, locale)
         });
     }
 
     /**
-     * Handle unknown commands
+     * Build the category overview message
+     * @param {number} userId - User ID
+     * @param {string} locale - Locale of the message
+     * @returns {string} - Message text
+     */
+    buildCategoryMessage(userId, locale) {
+        const selected = this.userService.getCategories(userId);
+        const categoryLines = this.wordService.getCategories(this.userService.getPacks(userId))
+            .map(({ name, count }) => `${selected.includes(name) ? '✅' : '▫️'} ${name} (${count})`)
+            .join('\n');
+        const currentFilter = I18n.t(locale, 'CATEGORY_CURRENT', {
+            categories: selected.length > 0 ? selected.join(', ') : I18n.t(locale, 'CATEGORY_ALL')
+        });
+
+        return `${I18n.t(locale, 'CATEGORY_TITLE')}
+
+${currentFilter}
+
+${categoryLines}
+
+${I18n.t(locale, 'CATEGORY_PROMPT')}`;
+    }
+
+    /**
+     * Build the category toggle keyboard
+     * @param {number} userId - User ID
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildCategoryKeyboard(userId, locale) {
+        const selected = this.userService.getCategories(userId);
+        const buttons = this.wordService.getCategories(this.userService.getPacks(userId)).map(({ name }) => ({
+            text: `${selected.includes(name) ? '✅ ' : ''}${name}`,
+            callback_data: `${Constants.CALLBACKS.CATEGORY}:toggle:${name}`
+        }));
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 3) {
+            rows.push(buttons.slice(i, i + 3));
+        }
+
+        rows.push([{
+            text: I18n.t(locale, 'CATEGORY_CLEAR'),
+            callback_data: `${Constants.CALLBACKS.CATEGORY}:clear`
+        }]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Handle /define command
      * @param {Object} msg - Telegram message object
      */
-    async handleUnknownCommand(msg) {
+    async handleDefine(msg) {
         const { chat, from } = msg;
         
         if (!Validator.isValidUserId(from.id)) {
-            Logger.warn('Invalid user ID in unknown command', { userId: from.id });
+            Logger.warn('Invalid user ID in define command', { userId: from.id });
             return;
         }
 
         this.wordService.recordRequest(from.id);
-        
-        Logger.debug('Unknown command received', {
+        const locale = this.getLocale(from);
+
+        const query = Validator.sanitizeString(msg.text.replace(/^\/\S+/, ''));
+        if (!query) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'DEFINE_USAGE'), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        const word = this.wordService.findWord(query);
+
+        Logger.bot('Define command executed', {
             userId: from.id,
-            text: msg.text
+            query,
+            found: Boolean(word)
         });
 
-        await this.bot.sendMessage(chat.id, Constants.MESSAGES.UNKNOWN_COMMAND, { 
-            parse_mode: 'Markdown' 
+        if (word) {
+            await this.bot.sendMessage(chat.id, WordFormatter.formatWord(word, locale), { 
+                parse_mode: 'Markdown',
+                reply_markup: this.buildSaveKeyboard([word], locale)
+            });
+            return;
+        }
+
+        const suggestions = this.wordService.searchWords(query, { pageSize: 3 }).results;
+        let notFoundMessage = I18n.t(locale, 'DEFINE_NOT_FOUND', { word: this.formatQuery(query) });
+
+        if (suggestions.length > 0) {
+            notFoundMessage += `\n\n${I18n.t(locale, 'DEFINE_SUGGESTIONS', {
+                suggestions: suggestions.map(suggestion => suggestion.word).join(', ')
+            })}`;
+        }
+
+        await this.bot.sendMessage(chat.id, notFoundMessage, { 
+            parse_mode: 'Markdown',
+            reply_markup: suggestions.length > 0
+                ? { inline_keyboard: [this.buildDefineButtons(suggestions)] }
+                : undefined
         });
     }
 
     /**
-     * Handle errors in command execution
-     * @param {number} chatId - Chat ID
-     * @param {Error} error - Error object
+     * Handle /language command
+     * @param {Object} msg - Telegram message object
      */
-    async handleError(chatId, error) {
-        Logger.error('Command execution error', {
-            chatId,
-            error: error.message,
-            stack: error.stack
-        });
-
-        const errorMessage = '❌ An error occurred while processing your request. Please try again later.';
+    async handleLanguage(msg) {
+        const { chat, from } = msg;
         
-        try {
-            await this.bot.sendMessage(chatId, errorMessage, { 
-                parse_mode: 'Markdown' 
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in language command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const choice = (msg.text.trim().toLowerCase().split(/\s+/)[1] || '');
+
+        if (!choice) {
+            await this.bot.sendMessage(chat.id, this.buildLanguageMessage(from.id, locale), { 
+                parse_mode: 'Markdown',
+                reply_markup: this.buildLanguageKeyboard(from.id, locale)
             });
-        } catch (sendError) {
-            Logger.error('Failed to send error message', {
-                chatId,
-                error: sendError.message
+            return;
+        }
+
+        if (choice !== 'auto' && !I18n.isSupported(choice)) {
+            const languages = I18n.getSupportedLocales()
+                .map(code => `${code} (${I18n.getLanguageName(code)})`)
+                .join(', ');
+
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'LANGUAGE_UNKNOWN', {
+                language: Validator.sanitizeString(choice),
+                languages
+            }), { 
+                parse_mode: 'Markdown' 
             });
+            return;
         }
+
+        this.userService.setLanguage(from.id, choice === 'auto' ? null : choice);
+        const newLocale = this.userService.getLocale(from.id);
+
+        Logger.bot('Language command executed', {
+            userId: from.id,
+            language: choice,
+            locale: newLocale
+        });
+
+        await this.bot.sendMessage(chat.id, this.getLanguageUpdatedMessage(from.id, newLocale), { 
+            parse_mode: 'Markdown' 
+        });
     }
 
     /**
-     * Get command statistics
-     * @returns {Object} - Command statistics
+     * Handle language selection buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (locale or `auto`)
      */
-    getCommandStats() {
+    async handleLanguageCallback(query, args) {
+        const { from, message } = query;
+        const [choice] = args;
+
+        // Keep the language code current before resolving the automatic locale
+        this.getLocale(from);
+
+        if (choice !== 'auto' && !I18n.isSupported(choice)) {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        this.userService.setLanguage(from.id, choice === 'auto' ? null : choice);
+        const locale = this.userService.getLocale(from.id);
+
+        Logger.bot('Language updated', {
+            userId: from.id,
+            language: choice,
+            locale
+        });
+
+        await this.bot.answerCallbackQuery(query.id, {
+            text: I18n.getLanguageName(locale)
+        });
+
+        await this.bot.editMessageText(this.getLanguageUpdatedMessage(from.id, locale), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown'
+        });
+    }
+
+    /**
+     * Build the language overview message
+     * @param {number} userId - User ID
+     * @param {string} locale - Current locale
+     * @returns {string} - Message text
+     */
+    buildLanguageMessage(userId, locale) {
+        const currentKey = this.userService.getLanguage(userId) ? 'LANGUAGE_CURRENT' : 'LANGUAGE_CURRENT_AUTO';
+
+        return `${I18n.t(locale, 'LANGUAGE_TITLE')}
+
+${I18n.t(locale, currentKey, { language: I18n.getLanguageName(locale) })}
+
+${I18n.t(locale, 'LANGUAGE_PROMPT')}`;
+    }
+
+    /**
+     * Build the language selection keyboard
+     * @param {number} userId - User ID
+     * @param {string} locale - Current locale
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildLanguageKeyboard(userId, locale) {
+        const selected = this.userService.getLanguage(userId);
+        const buttons = I18n.getSupportedLocales().map(code => ({
+            text: `${selected === code ? '✅ ' : ''}${I18n.getLanguageName(code)}`,
+            callback_data: `${Constants.CALLBACKS.LANGUAGE}:${code}`
+        }));
+
+        return {
+            inline_keyboard: [
+                buttons,
+                [{
+                    text: `${selected ? '' : '✅ '}${I18n.t(locale, 'LANGUAGE_AUTO')}`,
+                    callback_data: `${Constants.CALLBACKS.LANGUAGE}:auto`
+                }]
+            ]
+        };
+    }
+
+    /**
+     * Confirm a language change in the new language
+     * @param {number} userId - User ID
+     * @param {string} locale - New locale
+     * @returns {string} - Message text
+     */
+    getLanguageUpdatedMessage(userId, locale) {
+        const key = this.userService.getLanguage(userId) ? 'LANGUAGE_UPDATED' : 'LANGUAGE_UPDATED_AUTO';
+        return I18n.t(locale, key, { language: I18n.getLanguageName(locale) });
+    }
+
+    /**
+     * Handle /pack command
+     * @param {Object} msg - Telegram message object
+     */
+    async handlePack(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in pack command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const pack = (msg.text.trim().toLowerCase().split(/\s+/)[1] || '');
+
+        if (!pack) {
+            await this.bot.sendMessage(chat.id, this.buildPackMessage(from.id, locale), { 
+                parse_mode: 'Markdown',
+                reply_markup: this.buildPackKeyboard(from.id, locale)
+            });
+            return;
+        }
+
+        if (pack === 'default') {
+            this.userService.setPacks(from.id, []);
+        } else if (this.wordService.hasPack(pack)) {
+            this.togglePack(from.id, pack);
+        } else {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'PACK_UNKNOWN', {
+                pack: Validator.sanitizeString(pack),
+                packs: this.wordService.getPacks().map(entry => entry.id).join(', ')
+            }), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        const packs = this.wordService.normalizePacks(this.userService.getPacks(from.id));
+
+        Logger.bot('Pack command executed', {
+            userId: from.id,
+            packs
+        });
+
+        await this.bot.sendMessage(chat.id, I18n.t(locale, 'PACK_UPDATED', {
+            packs: this.formatPackNames(packs, locale)
+        }), { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Handle pack toggle buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (`toggle` and pack, or `default`)
+     */
+    async handlePackCallback(query, args) {
+        const { from, message } = query;
+        const [action, pack] = args;
+        const locale = this.getLocale(from);
+
+        if (action === 'default') {
+            this.userService.setPacks(from.id, []);
+        } else if (action === 'toggle' && this.wordService.hasPack(pack)) {
+            this.togglePack(from.id, pack);
+        } else {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        const packs = this.wordService.normalizePacks(this.userService.getPacks(from.id));
+
+        Logger.bot('Packs updated', {
+            userId: from.id,
+            packs
+        });
+
+        await this.bot.answerCallbackQuery(query.id, {
+            text: this.formatPackNames(packs, locale)
+        });
+
+        await this.bot.editMessageText(this.buildPackMessage(from.id, locale), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: this.buildPackKeyboard(from.id, locale)
+        });
+    }
+
+    /**
+     * Add or remove a pack from the packs a user draws from
+     * @param {number} userId - User ID
+     * @param {string} pack - Pack ID
+     * @returns {Array} - Updated packs
+     */
+    togglePack(userId, pack) {
+        const current = this.wordService.normalizePacks(this.userService.getPacks(userId));
+        return this.userService.togglePack(userId, pack, current);
+    }
+
+    /**
+     * Join the display names of some packs
+     * @param {Array} packs - Pack IDs
+     * @param {string} locale - Locale of the names
+     * @returns {string} - Pack names
+     */
+    formatPackNames(packs, locale) {
+        return packs.map(pack => I18n.getPackName(pack, locale)).join(', ');
+    }
+
+    /**
+     * Build the pack overview message
+     * @param {number} userId - User ID
+     * @param {string} locale - Locale of the message
+     * @returns {string} - Message text
+     */
+    buildPackMessage(userId, locale) {
+        const selected = this.wordService.normalizePacks(this.userService.getPacks(userId));
+        const packLines = this.wordService.getPacks()
+            .map(({ id, count }) => `${selected.includes(id) ? '✅' : '▫️'} ${I18n.getPackName(id, locale)} (${count})`)
+            .join('\n');
+        const current = I18n.t(locale, 'PACK_CURRENT', { packs: this.formatPackNames(selected, locale) });
+
+        return `${I18n.t(locale, 'PACK_TITLE')}
+
+${current}
+
+${packLines}
+
+${I18n.t(locale, 'PACK_PROMPT')}`;
+    }
+
+    /**
+     * Build the pack toggle keyboard
+     * @param {number} userId - User ID
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildPackKeyboard(userId, locale) {
+        const selected = this.wordService.normalizePacks(this.userService.getPacks(userId));
+        const buttons = this.wordService.getPacks().map(({ id }) => ({
+            text: `${selected.includes(id) ? '✅ ' : ''}${I18n.getPackName(id, locale)}`,
+            callback_data: `${Constants.CALLBACKS.PACK}:toggle:${id}`
+        }));
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 3) {
+            rows.push(buttons.slice(i, i + 3));
+        }
+
+        rows.push([{
+            text: I18n.t(locale, 'PACK_DEFAULT', { pack: I18n.getPackName(this.wordService.getDefaultPack(), locale) }),
+            callback_data: `${Constants.CALLBACKS.PACK}:default`
+        }]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Handle /export command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleExport(msg) {
+        const { chat, from } = msg;
+
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in export command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const format = (msg.text.trim().toLowerCase().split(/\s+/)[1] || '');
+
+        if (!format) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'EXPORT_PROMPT'), {
+                parse_mode: 'Markdown',
+                reply_markup: this.buildExportKeyboard(locale)
+            });
+            return;
+        }
+
+        if (!WordExporter.isValidFormat(format)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'EXPORT_UNKNOWN_FORMAT', {
+                format: Validator.sanitizeString(format),
+                formats: WordExporter.FORMATS.join(', ')
+            }), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        await this.sendExport(chat.id, from.id, format, locale);
+    }
+
+    /**
+     * Handle export format buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (format)
+     */
+    async handleExportCallback(query, args) {
+        const { from, message } = query;
+        const [format] = args;
+
+        if (!WordExporter.isValidFormat(format)) {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        // Buttons share the /export budget, files are the expensive part
+        if (!await this.checkRateLimit(Constants.COMMANDS.EXPORT, { chat: message.chat, from })) {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(query.id);
+        await this.sendExport(message.chat.id, from.id, format, this.getLocale(from));
+    }
+
+    /**
+     * Send a user's discovered words as a document
+     * A word history is personal, so an export asked for in a group is
+     * sent to the user's private chat and the group only gets a notice
+     * @param {number} chatId - Chat the export was asked for in
+     * @param {number} userId - User ID (also the ID of their private chat)
+     * @param {string} format - csv, anki or md
+     * @param {string} locale - Locale of the caption and glossary
+     */
+    async sendExport(chatId, userId, format, locale) {
+        const words = this.getExportWords(userId);
+
+        if (words.length === 0) {
+            await this.bot.sendMessage(chatId, I18n.t(locale, 'EXPORT_EMPTY'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const file = WordExporter.export(words, format, { locale });
+
+        Logger.bot('Export command executed', {
+            userId,
+            format,
+            words: words.length
+        });
+
+        try {
+            await this.bot.sendDocument(userId, Buffer.from(file.content, 'utf8'), {
+                caption: I18n.t(locale, 'EXPORT_CAPTION', { count: words.length })
+            }, {
+                filename: file.filename,
+                contentType: file.contentType
+            });
+        } catch (error) {
+            if (chatId === userId) {
+                throw error;
+            }
+
+            // Bots can't start private chats, the user has to open one first
+            Logger.warn('Failed to send export privately', {
+                userId,
+                chatId,
+                error: error.message
+            });
+            await this.bot.sendMessage(chatId, I18n.t(locale, 'EXPORT_PRIVATE_FAILED'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        if (chatId !== userId) {
+            await this.bot.sendMessage(chatId, I18n.t(locale, 'EXPORT_SENT_PRIVATELY'), {
+                parse_mode: 'Markdown'
+            });
+        }
+    }
+
+    /**
+     * Get a user's discovered words with the full entry of each word
+     * Words no longer in any pack are exported with what the user saw
+     * @param {number} userId - User ID
+     * @returns {Array} - Word entries with pack and seenAt
+     */
+    getExportWords(userId) {
+        return this.userService.getAllDiscoveredWords(userId).map(discovered => {
+            const entry = this.wordService.findWord(discovered.word);
+            return entry
+                ? { ...entry, pack: entry.pack || discovered.pack, seenAt: discovered.seenAt }
+                : discovered;
+        });
+    }
+
+    /**
+     * Build the export format keyboard
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildExportKeyboard(locale) {
+        return {
+            inline_keyboard: [WordExporter.FORMATS.map(format => ({
+                text: I18n.t(locale, `EXPORT_${format.toUpperCase()}`),
+                callback_data: `${Constants.CALLBACKS.EXPORT}:${format}`
+            }))]
+        };
+    }
+
+    /**
+     * Handle /favorites command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleFavorites(msg) {
+        const { chat, from } = msg;
+
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in favorites command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const favorites = this.userService.getFavorites(from.id);
+        const page = this.clampFavoritesPage(favorites, parseInt(msg.text.trim().split(/\s+/)[1], 10) || 1);
+
+        Logger.bot('Favorites command executed', {
+            userId: from.id,
+            favorites: favorites.length,
+            page
+        });
+
+        if (favorites.length === 0) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'FAVORITES_EMPTY'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        await this.bot.sendMessage(chat.id, this.buildFavoritesMessage(favorites, page, locale), {
+            parse_mode: 'Markdown',
+            reply_markup: this.buildFavoritesKeyboard(favorites, page, locale)
+        });
+    }
+
+    /**
+     * Handle save, remove and page buttons of favorites
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (`save` and word, `remove`, page and word, or `page` and page)
+     */
+    async handleFavoriteCallback(query, args) {
+        const { from, message } = query;
+        const [action, ...rest] = args;
+        const locale = this.getLocale(from);
+
+        if (action === 'save') {
+            const word = this.findWordByRef(rest.join(':'));
+            if (!word) {
+                await this.bot.answerCallbackQuery(query.id);
+                return;
+            }
+
+            const added = this.userService.addFavorite(from.id, word);
+
+            Logger.bot('Favorite saved', {
+                userId: from.id,
+                word: word.word,
+                added
+            });
+
+            await this.bot.answerCallbackQuery(query.id, {
+                text: I18n.t(locale, added ? 'FAVORITE_SAVED' : 'FAVORITE_ALREADY_SAVED', { word: word.word })
+            });
+            return;
+        }
+
+        let page = parseInt(rest[0], 10) || 1;
+
+        if (action === 'remove') {
+            const ref = rest.slice(1).join(':');
+            const word = WordRef.find(ref, this.userService.getFavorites(from.id))?.word || ref;
+            const removed = this.userService.removeFavorite(from.id, word);
+
+            Logger.bot('Favorite removed', {
+                userId: from.id,
+                word,
+                removed
+            });
+
+            await this.bot.answerCallbackQuery(query.id, removed
+                ? { text: I18n.t(locale, 'FAVORITE_REMOVED', { word }) }
+                : {});
+        } else if (action === 'page') {
+            await this.bot.answerCallbackQuery(query.id);
+        } else {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        const favorites = this.userService.getFavorites(from.id);
+        page = this.clampFavoritesPage(favorites, page);
+
+        await this.bot.editMessageText(favorites.length > 0
+            ? this.buildFavoritesMessage(favorites, page, locale)
+            : I18n.t(locale, 'FAVORITES_EMPTY'), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: favorites.length > 0
+                ? this.buildFavoritesKeyboard(favorites, page, locale)
+                : undefined
+        });
+    }
+
+    /**
+     * Keep a favorites page number within the pages that exist
+     * @param {Array} favorites - Saved words
+     * @param {number} page - Requested page (1-based)
+     * @returns {number} - Existing page
+     */
+    clampFavoritesPage(favorites, page) {
+        const totalPages = Math.max(1, Math.ceil(favorites.length / FAVORITES_PAGE_SIZE));
+        return Math.min(Math.max(page, 1), totalPages);
+    }
+
+    /**
+     * Build a page of the favorites list
+     * @param {Array} favorites - Saved words, newest first
+     * @param {number} page - Page number (1-based)
+     * @param {string} locale - Locale of the message
+     * @returns {string} - Message text
+     */
+    buildFavoritesMessage(favorites, page, locale) {
+        const firstIndex = (page - 1) * FAVORITES_PAGE_SIZE;
+        const lines = favorites.slice(firstIndex, firstIndex + FAVORITES_PAGE_SIZE).map((favorite, index) => {
+            return `${firstIndex + index + 1}. ${favorite.emoji} *${favorite.word}* — ${WordFormatter.summarizeDefinition(favorite.definition, 100)}`;
+        });
+
+        return `${I18n.t(locale, 'FAVORITES_TITLE', { count: favorites.length })}
+
+${lines.join('\n\n')}
+
+${I18n.t(locale, 'FAVORITES_PAGE', { page, totalPages: Math.ceil(favorites.length / FAVORITES_PAGE_SIZE) })}`;
+    }
+
+    /**
+     * Build remove, pagination, review and quiz buttons for a favorites page
+     * @param {Array} favorites - Saved words, newest first
+     * @param {number} page - Page number (1-based)
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildFavoritesKeyboard(favorites, page, locale) {
+        const firstIndex = (page - 1) * FAVORITES_PAGE_SIZE;
+        const totalPages = Math.ceil(favorites.length / FAVORITES_PAGE_SIZE);
+        const rows = [favorites.slice(firstIndex, firstIndex + FAVORITES_PAGE_SIZE).map((favorite, index) => ({
+            text: `🗑️ ${firstIndex + index + 1}`,
+            callback_data: WordRef.toCallbackData(`${Constants.CALLBACKS.FAVORITE}:remove:${page}`, favorite.word)
+        }))];
+
+        const navigation = [];
+        if (page > 1) {
+            navigation.push({
+                text: I18n.t(locale, 'SEARCH_PREVIOUS'),
+                callback_data: `${Constants.CALLBACKS.FAVORITE}:page:${page - 1}`
+            });
+        }
+        if (page < totalPages) {
+            navigation.push({
+                text: I18n.t(locale, 'SEARCH_NEXT'),
+                callback_data: `${Constants.CALLBACKS.FAVORITE}:page:${page + 1}`
+            });
+        }
+        if (navigation.length > 0) {
+            rows.push(navigation);
+        }
+
+        rows.push([
+            {
+                text: I18n.t(locale, 'FAVORITES_REVIEW'),
+                callback_data: `${this.getReviewCallbackPrefix({ favorites: true })}:next`
+            },
+            {
+                text: I18n.t(locale, 'FAVORITES_QUIZ'),
+                callback_data: `${Constants.CALLBACKS.QUIZ}:next:definition:favorites`
+            }
+        ]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Build the "⭐ Save" buttons of a word response, one per word
+     * @param {Array} words - Words shown in the message
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildSaveKeyboard(words, locale) {
+        const buttons = words.map(word => ({
+            text: words.length === 1
+                ? I18n.t(locale, 'FAVORITE_SAVE')
+                : I18n.t(locale, 'FAVORITE_SAVE_WORD', { word: word.word }),
+            callback_data: WordRef.toCallbackData(`${Constants.CALLBACKS.FAVORITE}:save`, word.word)
+        }));
+
+        return { inline_keyboard: buttons.map(button => [button]) };
+    }
+
+    /**
+     * Handle /suggest command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleSuggest(msg) {
+        const { chat, from } = msg;
+
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in suggest command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const text = msg.text.replace(/^\/\S+/, '').trim();
+        const entry = text ? this.suggestionService.parse(text) : null;
+        const problems = entry ? this.suggestionService.getEntryProblems(entry) : ['schema'];
+
+        if (problems.length > 0) {
+            const key = {
+                word: 'SUGGEST_INVALID_WORD',
+                definition: 'SUGGEST_INVALID_DEFINITION'
+            }[problems[0]] || 'SUGGEST_USAGE';
+
+            await this.bot.sendMessage(chat.id, I18n.t(locale, key), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        if (this.wordService.findWord(entry.word)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'SUGGEST_EXISTS', { word: entry.word }), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        // Suggestions go to the first pack the user reads
+        const [pack] = this.wordService.normalizePacks(this.userService.getPacks(from.id));
+        const result = this.suggestionService.submit(entry, {
+            userId: from.id,
+            chatId: chat.id,
+            username: from.username
+        }, pack);
+
+        if (result.error) {
+            await this.bot.sendMessage(chat.id, result.error === 'duplicate'
+                ? I18n.t(locale, 'SUGGEST_DUPLICATE', { word: entry.word })
+                : I18n.t(locale, 'SUGGEST_LIMIT', { count: this.suggestionService.maxPendingPerUser }), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        Logger.bot('Suggest command executed', {
+            userId: from.id,
+            suggestionId: result.suggestion.id,
+            word: entry.word
+        });
+
+        await this.bot.sendMessage(chat.id, I18n.t(locale, 'SUGGEST_RECEIVED', { word: entry.word }), {
+            parse_mode: 'Markdown'
+        });
+
+        await this.notifyAdmins(result.suggestion);
+    }
+
+    /**
+     * Send a new suggestion to every admin for review
+     * @param {Object} suggestion - Pending suggestion
+     */
+    async notifyAdmins(suggestion) {
+        for (const adminId of this.adminIds) {
+            try {
+                await this.sendSuggestionCard(adminId, suggestion);
+            } catch (error) {
+                // One blocked admin must not hide the suggestion from the others
+                Logger.warn('Failed to notify admin about a suggestion', {
+                    adminId,
+                    suggestionId: suggestion.id,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Send a suggestion with its moderation buttons
+     * @param {number} chatId - Admin chat ID
+     * @param {Object} suggestion - Pending suggestion
+     */
+    async sendSuggestionCard(chatId, suggestion) {
+        await this.bot.sendMessage(chatId, this.formatSuggestion(suggestion), {
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSuggestionKeyboard(suggestion)
+        });
+    }
+
+    /**
+     * Handle the Approve, Reject and Edit buttons of a suggestion
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (action, suggestion ID)
+     */
+    async handleSuggestionCallback(query, args) {
+        const { from, message } = query;
+        const [action, idArg] = args;
+
+        if (!this.isAdmin(from.id)) {
+            Logger.warn('Unauthorized suggestion moderation attempt', { userId: from.id });
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        const id = parseInt(idArg, 10);
+        const suggestion = this.suggestionService.get(id);
+
+        // Another admin may have handled it from their own card
+        if (!suggestion) {
+            await this.bot.answerCallbackQuery(query.id, {
+                text: Constants.MESSAGES.ADMIN_SUGGESTION_HANDLED
+            });
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(query.id);
+
+        const params = {
+            id,
+            emoji: suggestion.emoji,
+            word: suggestion.word,
+            definition: suggestion.definition,
+            pack: suggestion.pack,
+            admin: this.formatSuggestionUser(from.id, from.username)
+        };
+
+        if (action === 'edit') {
+            await this.bot.sendMessage(message.chat.id, I18n.interpolate(Constants.MESSAGES.ADMIN_SUGGESTION_EDIT_HINT, params), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        let result;
+
+        if (action === 'approve') {
+            const added = await this.wordService.addWord(suggestion.pack, {
+                word: suggestion.word,
+                definition: suggestion.definition,
+                emoji: suggestion.emoji
+            });
+            result = added ? Constants.MESSAGES.ADMIN_SUGGESTION_APPROVED : Constants.MESSAGES.ADMIN_SUGGESTION_EXISTS;
+        } else if (action === 'reject') {
+            result = Constants.MESSAGES.ADMIN_SUGGESTION_REJECTED;
+        } else {
+            return;
+        }
+
+        this.suggestionService.resolve(id);
+
+        Logger.bot('Suggestion moderated', {
+            adminId: from.id,
+            suggestionId: id,
+            action,
+            word: suggestion.word
+        });
+
+        await this.bot.editMessageText(I18n.interpolate(result, params), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown'
+        });
+
+        // The submitter only hears about a decision on their own entry
+        if (result === Constants.MESSAGES.ADMIN_SUGGESTION_EXISTS) {
+            return;
+        }
+
+        const locale = this.userService.getLocale(suggestion.userId);
+        try {
+            await this.bot.sendMessage(suggestion.chatId, I18n.t(locale, action === 'approve' ? 'SUGGEST_APPROVED' : 'SUGGEST_REJECTED', {
+                word: suggestion.word
+            }), {
+                parse_mode: 'Markdown'
+            });
+        } catch (error) {
+            Logger.warn('Failed to notify suggestion author', {
+                suggestionId: id,
+                userId: suggestion.userId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Format a suggestion for the admins
+     * @param {Object} suggestion - Pending suggestion
+     * @returns {string} - Markdown message
+     */
+    formatSuggestion(suggestion) {
+        return I18n.interpolate(Constants.MESSAGES.ADMIN_SUGGESTION, {
+            id: suggestion.id,
+            emoji: suggestion.emoji,
+            word: suggestion.word,
+            definition: suggestion.definition,
+            pack: suggestion.pack,
+            user: this.formatSuggestionUser(suggestion.userId, suggestion.username)
+        });
+    }
+
+    /**
+     * Name a user in an admin message
+     * @param {number} userId - User ID
+     * @param {string} username - Telegram username, if any
+     * @returns {string} - Markdown-safe user label
+     */
+    formatSuggestionUser(userId, username) {
+        return username ? `@${username.replace(/_/g, '\\_')} (${userId})` : String(userId);
+    }
+
+    /**
+     * Build the moderation buttons of a suggestion
+     * @param {Object} suggestion - Pending suggestion
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildSuggestionKeyboard(suggestion) {
+        const data = action => `${Constants.CALLBACKS.SUGGESTION}:${action}:${suggestion.id}`;
+
+        return {
+            inline_keyboard: [[
+                { text: Constants.MESSAGES.ADMIN_SUGGESTION_APPROVE, callback_data: data('approve') },
+                { text: Constants.MESSAGES.ADMIN_SUGGESTION_REJECT, callback_data: data('reject') },
+                { text: Constants.MESSAGES.ADMIN_SUGGESTION_EDIT, callback_data: data('edit') }
+            ]]
+        };
+    }
+
+    /**
+     * Check if a user administers a group chat
+     * @param {number} chatId - Chat ID
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} - True for the group's creator and administrators
+     */
+    async isChatAdmin(chatId, userId) {
+        try {
+            const member = await this.bot.getChatMember(chatId, userId);
+            return member?.status === 'creator' || member?.status === 'administrator';
+        } catch (error) {
+            Logger.warn('Failed to check chat member status', {
+                chatId,
+                userId,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Handle /settings command (group chats)
+     * @param {Object} msg - Telegram message object
+     */
+    async handleSettings(msg) {
+        const { chat, from } = msg;
+
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in settings command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        if (!ChatService.isGroupChat(chat)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'SETTINGS_GROUP_ONLY'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const [setting = '', ...args] = msg.text.replace(/^\/\S+/, '').trim().split(/\s+/).filter(Boolean);
+
+        if (!setting) {
+            await this.bot.sendMessage(chat.id, this.buildGroupSettingsMessage(chat.id, locale), {
+                parse_mode: 'Markdown',
+                reply_markup: this.buildGroupSettingsKeyboard(chat.id, locale)
+            });
+            return;
+        }
+
+        if (!await this.isChatAdmin(chat.id, from.id)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'SETTINGS_ADMIN_ONLY'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const error = await this.applyGroupSetting(chat.id, from.id, setting.toLowerCase(), args, locale);
+
+        Logger.bot('Settings command executed', {
+            userId: from.id,
+            chatId: chat.id,
+            setting,
+            args,
+            error
+        });
+
+        if (error) {
+            await this.bot.sendMessage(chat.id, error, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        await this.bot.sendMessage(chat.id, `${I18n.t(locale, 'SETTINGS_UPDATED')}\n\n${this.buildGroupSettingsMessage(chat.id, locale)}`, {
+            parse_mode: 'Markdown',
+            reply_markup: this.buildGroupSettingsKeyboard(chat.id, locale)
+        });
+    }
+
+    /**
+     * Change one group setting
+     * @param {number} chatId - Group chat ID
+     * @param {number} userId - Admin making the change
+     * @param {string} setting - difficulty, pack or time
+     * @param {Array} args - Setting value(s)
+     * @param {string} locale - Locale of the error message
+     * @returns {Promise<string|null>} - Error message, or null if the setting was changed
+     */
+    async applyGroupSetting(chatId, userId, setting, args, locale) {
+        const value = (args[0] || '').toLowerCase();
+
+        if (setting === 'difficulty' && value) {
+            return this.chatService.setDifficulty(chatId, value === 'default' ? null : value)
+                ? null
+                : I18n.t(locale, 'INVALID_DIFFICULTY');
+        }
+
+        if (setting === 'pack' && value) {
+            if (value !== 'default' && !this.wordService.hasPack(value)) {
+                return I18n.t(locale, 'PACK_UNKNOWN', {
+                    pack: Validator.sanitizeString(value),
+                    packs: this.wordService.getPacks().map(pack => pack.id).join(', ')
+                });
+            }
+
+            this.chatService.setPack(chatId, value === 'default' ? null : value);
+            return null;
+        }
+
+        if (setting === 'time' && value === 'off') {
+            this.subscriptionService.unsubscribe(chatId);
+            return null;
+        }
+
+        if (setting === 'time' && DateUtils.parseTime(value) !== null) {
+            const timezone = args[1];
+            if (timezone && !DateUtils.isValidTimeZone(timezone)) {
+                return `❌ ${I18n.t(locale, 'SUBSCRIBE_UNKNOWN_ARGUMENT', {
+                    argument: Validator.sanitizeString(timezone)
+                })}\n\n${I18n.t(locale, 'SETTINGS_USAGE')}`;
+            }
+
+            // The group post is always the word of the day, the same word for everyone
+            this.subscriptionService.subscribe(chatId, userId, {
+                time: value,
+                timezone,
+                mode: 'wordoftheday'
+            });
+            return null;
+        }
+
+        return I18n.t(locale, 'SETTINGS_USAGE');
+    }
+
+    /**
+     * Handle the group settings buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (setting, value)
+     */
+    async handleSettingsCallback(query, args) {
+        const { from, message } = query;
+        const [setting, value] = args;
+        const locale = this.getLocale(from);
+
+        if (!ChatService.isGroupChat(message.chat) || !['difficulty', 'pack'].includes(setting)) {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        if (!await this.isChatAdmin(message.chat.id, from.id)) {
+            await this.bot.answerCallbackQuery(query.id, {
+                text: I18n.t(locale, 'SETTINGS_ADMIN_ONLY'),
+                show_alert: true
+            });
+            return;
+        }
+
+        const error = await this.applyGroupSetting(message.chat.id, from.id, setting, [value], locale);
+        if (error) {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        Logger.bot('Group setting changed', {
+            userId: from.id,
+            chatId: message.chat.id,
+            setting,
+            value
+        });
+
+        await this.bot.answerCallbackQuery(query.id, {
+            text: I18n.t(locale, 'SETTINGS_UPDATED')
+        });
+
+        await this.bot.editMessageText(this.buildGroupSettingsMessage(message.chat.id, locale), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: this.buildGroupSettingsKeyboard(message.chat.id, locale)
+        });
+    }
+
+    /**
+     * Build the group settings message
+     * @param {number} chatId - Group chat ID
+     * @param {string} locale - Locale of the message
+     * @returns {string} - Markdown message
+     */
+    buildGroupSettingsMessage(chatId, locale) {
+        const settings = this.chatService.getSettings(chatId);
+        const subscription = this.subscriptionService.getSubscription(chatId);
+        const memberDefault = I18n.t(locale, 'SETTINGS_MEMBER_DEFAULT');
+
+        return I18n.t(locale, 'SETTINGS_GROUP', {
+            difficulty: settings.difficulty ? I18n.t(locale, `DIFFICULTY_LABELS.${settings.difficulty}`) : memberDefault,
+            pack: settings.pack ? I18n.getPackName(settings.pack, locale) : memberDefault,
+            schedule: subscription
+                ? `${subscription.time} ${subscription.timezone}`
+                : I18n.t(locale, 'SETTINGS_SCHEDULE_OFF')
+        });
+    }
+
+    /**
+     * Build the group difficulty and pack buttons
+     * @param {number} chatId - Group chat ID
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildGroupSettingsKeyboard(chatId, locale) {
+        const settings = this.chatService.getSettings(chatId);
+        const mark = selected => (selected ? '✅ ' : '');
+        const button = (setting, value, label, selected) => ({
+            text: `${mark(selected)}${label}`,
+            callback_data: `${Constants.CALLBACKS.SETTINGS}:${setting}:${value}`
+        });
+
+        const difficulties = ['easy', 'medium', 'hard']
+            .map(level => button('difficulty', level, I18n.t(locale, `DIFFICULTY_LABELS.${level}`), settings.difficulty === level));
+        const packs = this.wordService.getPacks()
+            .map(({ id }) => button('pack', id, I18n.getPackName(id, locale), settings.pack === id));
+
+        const rows = [difficulties];
+        for (let i = 0; i < packs.length; i += 3) {
+            rows.push(packs.slice(i, i + 3));
+        }
+
+        rows.push([
+            button('difficulty', 'default', I18n.t(locale, 'SETTINGS_DIFFICULTY_DEFAULT'), !settings.difficulty),
+            button('pack', 'default', I18n.t(locale, 'SETTINGS_PACK_DEFAULT'), !settings.pack)
+        ]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Handle /leaderboard command (group chats)
+     * @param {Object} msg - Telegram message object
+     */
+    async handleLeaderboard(msg) {
+        const { chat, from } = msg;
+
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in leaderboard command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        if (!ChatService.isGroupChat(chat)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'LEADERBOARD_GROUP_ONLY'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const metric = (msg.text.trim().toLowerCase().split(/\s+/)[1] || 'words');
+
+        if (!LEADERBOARD_METRICS.includes(metric)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'LEADERBOARD_USAGE'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        Logger.bot('Leaderboard command executed', {
+            userId: from.id,
+            chatId: chat.id,
+            metric
+        });
+
+        await this.bot.sendMessage(chat.id, this.buildLeaderboardMessage(chat.id, from.id, metric, locale), {
+            parse_mode: 'Markdown',
+            reply_markup: this.buildLeaderboardKeyboard(metric, locale)
+        });
+    }
+
+    /**
+     * Handle the leaderboard metric buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (metric)
+     */
+    async handleLeaderboardCallback(query, args) {
+        const { from, message } = query;
+        const [metric] = args;
+
+        await this.bot.answerCallbackQuery(query.id);
+
+        if (!ChatService.isGroupChat(message.chat) || !LEADERBOARD_METRICS.includes(metric)) {
+            return;
+        }
+
+        const locale = this.getLocale(from);
+
+        await this.bot.editMessageText(this.buildLeaderboardMessage(message.chat.id, from.id, metric, locale), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: this.buildLeaderboardKeyboard(metric, locale)
+        });
+    }
+
+    /**
+     * Build a group leaderboard, with the reader's own rank when outside the top
+     * @param {number} chatId - Group chat ID
+     * @param {number} userId - User reading the leaderboard
+     * @param {string} metric - words, quiz or streak
+     * @param {string} locale - Locale of the message
+     * @returns {string} - Markdown message
+     */
+    buildLeaderboardMessage(chatId, userId, metric, locale) {
+        const members = new Map(this.chatService.getMembers(chatId).map(member => [member.userId, member.name]));
+        const entries = this.userService.getLeaderboard(Array.from(members.keys()), metric);
+        const title = I18n.t(locale, 'LEADERBOARD_TITLE', {
+            metric: I18n.t(locale, `LEADERBOARD_METRICS.${metric}`)
+        });
+
+        if (entries.length === 0) {
+            return `${title}\n\n${I18n.t(locale, 'LEADERBOARD_EMPTY')}`;
+        }
+
+        const formatEntry = entry => I18n.t(locale, 'LEADERBOARD_ENTRY', {
+            rank: LEADERBOARD_MEDALS[entry.rank - 1] || `${entry.rank}.`,
+            name: this.formatMemberName(members.get(entry.userId)),
+            value: I18n.t(locale, `LEADERBOARD_VALUES.${metric}`, { count: entry[metric] })
+        });
+
+        const top = entries.slice(0, LEADERBOARD_SIZE);
+        let message = `${title}\n\n${top.map(formatEntry).join('\n')}`;
+
+        const own = entries.find(entry => entry.userId === userId);
+        if (own && !top.includes(own)) {
+            message += `\n\n${I18n.t(locale, 'LEADERBOARD_YOUR_RANK', {
+                rank: own.rank,
+                value: I18n.t(locale, `LEADERBOARD_VALUES.${metric}`, { count: own[metric] })
+            })}`;
+        }
+
+        return message;
+    }
+
+    /**
+     * Build the leaderboard metric buttons
+     * @param {string} metric - Metric shown
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildLeaderboardKeyboard(metric, locale) {
+        return {
+            inline_keyboard: [LEADERBOARD_METRICS.map(name => ({
+                text: `${name === metric ? '✅ ' : ''}${I18n.t(locale, `LEADERBOARD_METRICS.${name}`)}`,
+                callback_data: `${Constants.CALLBACKS.LEADERBOARD}:${name}`
+            }))]
+        };
+    }
+
+    /**
+     * Make a member's name safe to show in a Markdown message
+     * @param {string} name - Telegram first name or username
+     * @returns {string} - Name without Markdown control characters
+     */
+    formatMemberName(name) {
+        return String(name || '').replace(/[*_`[\]]/g, '') || '?';
+    }
+
+    /**
+     * Unlock the badges a user has just earned and announce them
+     * Runs after every command and button press; failures are only logged
+     * @param {number} chatId - Chat the command came from
+     * @param {Object} user - Telegram user object
+     */
+    async checkAchievements(chatId, user) {
+        if (!user || !Validator.isValidUserId(user.id)) {
+            return;
+        }
+
+        try {
+            const earned = this.achievementService.evaluate(user.id);
+            if (earned.length === 0) {
+                return;
+            }
+
+            earned.forEach(rule => this.metricsService.recordAchievement(rule.id));
+
+            const locale = this.userService.getLocale(user.id);
+            const badges = earned.map(rule => I18n.t(locale, 'ACHIEVEMENT_LINE', {
+                emoji: rule.emoji,
+                name: I18n.t(locale, `ACHIEVEMENTS.${rule.id}.name`),
+                description: I18n.t(locale, `ACHIEVEMENTS.${rule.id}.description`)
+            })).join('\n');
+
+            // In a group the announcement says who earned the badge
+            const message = chatId === user.id
+                ? I18n.t(locale, 'ACHIEVEMENT_UNLOCKED', { badges })
+                : I18n.t(locale, 'ACHIEVEMENT_UNLOCKED_GROUP', {
+                    name: this.formatMemberName(user.first_name || user.username),
+                    badges
+                });
+
+            await this.bot.sendMessage(chatId, message, {
+                parse_mode: 'Markdown'
+            });
+        } catch (error) {
+            Logger.warn('Failed to check achievements', {
+                userId: user.id,
+                chatId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle /badges command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleBadges(msg) {
+        const { chat, from } = msg;
+
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in badges command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const badges = this.achievementService.getBadges(from.id);
+        const earned = badges.filter(badge => badge.unlockedAt);
+        const locked = badges.filter(badge => !badge.unlockedAt);
+        const describe = badge => ({
+            emoji: badge.emoji,
+            name: I18n.t(locale, `ACHIEVEMENTS.${badge.id}.name`),
+            description: I18n.t(locale, `ACHIEVEMENTS.${badge.id}.description`),
+            current: badge.current,
+            target: badge.target
+        });
+
+        const sections = [I18n.t(locale, 'BADGES_TITLE', { earned: earned.length, total: badges.length })];
+
+        if (earned.length > 0) {
+            sections.push(`${I18n.t(locale, 'BADGES_EARNED')}\n${earned.map(badge => I18n.t(locale, 'BADGES_EARNED_LINE', {
+                ...describe(badge),
+                date: new Date(badge.unlockedAt).toLocaleDateString(locale)
+            })).join('\n')}`);
+        } else {
+            sections.push(I18n.t(locale, 'BADGES_NONE'));
+        }
+
+        if (locked.length > 0) {
+            sections.push(`${I18n.t(locale, 'BADGES_LOCKED')}\n${locked
+                .map(badge => I18n.t(locale, 'BADGES_LOCKED_LINE', describe(badge)))
+                .join('\n')}`);
+        }
+
+        Logger.bot('Badges command executed', {
+            userId: from.id,
+            earned: earned.length,
+            total: badges.length
+        });
+
+        await this.bot.sendMessage(chat.id, sections.join('\n\n'), {
+            parse_mode: 'Markdown'
+        });
+    }
+
+    /**
+     * Handle /search command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleSearch(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in search command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const query = Validator.sanitizeString(msg.text.replace(/^\/\S+/, ''));
+        const search = this.wordService.searchWords(query, { page: 1, pageSize: SEARCH_PAGE_SIZE });
+
+        Logger.bot('Search command executed', {
+            userId: from.id,
+            query,
+            total: search.total
+        });
+
+        if (search.query.length < 2) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'SEARCH_USAGE'), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        if (search.total === 0) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'SEARCH_NO_RESULTS', { query: this.formatQuery(query) }), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        await this.bot.sendMessage(chat.id, this.buildSearchMessage(search, locale), { 
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSearchKeyboard(search, locale)
+        });
+    }
+
+    /**
+     * Handle search pagination buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (page and search text)
+     */
+    async handleSearchCallback(query, args) {
+        const { message } = query;
+        const [page, ...queryParts] = args;
+        const locale = this.getLocale(query.from);
+        const search = this.wordService.searchWords(queryParts.join(':'), { page, pageSize: SEARCH_PAGE_SIZE });
+
+        await this.bot.answerCallbackQuery(query.id);
+
+        if (search.total === 0) {
+            return;
+        }
+
+        await this.bot.editMessageText(this.buildSearchMessage(search, locale), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSearchKeyboard(search, locale)
+        });
+    }
+
+    /**
+     * Handle buttons showing a word's full entry
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (word)
+     */
+    async handleDefineCallback(query, args) {
+        const word = this.findWordByRef(args.join(':'));
+
+        await this.bot.answerCallbackQuery(query.id);
+
+        if (!word) {
+            return;
+        }
+
+        const locale = this.getLocale(query.from);
+        await this.bot.sendMessage(query.message.chat.id, WordFormatter.formatWord(word, locale), { 
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSaveKeyboard([word], locale)
+        });
+    }
+
+    /**
+     * Build a page of search results
+     * @param {Object} search - Result of WordService.searchWords
+     * @param {string} locale - Locale of the message
+     * @returns {string} - Message text
+     */
+    buildSearchMessage(search, locale) {
+        const firstPosition = (search.page - 1) * SEARCH_PAGE_SIZE + 1;
+        const lines = search.results.map((word, index) => {
+            const position = firstPosition + index;
+            return `${position}. ${word.emoji} *${word.word}* — ${WordFormatter.summarizeDefinition(word.definition, 100)}`;
+        });
+
+        return `${I18n.t(locale, 'SEARCH_TITLE', { query: this.formatQuery(search.query) })}
+
+${lines.join('\n\n')}
+
+${I18n.t(locale, 'SEARCH_PAGE', { page: search.page, totalPages: search.totalPages, total: search.total })}`;
+    }
+
+    /**
+     * Make a user's query safe to show in a Markdown message
+     * Telegram rejects the whole message if the query opens an entity it doesn't close
+     * @param {string} query - Text typed by the user
+     * @returns {string} - Query without Markdown control characters
+     */
+    formatQuery(query) {
+        return String(query || '').replace(/[*_`[\]]/g, '').trim() || '?';
+    }
+
+    /**
+     * Build result and pagination buttons for a search page
+     * @param {Object} search - Result of WordService.searchWords
+     * @param {string} locale - Locale of the buttons
+     * @returns {Object} - Inline keyboard markup
+     */
+    buildSearchKeyboard(search, locale) {
+        const firstPosition = (search.page - 1) * SEARCH_PAGE_SIZE + 1;
+        const rows = [this.buildDefineButtons(search.results, firstPosition)];
+        const navigation = [];
+
+        // Keep callback data within Telegram's 64 byte limit
+        let callbackQuery = search.query;
+        while (Buffer.byteLength(`${Constants.CALLBACKS.SEARCH}:${search.totalPages}:${callbackQuery}`) > 64) {
+            callbackQuery = callbackQuery.slice(0, -1);
+        }
+
+        if (search.page > 1) {
+            navigation.push({
+                text: I18n.t(locale, 'SEARCH_PREVIOUS'),
+                callback_data: `${Constants.CALLBACKS.SEARCH}:${search.page - 1}:${callbackQuery}`
+            });
+        }
+
+        if (search.page < search.totalPages) {
+            navigation.push({
+                text: I18n.t(locale, 'SEARCH_NEXT'),
+                callback_data: `${Constants.CALLBACKS.SEARCH}:${search.page + 1}:${callbackQuery}`
+            });
+        }
+
+        if (navigation.length > 0) {
+            rows.push(navigation);
+        }
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Build buttons that open the full entry of each word
+     * @param {Array} words - Word objects
+     * @param {number|null} firstPosition - Label buttons with result numbers starting here instead of words
+     * @returns {Array} - Row of inline buttons
+     */
+    buildDefineButtons(words, firstPosition = null) {
+        return words.map((word, index) => ({
+            text: firstPosition ? String(firstPosition + index) : `${word.emoji} ${word.word}`,
+            callback_data: WordRef.toCallbackData(Constants.CALLBACKS.DEFINE, word.word)
+        }));
+    }
+
+    /**
+     * Find the word a button refers to
+     * @param {string} ref - Word name or hash from callback data (see WordRef)
+     * @returns {Object|null} - Word object or null
+     */
+    findWordByRef(ref) {
+        return WordRef.isHash(ref)
+            ? WordRef.find(ref, this.wordService.getWords())
+            : this.wordService.findWord(ref);
+    }
+
+    /**
+     * Handle inline queries (`@bot text` in any chat)
+     * An empty query suggests the word of the day and the user's recent words
+     * @param {Object} query - Telegram inline query object
+     */
+    async handleInlineQuery(query) {
+        const { from } = query;
+
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in inline query', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const text = Validator.sanitizeString(query.query || '');
+        const results = [];
+        let nextOffset = '';
+
+        if (!this.wordService.isReady()) {
+            await this.bot.answerInlineQuery(query.id, [], { cache_time: 0 });
+            return;
+        }
+
+        if (!text) {
+            const wordsOfTheDay = this.getWordsOfTheDay(from.id);
+            wordsOfTheDay.forEach(wordOfTheDay => {
+                results.push(this.buildInlineResult(
+                    wordOfTheDay,
+                    'wotd',
+                    I18n.t(locale, 'INLINE_WORD_OF_THE_DAY', { word: wordOfTheDay.word }),
+                    locale
+                ));
+            });
+
+            this.userService.getDiscoveredWords(from.id)
+                .filter(entry => !wordsOfTheDay.some(word => word.word === entry.word))
+                .slice(0, 10)
+                .forEach(entry => {
+                    // History entries only keep the basics, prefer the full entry
+                    const word = this.wordService.findWord(entry.word) || entry;
+                    results.push(this.buildInlineResult(
+                        word,
+                        'history',
+                        I18n.t(locale, 'INLINE_HISTORY', { word: word.word }),
+                        locale
+                    ));
+                });
+        } else {
+            const page = (parseInt(query.offset, 10) || 0) + 1;
+            const search = this.wordService.searchWords(text, { page, pageSize: INLINE_PAGE_SIZE });
+
+            // searchWords clamps the page, so only add results for the page that was asked for
+            if (search.page === page) {
+                search.results.forEach(word => {
+                    results.push(this.buildInlineResult(word, 'search', `${word.emoji} ${word.word}`, locale));
+                });
+            }
+
+            if (search.page === page && page < search.totalPages) {
+                nextOffset = String(page);
+            }
+        }
+
+        Logger.bot('Inline query answered', {
+            userId: from.id,
+            query: text,
+            results: results.length
+        });
+
+        await this.bot.answerInlineQuery(query.id, results, {
+            // Cards are rendered in the user's language and suggestions come from their history,
+            // so Telegram must never serve one user's answer to another
+            cache_time: text ? 300 : 0,
+            is_personal: true,
+            next_offset: nextOffset
+        });
+    }
+
+    /**
+     * Build an inline query article for a word
+     * @param {Object} word - Word object
+     * @param {string} source - Result source, keeps IDs unique across sections
+     * @param {string} title - Result title
+     * @param {string} locale - Locale of the shared card
+     * @returns {Object} - InlineQueryResultArticle
+     */
+    buildInlineResult(word, source, title, locale) {
+        return {
+            type: 'article',
+            // Result IDs are capped at 64 bytes, word names may not fit
+            id: `${source}:${WordRef.hash(word.word)}`,
+            title,
+            description: WordFormatter.summarizeDefinition(word.definition, 100),
+            input_message_content: {
+                message_text: `${WordFormatter.formatWord(word, locale)}\n\n${I18n.t(locale, 'INLINE_FOOTER')}`,
+                parse_mode: 'Markdown'
+            }
+        };
+    }
+
+    /**
+     * Handle /share command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleShare(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in share command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        // Get a random word to share
+        if (!this.wordService.isReady()) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'NO_WORDS_AVAILABLE'), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        const words = this.wordService.getWords(this.userService.getPacks(from.id));
+        const shareWord = this.userService.getRandomWord(words);
+        this.metricsService.recordWordServed('share', shareWord);
+
+        const shareMessage = `${I18n.t(locale, 'SHARE_MESSAGE')}
+
+${shareWord.emoji} *${shareWord.word}* — ${shareWord.definition}
+
+${I18n.t(locale, 'SHARE_FOOTER')}`;
+
+        Logger.bot('Share command executed', {
+            userId: from.id,
+            word: shareWord.word
+        });
+
+        await this.bot.sendMessage(chat.id, shareMessage, { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Handle /review command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleReview(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in review command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+        const favorites = msg.text.trim().toLowerCase().split(/\s+/)[1] === 'favorites';
+
+        await this.sendNextReview(chat.id, from.id, locale, { favorites });
+    }
+
+    /**
+     * Send the most overdue review card to the user
+     * @param {number} chatId - Chat ID
+     * @param {number} userId - User ID
+     * @param {string} locale - Locale of the message
+     * @param {Object} options - Review options
+     * @param {boolean} options.favorites - Only review favorite words
+     */
+    async sendNextReview(chatId, userId, locale, options = {}) {
+        const dueCards = this.userService.getDueReviews(userId, Date.now(), options);
+
+        if (dueCards.length === 0) {
+            const reviewStats = this.userService.getReviewStats(userId, Date.now(), options);
+            const message = reviewStats.nextDue
+                ? I18n.t(locale, 'REVIEW_NONE_DUE', { date: new Date(reviewStats.nextDue).toLocaleDateString(locale) })
+                : I18n.t(locale, options.favorites ? 'REVIEW_NO_FAVORITES' : 'REVIEW_NO_CARDS');
+
+            await this.bot.sendMessage(chatId, message, { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        const card = dueCards[0];
+        const prefix = this.getReviewCallbackPrefix(options);
+        const gradeButtons = Object.keys(SpacedRepetition.GRADES).map(grade => ({
+            text: I18n.t(locale, `REVIEW_GRADES.${grade}`),
+            // The owner is part of the data so nobody else can grade the card in a group
+            callback_data: WordRef.toCallbackData(`${prefix}:${grade}:${userId}`, card.word)
+        }));
+
+        const reviewMessage = `${I18n.t(locale, 'REVIEW_TITLE')}
+
+${card.emoji} *${card.word}*
+
+${I18n.t(locale, 'REVIEW_PROMPT')}
+
+${I18n.t(locale, 'REVIEW_DUE_COUNT', { count: dueCards.length })}`;
+
+        Logger.bot('Review card sent', {
+            userId,
+            word: card.word,
+            due: dueCards.length,
+            favorites: Boolean(options.favorites)
+        });
+
+        await this.bot.sendMessage(chatId, reviewMessage, { 
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: [gradeButtons] }
+        });
+    }
+
+    /**
+     * Get the callback data prefix of review buttons
+     * Favorites reviews add a `favorites` argument so the next card comes from them too
+     * @param {Object} options - Review options
+     * @returns {string} - Callback data prefix
+     */
+    getReviewCallbackPrefix(options = {}) {
+        return options.favorites
+            ? `${Constants.CALLBACKS.REVIEW}:favorites`
+            : Constants.CALLBACKS.REVIEW;
+    }
+
+    /**
+     * Handle review grade buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (optional `favorites`, then grade, owner ID and word, or `next`)
+     */
+    async handleReviewCallback(query, args) {
+        const { from, message } = query;
+        const favorites = args[0] === 'favorites';
+        const [grade, ownerId, ...wordParts] = favorites ? args.slice(1) : args;
+        const locale = this.getLocale(from);
+        const options = { favorites };
+
+        if (grade === 'next') {
+            await this.bot.answerCallbackQuery(query.id);
+            await this.sendNextReview(message.chat.id, from.id, locale, options);
+            return;
+        }
+
+        if (parseInt(ownerId, 10) !== from.id) {
+            await this.bot.answerCallbackQuery(query.id, {
+                text: I18n.t(locale, 'REVIEW_NOT_YOURS')
+            });
+            return;
+        }
+
+        // Long words are referenced by hash, see WordRef
+        const ref = wordParts.join(':');
+        const word = WordRef.find(ref, this.userService.getReviewCards(from.id, options))?.word || ref;
+        if (!SpacedRepetition.isValidGrade(grade)) {
+            Logger.warn('Invalid review grade received', { userId: from.id, grade });
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        const card = this.userService.recordReview(from.id, word, grade, options);
+        if (!card) {
+            await this.bot.answerCallbackQuery(query.id, {
+                text: I18n.t(locale, 'REVIEW_NOT_SCHEDULED')
+            });
+            return;
+        }
+
+        const dueCount = this.userService.getDueReviews(from.id, Date.now(), options).length;
+        const nextReview = card.interval === 1
+            ? I18n.t(locale, 'REVIEW_TOMORROW')
+            : I18n.t(locale, 'REVIEW_IN_DAYS', { days: card.interval });
+
+        const result = I18n.t(locale, 'REVIEW_RESULT', {
+            grade: I18n.t(locale, `REVIEW_GRADES.${grade}`),
+            next: nextReview,
+            due: dueCount
+        });
+
+        const revealMessage = `${I18n.t(locale, 'REVIEW_TITLE')}
+
+${card.emoji} *${card.word}* — ${card.definition}
+
+${result}`;
+
+        Logger.bot('Review graded', {
+            userId: from.id,
+            word,
+            grade,
+            interval: card.interval,
+            ease: card.ease
+        });
+
+        await this.bot.answerCallbackQuery(query.id, {
+            text: I18n.t(locale, 'REVIEW_NEXT_NOTICE', { next: nextReview })
+        });
+
+        await this.bot.editMessageText(revealMessage, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: dueCount > 0
+                ? { inline_keyboard: [[{ text: I18n.t(locale, 'REVIEW_NEXT'), callback_data: `${this.getReviewCallbackPrefix(options)}:next` }]] }
+                : undefined
+        });
+    }
+
+    /**
+     * Handle /quiz command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleQuiz(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in quiz command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        const commandParts = msg.text.trim().toLowerCase().split(/\s+/).slice(1);
+        const mode = commandParts.includes('reverse') ? 'word' : 'definition';
+        const favorites = commandParts.includes('favorites');
+
+        await this.sendQuizQuestion(chat.id, from.id, mode, locale, { favorites });
+    }
+
+    /**
+     * Build and send a quiz question
+     * @param {number} chatId - Chat ID
+     * @param {number} userId - User ID
+     * @param {string} mode - 'definition' (word → definition) or 'word' (definition → word)
+     * @param {string} locale - Locale of the message
+     * @param {Object} options - Quiz options
+     * @param {boolean} options.favorites - Only ask about favorite words
+     */
+    async sendQuizQuestion(chatId, userId, mode, locale, options = {}) {
+        if (!this.wordService.isReady()) {
+            await this.bot.sendMessage(chatId, I18n.t(locale, 'NO_WORDS_AVAILABLE'), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        const sourceWords = options.favorites
+            ? this.userService.getFavorites(userId)
+            : this.userService.getDiscoveredWords(userId);
+        if (sourceWords.length === 0) {
+            await this.bot.sendMessage(chatId, I18n.t(locale, options.favorites ? 'QUIZ_NO_FAVORITES' : 'QUIZ_NO_WORDS'), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        // Answers carry the source so the next question is drawn from it too
+        const source = options.favorites ? ':favorites' : '';
+
+        const question = this.quizService.createQuestion(userId, sourceWords, this.wordService.words, mode);
+        if (!question) {
+            await this.bot.sendMessage(chatId, I18n.t(locale, 'QUIZ_NOT_ENOUGH_WORDS'), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        let quizMessage = `${I18n.t(locale, 'QUIZ_TITLE')}\n\n`;
+        let buttons;
+
+        if (question.mode === 'word') {
+            const clue = this.quizService.maskWord(
+                WordFormatter.summarizeDefinition(question.word.definition),
+                question.word.word
+            );
+            quizMessage += `${I18n.t(locale, 'QUIZ_WORD_PROMPT')}\n\n📖 ${clue}`;
+            buttons = question.options.map((option, index) => ({
+                text: `${option.emoji} ${option.word}`,
+                callback_data: `${Constants.CALLBACKS.QUIZ}:${question.id}:${index}${source}`
+            }));
+        } else {
+            quizMessage += `${I18n.t(locale, 'QUIZ_DEFINITION_PROMPT', {
+                emoji: question.word.emoji,
+                word: question.word.word
+            })}\n`;
+            question.options.forEach((option, index) => {
+                const definition = this.quizService.maskWord(
+                    WordFormatter.summarizeDefinition(option.definition),
+                    option.word
+                );
+                quizMessage += `\n*${QUIZ_OPTION_LETTERS[index]})* ${definition}\n`;
+            });
+            buttons = question.options.map((option, index) => ({
+                text: QUIZ_OPTION_LETTERS[index],
+                callback_data: `${Constants.CALLBACKS.QUIZ}:${question.id}:${index}${source}`
+            }));
+        }
+
+        Logger.bot('Quiz question sent', {
+            userId,
+            questionId: question.id,
+            mode: question.mode,
+            word: question.word.word,
+            favorites: Boolean(options.favorites)
+        });
+
+        // Two buttons per row keeps long words readable
+        const keyboard = question.mode === 'word'
+            ? [buttons.slice(0, 2), buttons.slice(2)]
+            : [buttons];
+
+        await this.bot.sendMessage(chatId, quizMessage, { 
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    }
+
+    /**
+     * Handle quiz answer buttons
+     * @param {Object} query - Telegram callback query object
+     * @param {Array} args - Callback arguments (question ID and option index, or `next` and mode;
+     * both optionally followed by `favorites`)
+     */
+    async handleQuizCallback(query, args) {
+        const { from, message } = query;
+        const [questionId, value, source] = args;
+        const locale = this.getLocale(from);
+        const favorites = source === 'favorites';
+
+        if (questionId === 'next') {
+            await this.bot.answerCallbackQuery(query.id);
+            await this.sendQuizQuestion(message.chat.id, from.id, value, locale, { favorites });
+            return;
+        }
+
+        const result = this.quizService.answer(from.id, questionId, parseInt(value, 10));
+        if (!result) {
+            await this.bot.answerCallbackQuery(query.id, {
+                text: I18n.t(locale, 'QUIZ_EXPIRED')
+            });
+            return;
+        }
+
+        this.userService.recordQuizAnswer(from.id, result.correct);
+
+        const { question } = result;
+        const quizStats = this.userService.getUserStats(from.id).quiz;
+        const answer = question.mode === 'word'
+            ? question.word.word
+            : QUIZ_OPTION_LETTERS[question.correctIndex];
+        const verdict = result.correct
+            ? I18n.t(locale, 'QUIZ_CORRECT')
+            : I18n.t(locale, 'QUIZ_INCORRECT', { answer });
+        const accuracy = I18n.t(locale, 'QUIZ_ACCURACY', {
+            accuracy: quizStats.accuracy,
+            correct: quizStats.correct,
+            answered: quizStats.answered
+        });
+
+        const resultMessage = `${I18n.t(locale, 'QUIZ_TITLE')}
+
+${verdict}
+
+${question.word.emoji} *${question.word.word}* — ${question.word.definition}
+
+${accuracy}`;
+
+        Logger.bot('Quiz answered', {
+            userId: from.id,
+            questionId,
+            word: question.word.word,
+            correct: result.correct
+        });
+
+        await this.bot.answerCallbackQuery(query.id, {
+            text: I18n.t(locale, result.correct ? 'QUIZ_CORRECT_NOTICE' : 'QUIZ_INCORRECT_NOTICE')
+        });
+
+        await this.bot.editMessageText(resultMessage, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[{
+                    text: I18n.t(locale, 'QUIZ_NEXT'),
+                    callback_data: `${Constants.CALLBACKS.QUIZ}:next:${question.mode}${favorites ? ':favorites' : ''}`
+                }]]
+            }
+        });
+    }
+
+    /**
+     * Handle /subscribe command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleSubscribe(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in subscribe command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        // A group's daily post is one of its settings
+        if (ChatService.isGroupChat(chat) && !await this.isChatAdmin(chat.id, from.id)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'SETTINGS_ADMIN_ONLY'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const options = {};
+        const args = msg.text.trim().split(/\s+/).slice(1);
+
+        for (const arg of args) {
+            const lowerArg = arg.toLowerCase();
+
+            if (DateUtils.parseTime(arg) !== null) {
+                options.time = arg;
+            } else if (['word', 'wotd', 'wordoftheday'].includes(lowerArg)) {
+                options.mode = lowerArg === 'word' ? 'word' : 'wordoftheday';
+            } else if (DateUtils.isValidTimeZone(arg)) {
+                options.timezone = arg;
+            } else {
+                await this.bot.sendMessage(chat.id, I18n.t(locale, 'SUBSCRIBE_USAGE', {
+                    error: I18n.t(locale, 'SUBSCRIBE_UNKNOWN_ARGUMENT', { argument: Validator.sanitizeString(arg) })
+                }), { 
+                    parse_mode: 'Markdown' 
+                });
+                return;
+            }
+        }
+
+        const subscription = this.subscriptionService.subscribe(chat.id, from.id, options);
+        const content = I18n.t(locale, subscription.mode === 'wordoftheday'
+            ? 'SUBSCRIBE_CONTENT_WORD_OF_THE_DAY'
+            : 'SUBSCRIBE_CONTENT_WORD');
+
+        Logger.bot('Subscribe command executed', {
+            userId: from.id,
+            chatId: chat.id,
+            time: subscription.time,
+            timezone: subscription.timezone,
+            mode: subscription.mode
+        });
+
+        await this.bot.sendMessage(chat.id, I18n.t(locale, 'SUBSCRIBED', {
+            content,
+            time: subscription.time,
+            timezone: subscription.timezone
+        }), { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Handle /unsubscribe command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleUnsubscribe(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in unsubscribe command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+
+        // A group's daily post is one of its settings
+        if (ChatService.isGroupChat(chat) && !await this.isChatAdmin(chat.id, from.id)) {
+            await this.bot.sendMessage(chat.id, I18n.t(locale, 'SETTINGS_ADMIN_ONLY'), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const removed = this.subscriptionService.unsubscribe(chat.id);
+
+        Logger.bot('Unsubscribe command executed', {
+            userId: from.id,
+            chatId: chat.id,
+            removed
+        });
+
+        await this.bot.sendMessage(chat.id, removed ? I18n.t(locale, 'UNSUBSCRIBED') : I18n.t(locale, 'NOT_SUBSCRIBED'), { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Send the scheduled word of a subscription
+     * Errors are propagated so the scheduler can react to blocked chats
+     * @param {Object} subscription - Subscription object
+     */
+    async deliverSubscription(subscription) {
+        if (!this.wordService.isReady()) {
+            throw new Error('Word service not ready');
+        }
+
+        const { chatId, userId } = subscription;
+        const locale = this.userService.getLocale(userId);
+        // Group IDs are negative; a group post isn't discovered by the admin who scheduled it
+        const isGroup = chatId < 0;
+        let words;
+        let footer;
+
+        if (subscription.mode === 'wordoftheday') {
+            words = this.getWordsOfTheDay(userId, chatId);
+            footer = I18n.t(locale, 'WORD_OF_THE_DAY_FOOTER');
+        } else {
+            // A group works through its own cycle, not the one of the admin who subscribed it
+            const cycleId = isGroup ? chatId : userId;
+            const wordOptions = this.getWordOptions(userId, chatId);
+            const word = this.wordService.getRandomWord(cycleId, wordOptions);
+            const cycle = this.wordService.getCycleProgress(cycleId, { ...wordOptions, pack: word?.pack });
+            words = word ? [word] : [];
+            footer = I18n.t(locale, 'DAILY_WORD_PROGRESS', {
+                used: cycle.used,
+                total: cycle.total,
+                progress: cycle.progress
+            });
+        }
+
+        if (words.length === 0) {
+            throw new Error('No word available for delivery');
+        }
+
+        words.forEach(word => {
+            if (!isGroup) {
+                this.userService.addToHistory(userId, word);
+            }
+            this.metricsService.recordWordServed('subscription', word);
+        });
+
+        const dailyMessage = `${I18n.t(locale, isGroup ? 'WORD_OF_THE_DAY' : 'DAILY_WORD_TITLE')}
+
+${this.formatPackWords(words, locale)}
+
+${footer}
+
+${I18n.t(locale, isGroup ? 'GROUP_DAILY_WORD_FOOTER' : 'DAILY_WORD_FOOTER')}`;
+
+        await this.bot.sendMessage(chatId, dailyMessage, { 
+            parse_mode: 'Markdown',
+            reply_markup: this.buildSaveKeyboard(words, locale)
+        });
+
+        // Deliveries serve words outside any command, so badges are checked here too
+        if (!isGroup) {
+            await this.checkAchievements(chatId, { id: userId });
+        }
+    }
+
+    /**
+     * Check if a user may run admin commands
+     * @param {number} userId - User ID
+     * @returns {boolean} - True if the user is a configured admin
+     */
+    isAdmin(userId) {
+        return this.adminIds.has(userId);
+    }
+
+    /**
+     * Handle /admin command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleAdmin(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in admin command', { userId: from.id });
+            return;
+        }
+
+        // Non-admins must not learn that the command exists
+        if (!this.isAdmin(from.id)) {
+            Logger.warn('Unauthorized admin command attempt', {
+                userId: from.id,
+                username: from.username,
+                chatId: chat.id
+            });
+            await this.handleUnknownCommand(msg);
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+
+        const [subcommand = '', ...args] = msg.text.replace(/^\/\S+/, '').trim().split(/\s+/).filter(Boolean);
+
+        Logger.bot('Admin command executed', {
+            userId: from.id,
+            subcommand,
+            args
+        });
+
+        switch (subcommand.toLowerCase()) {
+            case 'reload':
+                await this.handleAdminReload(chat.id);
+                break;
+            case 'stats':
+                await this.handleAdminStats(chat.id);
+                break;
+            case 'user':
+                await this.handleAdminUser(chat.id, args[0]);
+                break;
+            case 'resetcycle':
+                await this.handleAdminResetCycle(chat.id, args[0]);
+                break;
+            case 'suggestions':
+                await this.handleAdminSuggestions(chat.id);
+                break;
+            case 'edit':
+                // The definition keeps its spacing, so pass the raw text
+                await this.handleAdminEditSuggestion(chat.id, msg.text.replace(/^\/\S+\s+\S+/, '').trim());
+                break;
+            default:
+                await this.bot.sendMessage(chat.id, Constants.MESSAGES.ADMIN_USAGE, { 
+                    parse_mode: 'Markdown' 
+                });
+        }
+    }
+
+    /**
+     * Reload the word list
+     * @param {number} chatId - Chat ID
+     */
+    async handleAdminReload(chatId) {
+        const success = this.botManager
+            ? await this.botManager.reloadWords()
+            : await this.wordService.reloadWords();
+
+        const message = success
+            ? Constants.MESSAGES.ADMIN_RELOAD_SUCCESS.replace('{count}', this.wordService.getStats().totalWords)
+            : Constants.MESSAGES.ADMIN_RELOAD_FAILED;
+
+        await this.bot.sendMessage(chatId, message, { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Send bot-wide statistics
+     * @param {number} chatId - Chat ID
+     */
+    async handleAdminStats(chatId) {
+        const wordStats = this.wordService.getStats();
+        const botStats = this.botManager ? this.botManager.getStats() : null;
+        const users = this.userService.getAllUsers();
+        const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+        const activeUsers = Array.from(users.values())
+            .filter(user => user.stats.lastUsed && new Date(user.stats.lastUsed).getTime() >= dayAgo)
+            .length;
+        const subscriptions = this.subscriptionService
+            ? this.subscriptionService.getSubscriptionCount()
+            : 0;
+        const rateLimitStats = this.rateLimitService.getStats();
+
+        let statsMessage = `🛠️ *Admin Statistics*
+
+📚 *Words:*
+• Total words: *${wordStats.totalWords}*
+• Packs: *${wordStats.packs.map(pack => `${pack.id} (${pack.count})`).join(', ')}*
+• Users with cycles: *${wordStats.activeCycles}*
+
+👥 *Users:*
+• Known users: *${users.size}*
+• Active in last 24h: *${activeUsers}*
+• Subscriptions: *${subscriptions}*
+
+🤖 *Requests:*
+• Total requests: *${wordStats.totalRequests}*
+• Unique users since start: *${wordStats.uniqueUsers}*
+• Rate limited: *${rateLimitStats.limited}*${rateLimitStats.enabled ? '' : ' (limits off)'}
+• Uptime: *${wordStats.uptime}*`;
+
+        if (botStats) {
+            statsMessage += `
+
+⚙️ *Bot:*
+• Transport: *${botStats.transport || 'polling'}*
+• Messages: *${botStats.totalMessages}*
+• Errors: *${botStats.errors}*`;
+        }
+
+        await this.bot.sendMessage(chatId, statsMessage, { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Send a single user's progress
+     * @param {number} chatId - Chat ID
+     * @param {string} userIdArg - User ID argument
+     */
+    async handleAdminUser(chatId, userIdArg) {
+        const userId = parseInt(userIdArg, 10);
+
+        if (!Validator.isValidUserId(userId)) {
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_USER_USAGE, { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        // getUserStats creates missing users, so check first
+        if (!this.userService.getAllUsers().has(userId)) {
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_USER_NOT_FOUND.replace('{userId}', userId), { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        const userStats = this.userService.getUserStats(userId);
+        const reviewStats = this.userService.getReviewStats(userId);
+        const cycleLines = this.getPackCycles(userId)
+            .map(cycle => `• Cycle (${this.formatPoolLabel(cycle)}): *${cycle.used}/${cycle.total}*`)
+            .join('\n');
+        const subscription = this.subscriptionService
+            ? this.subscriptionService.getSubscription(userId)
+            : null;
+
+        const userMessage = `👤 *User ${userId}*
+
+⚙️ *Preferences:*
+• Difficulty: *${userStats.difficulty}*
+• Categories: *${userStats.categories.length > 0 ? userStats.categories.join(', ') : 'all'}*
+• Packs: *${this.wordService.normalizePacks(userStats.packs).join(', ')}*
+
+📊 *Progress:*
+• Words discovered: *${userStats.totalWords}*
+• History entries: *${userStats.historyLength}*
+${cycleLines}
+• Streak: *${userStats.streak} days*
+• Last active: *${userStats.lastUsed ? new Date(userStats.lastUsed).toISOString() : 'never'}*
+
+🧠 *Learning:*
+• Quiz: *${userStats.quiz.answered}* answered, *${userStats.quiz.accuracy}%* correct
+• Reviews: *${reviewStats.scheduled}* scheduled, *${reviewStats.due}* due
+
+⏰ *Subscription:* ${subscription ? `\`${subscription.time} ${subscription.timezone}\` (${subscription.mode})` : 'none'}`;
+
+        await this.bot.sendMessage(chatId, userMessage, { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Reset the word cycles of one user or everyone
+     * @param {number} chatId - Chat ID
+     * @param {string} target - User ID or "all"
+     */
+    async handleAdminResetCycle(chatId, target) {
+        if (target === 'all') {
+            this.wordService.resetAllCycles();
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_RESET_ALL, { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        const userId = parseInt(target, 10);
+
+        if (!Validator.isValidUserId(userId)) {
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_RESET_USAGE, { 
+                parse_mode: 'Markdown' 
+            });
+            return;
+        }
+
+        this.wordService.resetCycle(userId);
+        await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_RESET_USER.replace('{userId}', userId), { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * List pending suggestions, one card each
+     * @param {number} chatId - Chat ID
+     */
+    async handleAdminSuggestions(chatId) {
+        const pending = this.suggestionService.getPending();
+
+        if (pending.length === 0) {
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_SUGGESTIONS_EMPTY, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_SUGGESTIONS_COUNT.replace('{count}', pending.length), {
+            parse_mode: 'Markdown'
+        });
+
+        for (const suggestion of pending) {
+            await this.sendSuggestionCard(chatId, suggestion);
+        }
+    }
+
+    /**
+     * Correct a pending suggestion and show its card again
+     * @param {number} chatId - Chat ID
+     * @param {string} text - Arguments after "edit" (`<id> <word> — <definition>`)
+     */
+    async handleAdminEditSuggestion(chatId, text) {
+        const match = text.match(/^(\d+)\s+([\s\S]+)$/);
+        const entry = match ? this.suggestionService.parse(match[2]) : null;
+
+        if (!entry) {
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_SUGGESTION_EDIT_USAGE, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const id = parseInt(match[1], 10);
+        if (!this.suggestionService.get(id)) {
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_SUGGESTION_NOT_FOUND.replace(/\{id\}/g, id), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const problems = this.suggestionService.getEntryProblems(entry);
+        if (problems.length > 0) {
+            await this.bot.sendMessage(chatId, Constants.MESSAGES.ADMIN_SUGGESTION_INVALID.replace('{problems}', problems.join(', ')), {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        const suggestion = this.suggestionService.update(id, entry);
+        await this.sendSuggestionCard(chatId, suggestion);
+    }
+
+    /**
+     * Handle unknown commands
+     * @param {Object} msg - Telegram message object
+     */
+    async handleUnknownCommand(msg) {
+        const { chat, from } = msg;
+        
+        if (!Validator.isValidUserId(from.id)) {
+            Logger.warn('Invalid user ID in unknown command', { userId: from.id });
+            return;
+        }
+
+        this.wordService.recordRequest(from.id);
+        const locale = this.getLocale(from);
+        
+        Logger.debug('Unknown command received', {
+            userId: from.id,
+            text: msg.text
+        });
+
+        await this.bot.sendMessage(chat.id, I18n.t(locale, 'UNKNOWN_COMMAND'), { 
+            parse_mode: 'Markdown' 
+        });
+    }
+
+    /**
+     * Handle errors in command execution
+     * @param {number} chatId - Chat ID
+     * @param {Error} error - Error object
+     * @param {string} locale - Locale of the reply
+     */
+    async handleError(chatId, error, locale = I18n.DEFAULT_LOCALE) {
+        Logger.error('Command execution error', {
+            chatId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        const errorMessage = I18n.t(locale, 'ERROR_GENERIC');
+        
+        try {
+            await this.bot.sendMessage(chatId, errorMessage, { 
+                parse_mode: 'Markdown' 
+            });
+        } catch (sendError) {
+            Logger.error('Failed to send error message', {
+                chatId,
+                error: sendError.message
+            });
+        }
+    }
+
+    /**
+     * Get command statistics
+     * @returns {Object} - Command statistics
+     */
+    getCommandStats() {
+        const commands = Array.from(this.commands.keys());
+        const basicCommands = ['/start', '/word', '/stats', '/help'];
+        const adminCommands = ['/admin'];
+
         return {
             registeredCommands: this.commands.size,
-            commands: Array.from(this.commands.keys()),
-            basicCommands: ['/start', '/word', '/stats', '/help'],
-            advancedCommands: ['/wordoftheday', '/history', '/random', '/difficulty', '/share']
+            commands,
+            basicCommands,
+            // Every other registered command, so new commands are listed without touching this
+            advancedCommands: commands.filter(command => !basicCommands.includes(command) && !adminCommands.includes(command)),
+            adminCommands
         };
     }
 }
@@ -0,0 +1,126 @@
+const http = require('http');
+const Logger = require('../utils/Logger');
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class MonitoringServer {
+    /**
+     * @param {Object} options - Monitoring configuration
+     * @param {string} options.host - Interface to listen on
+     * @param {number} options.port - Port to listen on
+     * @param {Object} checks - Callbacks backing the endpoints
+     * @param {Function} checks.renderMetrics - Returns the Prometheus metrics text
+     * @param {Function} checks.isHealthy - True while the process is alive and not shutting down
+     * @param {Function} checks.isReady - True while the bot can serve users
+     */
+    constructor(options, checks) {
+        this.options = options;
+        this.checks = checks;
+        this.server = null;
+    }
+
+    /**
+     * Start listening for monitoring requests
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        Logger.success('Monitoring server listening', {
+            host: this.options.host,
+            port: this.options.port
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        Logger.info('Monitoring server stopped');
+    }
+
+    /**
+     * Handle an incoming HTTP request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handleRequest(req, res) {
+        const requestPath = (req.url || '').split('?')[0];
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            this.reply(res, 405, 'method not allowed\n');
+            return;
+        }
+
+        try {
+            switch (requestPath) {
+                case '/metrics':
+                    this.reply(res, 200, this.checks.renderMetrics(), METRICS_CONTENT_TYPE);
+                    break;
+                case '/healthz':
+                    this.replyCheck(res, this.checks.isHealthy());
+                    break;
+                case '/readyz':
+                    this.replyCheck(res, this.checks.isReady());
+                    break;
+                default:
+                    this.reply(res, 404, 'not found\n');
+            }
+        } catch (error) {
+            Logger.error('Error handling monitoring request', {
+                path: requestPath,
+                error: error.message
+            });
+            this.reply(res, 500, 'error\n');
+        }
+    }
+
+    /**
+     * Answer a health or readiness check
+     * @param {http.ServerResponse} res - Response
+     * @param {boolean} passing - Check result
+     */
+    replyCheck(res, passing) {
+        if (passing) {
+            this.reply(res, 200, 'ok\n');
+        } else {
+            this.reply(res, 503, 'unavailable\n');
+        }
+    }
+
+    /**
+     * Send a text response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} statusCode - HTTP status code
+     * @param {string} body - Response body
+     * @param {string} contentType - Content type
+     */
+    reply(res, statusCode, body, contentType = 'text/plain; charset=utf-8') {
+        if (res.headersSent) {
+            return;
+        }
+
+        res.writeHead(statusCode, {
+            'Content-Type': contentType,
+            'Cache-Control': 'no-store'
+        });
+        res.end(res.req?.method === 'HEAD' ? undefined : body);
+    }
+}
+
+module.exports = MonitoringServer;
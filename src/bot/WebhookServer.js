@@ -0,0 +1,172 @@
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+
+// Telegram updates are small, anything bigger is not from Telegram
+const MAX_BODY_SIZE = 1024 * 1024;
+
+class WebhookServer {
+    /**
+     * @param {Object} options - Webhook configuration
+     * @param {string} options.host - Interface to listen on
+     * @param {number} options.port - Port to listen on
+     * @param {string} options.path - Path Telegram posts updates to
+     * @param {string} options.secretToken - Expected X-Telegram-Bot-Api-Secret-Token header
+     * @param {string} options.certPath - TLS certificate (enables HTTPS with keyPath)
+     * @param {string} options.keyPath - TLS private key
+     * @param {Function} onUpdate - Called with every accepted update
+     */
+    constructor(options, onUpdate) {
+        this.options = options;
+        this.onUpdate = onUpdate;
+        this.server = null;
+        this.stats = {
+            received: 0,
+            rejected: 0
+        };
+    }
+
+    /**
+     * Start listening for webhook requests
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const handler = (req, res) => this.handleRequest(req, res);
+        const useTls = Boolean(this.options.certPath && this.options.keyPath);
+
+        this.server = useTls
+            ? https.createServer({
+                cert: fs.readFileSync(this.options.certPath),
+                key: fs.readFileSync(this.options.keyPath)
+            }, handler)
+            : http.createServer(handler);
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        Logger.success('Webhook server listening', {
+            protocol: useTls ? 'https' : 'http',
+            host: this.options.host,
+            port: this.options.port,
+            path: this.options.path
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        Logger.info('Webhook server stopped');
+    }
+
+    /**
+     * Handle an incoming HTTP request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handleRequest(req, res) {
+        const requestPath = (req.url || '').split('?')[0];
+
+        if (req.method !== 'POST' || requestPath !== this.options.path) {
+            this.reply(res, 404);
+            return;
+        }
+
+        if (!this.isAuthorized(req.headers['x-telegram-bot-api-secret-token'])) {
+            this.stats.rejected++;
+            Logger.warn('Rejected webhook request with invalid secret token', {
+                remoteAddress: req.socket?.remoteAddress
+            });
+            this.reply(res, 401);
+            return;
+        }
+
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                this.reply(res, 413);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            let update;
+
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                Logger.warn('Invalid webhook payload', { error: error.message });
+                this.reply(res, 400);
+                return;
+            }
+
+            // Acknowledge right away so Telegram doesn't retry slow updates
+            this.stats.received++;
+            this.reply(res, 200);
+
+            try {
+                this.onUpdate(update);
+            } catch (error) {
+                Logger.error('Error processing webhook update', {
+                    error: error.message,
+                    updateId: update?.update_id
+                });
+            }
+        });
+    }
+
+    /**
+     * Compare the secret token header in constant time
+     * @param {string} token - Header value
+     * @returns {boolean} - True if the token matches
+     */
+    isAuthorized(token) {
+        if (!this.options.secretToken) {
+            return true;
+        }
+
+        if (typeof token !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.options.secretToken);
+        const received = Buffer.from(token);
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Send an empty response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} statusCode - HTTP status code
+     */
+    reply(res, statusCode) {
+        if (res.headersSent) {
+            return;
+        }
+
+        res.writeHead(statusCode);
+        res.end();
+    }
+}
+
+module.exports = WebhookServer;
@@ -0,0 +1,993 @@
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const Validator = require('../utils/Validator');
+const TextSearch = require('../utils/TextSearch');
+const Constants = require('../utils/Constants');
+const Csv = require('../utils/Csv');
+const WordService = require('../services/WordService');
+
+const USAGE = `Usage: lexicalgem-words <command> [options]
+
+Commands:
+  validate          Check the pack files against the word schema
+  duplicates        Find duplicate and near-duplicate words
+  add               Add a word interactively
+  edit <word>       Edit a word interactively
+  remove <word>     Remove a word
+  sort              Sort a pack alphabetically
+  difficulty        Show the difficulty buckets the bot assigns
+  stats             Show collection statistics
+  import <file>     Add the words of a CSV or TSV file (header row required)
+
+Options:
+  --pack <id>       Only this pack (add, edit, remove and sort use the
+                    default pack unless given, the others read every pack)
+  --dir <path>      Words directory (default: src)
+  --check           sort: report whether the pack is sorted, don't rewrite it
+  --yes             remove: don't ask for confirmation
+  --delimiter <d>   import: tab, comma or semicolon (detected by default)
+  --emoji <emoji>   import: emoji for rows without one (default: 📘)
+  --update          import: replace words already in the pack
+  --dry-run         import: report what would change, don't write
+  --help            Show this help`;
+
+// Fields asked for by add and edit, in the order they are stored
+const FIELDS = [
+    { name: 'word', required: true },
+    { name: 'definition', required: true },
+    { name: 'emoji', required: true },
+    { name: 'partOfSpeech', hint: Validator.PARTS_OF_SPEECH.join('/') },
+    { name: 'pronunciation' },
+    { name: 'categories', list: true },
+    { name: 'examples', list: true },
+    { name: 'synonyms', list: true },
+    { name: 'antonyms', list: true },
+    { name: 'etymology' },
+    { name: 'source' }
+];
+
+// Separator for list fields typed at the prompt (examples may contain commas)
+const LIST_SEPARATOR = ';';
+
+// Import column headers accepted for each field, besides the field name itself
+const COLUMN_ALIASES = {
+    word: ['front', 'term'],
+    definition: ['back', 'meaning'],
+    partOfSpeech: ['pos', 'part of speech'],
+    pronunciation: ['ipa'],
+    categories: ['category', 'tags']
+};
+
+const DELIMITERS = {
+    tab: '\t',
+    comma: ',',
+    semicolon: ';'
+};
+
+const DEFAULT_IMPORT_EMOJI = '📘';
+
+/**
+ * Word pack maintenance commands behind `lexicalgem-words`.
+ * Every command returns an exit code: 0 on success, 1 when problems were
+ * found or the change was not made, 2 on usage errors.
+ */
+class WordsCli {
+    /**
+     * @param {Object} options - CLI options
+     * @param {string} options.wordsDir - Default words directory
+     * @param {string} options.defaultPack - Pack used when --pack is omitted
+     * @param {stream.Readable} options.input - Input for prompts (stdin by default)
+     * @param {stream.Writable} options.output - Output (stdout by default)
+     */
+    constructor(options = {}) {
+        this.wordsDir = options.wordsDir || path.join(process.cwd(), Constants.PATHS.WORDS_DIR);
+        this.defaultPack = options.defaultPack || Constants.WORD_PACKS.DEFAULT;
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        // Typed lines not yet consumed by a prompt
+        this.lines = [];
+        this.lineWaiters = [];
+        this.inputClosed = false;
+        this.readline = null;
+    }
+
+    /**
+     * Run a command line
+     * @param {Array} argv - Arguments after the program name
+     * @returns {Promise<number>} - Exit code
+     */
+    async run(argv) {
+        const { command, args, options } = this.parseArgs(argv);
+
+        if (!command || options.help) {
+            this.print(USAGE);
+            return command || options.help ? 0 : 2;
+        }
+
+        if (options.dir) {
+            this.wordsDir = path.resolve(process.cwd(), options.dir);
+        }
+
+        this.wordService = new WordService(undefined, {
+            wordsDir: this.wordsDir,
+            defaultPack: this.defaultPack
+        });
+
+        try {
+            switch (command) {
+                case 'validate':
+                    return await this.validate(options);
+                case 'duplicates':
+                    return await this.duplicates(options);
+                case 'add':
+                    return await this.add(options);
+                case 'edit':
+                    return await this.edit(args.join(' '), options);
+                case 'remove':
+                    return await this.remove(args.join(' '), options);
+                case 'sort':
+                    return await this.sort(options);
+                case 'difficulty':
+                    return await this.difficulty(options);
+                case 'stats':
+                    return await this.stats(options);
+                case 'import':
+                    return await this.import(args[0], options);
+                default:
+                    this.error(`Unknown command: ${command}`);
+                    this.print(USAGE);
+                    return 2;
+            }
+        } catch (error) {
+            this.error(error.message);
+            return 1;
+        } finally {
+            this.closeInput();
+        }
+    }
+
+    /**
+     * Split arguments into command, positional arguments and --options
+     * @param {Array} argv - Arguments
+     * @returns {Object} - command, args and options
+     */
+    parseArgs(argv) {
+        const valueOptions = new Set(['pack', 'dir', 'delimiter', 'emoji']);
+        const positional = [];
+        const options = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (arg === '-h') {
+                options.help = true;
+            } else if (arg.startsWith('--')) {
+                const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+                options[name] = valueOptions.has(name)
+                    ? (inlineValue !== undefined ? inlineValue : argv[++i])
+                    : true;
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        const [command, ...args] = positional;
+        return { command, args, options };
+    }
+
+    /**
+     * Check every selected pack against the schema and for duplicate words
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code
+     */
+    async validate(options) {
+        const packFiles = await this.getPackFiles(options);
+        let problems = 0;
+
+        for (const [pack, filePath] of packFiles) {
+            let words;
+            try {
+                words = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                this.error(`${pack}: ${path.basename(filePath)} is not valid JSON: ${error.message}`);
+                problems++;
+                continue;
+            }
+
+            if (!Array.isArray(words)) {
+                this.error(`${pack}: ${path.basename(filePath)} must contain an array of words`);
+                problems++;
+                continue;
+            }
+
+            const errors = [];
+            words.forEach((word, index) => {
+                const wordErrors = Validator.getWordErrors(word);
+                if (wordErrors.length > 0) {
+                    errors.push(`#${index + 1} ${this.describeEntry(word)}: ${wordErrors.join(', ')}`);
+                }
+            });
+
+            this.findExactDuplicates(words).forEach(group => {
+                errors.push(`duplicate word "${group[0].word}" at ${group.map(({ index }) => `#${index + 1}`).join(', ')}`);
+            });
+
+            if (errors.length === 0) {
+                this.print(chalk.green(`✔ ${pack}: ${words.length} valid words (${path.basename(filePath)})`));
+                continue;
+            }
+
+            problems += errors.length;
+            this.print(chalk.red(`✖ ${pack}: ${errors.length} problem(s) in ${path.basename(filePath)}`));
+            errors.forEach(error => this.print(`  ${error}`));
+        }
+
+        return problems > 0 ? 1 : 0;
+    }
+
+    /**
+     * Report words that appear twice, in one pack or across packs, and
+     * pairs that are spelled almost the same or share a definition
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code (1 if exact duplicates exist)
+     */
+    async duplicates(options) {
+        const packs = await this.readPacks(options);
+        let exact = 0;
+        let near = 0;
+
+        packs.forEach((words, pack) => {
+            this.findExactDuplicates(words).forEach(group => {
+                exact++;
+                this.print(chalk.red(`✖ ${pack}: "${group[0].word}" appears ${group.length} times (${group.map(({ index }) => `#${index + 1}`).join(', ')})`));
+            });
+
+            this.findNearDuplicates(words).forEach(({ a, b, reason }) => {
+                near++;
+                this.print(chalk.yellow(`⚠ ${pack}: "${a.word}" and "${b.word}" ${reason}`));
+            });
+        });
+
+        // The bot keys history by word, so the same word in two packs is ambiguous
+        const packsByWord = new Map();
+        packs.forEach((words, pack) => {
+            words.forEach(word => {
+                const key = TextSearch.normalize(word?.word);
+                if (!key) {
+                    return;
+                }
+                packsByWord.set(key, new Set([...(packsByWord.get(key) || []), pack]));
+            });
+        });
+        packsByWord.forEach((wordPacks, key) => {
+            if (wordPacks.size > 1) {
+                exact++;
+                this.print(chalk.red(`✖ "${key}" is in several packs: ${Array.from(wordPacks).join(', ')}`));
+            }
+        });
+
+        if (exact === 0 && near === 0) {
+            this.print(chalk.green('✔ No duplicates found'));
+        } else {
+            this.print(`\n${exact} duplicate(s), ${near} near-duplicate(s)`);
+        }
+
+        return exact > 0 ? 1 : 0;
+    }
+
+    /**
+     * Group the entries of a pack that have the same word
+     * @param {Array} words - Pack entries
+     * @returns {Array} - Groups of { word, index } with more than one entry
+     */
+    findExactDuplicates(words) {
+        const groups = new Map();
+
+        words.forEach((entry, index) => {
+            const key = TextSearch.normalize(entry?.word);
+            if (!key) {
+                return;
+            }
+            groups.set(key, [...(groups.get(key) || []), { word: entry.word, index }]);
+        });
+
+        return Array.from(groups.values()).filter(group => group.length > 1);
+    }
+
+    /**
+     * Find pairs of different words that are within typo distance of each
+     * other or have the same definition
+     * @param {Array} words - Pack entries
+     * @returns {Array} - Pairs with the reason they were matched
+     */
+    findNearDuplicates(words) {
+        const entries = words
+            .filter(entry => Validator.isNonEmptyString(entry?.word))
+            .map(entry => ({
+                entry,
+                key: TextSearch.normalize(entry.word),
+                definition: TextSearch.normalize(entry.definition)
+            }));
+        const pairs = [];
+
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const a = entries[i];
+                const b = entries[j];
+                if (a.key === b.key) {
+                    continue;
+                }
+
+                const tolerance = TextSearch.getTypoTolerance(Math.min(a.key.length, b.key.length));
+                const distance = TextSearch.editDistance(a.key, b.key);
+
+                if (distance <= tolerance) {
+                    pairs.push({ a: a.entry, b: b.entry, reason: `differ by ${distance} letter(s)` });
+                } else if (a.definition && a.definition === b.definition) {
+                    pairs.push({ a: a.entry, b: b.entry, reason: 'have the same definition' });
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Add a word to a pack, asking for each field
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code
+     */
+    async add(options) {
+        const { pack, filePath, words } = await this.readPackForEdit(options);
+
+        this.print(chalk.bold(`New word for pack ${pack}`));
+        this.print(chalk.gray(`Separate list items with "${LIST_SEPARATOR}". Leave optional fields empty to skip them.`));
+
+        const entry = await this.promptEntry({}, words);
+        if (!entry || !await this.confirmEntry(entry)) {
+            this.print('Nothing saved');
+            return 1;
+        }
+
+        await this.writePack(filePath, [...words, entry]);
+        this.print(chalk.green(`✔ Added "${entry.word}" to ${path.basename(filePath)}`));
+        return 0;
+    }
+
+    /**
+     * Edit a word of a pack, asking for each field with the current value as default
+     * @param {string} name - Word to edit
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code
+     */
+    async edit(name, options) {
+        const { filePath, words } = await this.readPackForEdit(options);
+        const index = this.findWordIndex(words, name);
+
+        if (index === -1) {
+            this.error(name ? `"${name}" is not in ${path.basename(filePath)}` : 'Usage: lexicalgem-words edit <word>');
+            return name ? 1 : 2;
+        }
+
+        this.print(chalk.bold(`Editing "${words[index].word}"`));
+        this.print(chalk.gray(`Press Enter to keep a value, "-" to clear an optional field. Separate list items with "${LIST_SEPARATOR}".`));
+
+        const entry = await this.promptEntry(words[index], words.filter((word, i) => i !== index));
+        if (!entry || !await this.confirmEntry(entry)) {
+            this.print('Nothing saved');
+            return 1;
+        }
+
+        const nextWords = [...words];
+        nextWords[index] = entry;
+        await this.writePack(filePath, nextWords);
+        this.print(chalk.green(`✔ Updated "${entry.word}" in ${path.basename(filePath)}`));
+        return 0;
+    }
+
+    /**
+     * Remove a word from a pack
+     * @param {string} name - Word to remove
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code
+     */
+    async remove(name, options) {
+        const { filePath, words } = await this.readPackForEdit(options);
+        const index = this.findWordIndex(words, name);
+
+        if (index === -1) {
+            this.error(name ? `"${name}" is not in ${path.basename(filePath)}` : 'Usage: lexicalgem-words remove <word>');
+            return name ? 1 : 2;
+        }
+
+        const entry = words[index];
+        this.print(`${entry.emoji || ''} ${chalk.bold(entry.word)}: ${entry.definition}`);
+
+        if (!options.yes && !await this.confirm(`Remove "${entry.word}"?`, false)) {
+            this.print('Nothing removed');
+            return 1;
+        }
+
+        await this.writePack(filePath, words.filter((word, i) => i !== index));
+        this.print(chalk.green(`✔ Removed "${entry.word}" from ${path.basename(filePath)}`));
+        return 0;
+    }
+
+    /**
+     * Sort a pack alphabetically by word
+     * @param {Object} options - Command options (--check only reports)
+     * @returns {Promise<number>} - Exit code (1 if --check finds it unsorted)
+     */
+    async sort(options) {
+        const { pack, filePath, words } = await this.readPackForEdit(options);
+        const sorted = this.sortWords(words, pack);
+        const isSorted = sorted.every((word, index) => word === words[index]);
+
+        if (isSorted) {
+            this.print(chalk.green(`✔ ${path.basename(filePath)} is already sorted`));
+            return 0;
+        }
+
+        if (options.check) {
+            this.print(chalk.yellow(`⚠ ${path.basename(filePath)} is not sorted, run lexicalgem-words sort --pack ${pack}`));
+            return 1;
+        }
+
+        await this.writePack(filePath, sorted);
+        this.print(chalk.green(`✔ Sorted ${words.length} words in ${path.basename(filePath)}`));
+        return 0;
+    }
+
+    /**
+     * Sort entries by word, ignoring case and accents
+     * @param {Array} words - Pack entries
+     * @param {string} pack - Pack ID, used as the collation locale when it is a language
+     * @returns {Array} - Sorted copy
+     */
+    sortWords(words, pack) {
+        let collator;
+        try {
+            collator = new Intl.Collator([pack, 'en'], { sensitivity: 'base' });
+        } catch (error) {
+            collator = new Intl.Collator('en', { sensitivity: 'base' });
+        }
+
+        return [...words].sort((a, b) => collator.compare(String(a?.word || ''), String(b?.word || '')));
+    }
+
+    /**
+     * Show how the bot buckets each pack into difficulties
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code
+     */
+    async difficulty(options) {
+        const packs = await this.readPacks(options, { validOnly: true });
+
+        packs.forEach((words, pack) => {
+            if (words.length === 0) {
+                this.print(chalk.yellow(`${pack}: no valid words`));
+                return;
+            }
+
+            const thresholds = this.wordService.getComplexityThresholds(words);
+            const rated = this.wordService.assignWordDifficulties(words, pack);
+
+            this.print(chalk.bold(`\n${pack}: ${words.length} words`) + chalk.gray(
+                ` (complexity = 8 × word length + definition length; easy ≤ ${thresholds.easyMax}, medium ≤ ${thresholds.mediumMax})`
+            ));
+
+            ['easy', 'medium', 'hard'].forEach(difficulty => {
+                const bucket = rated
+                    .filter(word => word.difficulty === difficulty)
+                    .map(word => ({ word: word.word, complexity: this.wordService.calculateWordComplexity(word) }))
+                    .sort((a, b) => a.complexity - b.complexity);
+
+                this.print(`  ${chalk.bold(`${difficulty} (${bucket.length})`)}: ${bucket.map(({ word, complexity }) => `${word} ${chalk.gray(complexity)}`).join(', ')}`);
+            });
+        });
+
+        return 0;
+    }
+
+    /**
+     * Show statistics for each pack and the whole collection
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code
+     */
+    async stats(options) {
+        const packs = await this.readPacks(options, { validOnly: true });
+        let total = 0;
+
+        packs.forEach((words, pack) => {
+            total += words.length;
+            this.print(chalk.bold(`\n📚 ${pack}: ${words.length} words`));
+
+            if (words.length === 0) {
+                return;
+            }
+
+            const rated = this.wordService.assignWordDifficulties(words, pack);
+            const difficulties = this.countBy(rated, word => [word.difficulty]);
+            this.print(`  Difficulty: ${['easy', 'medium', 'hard'].map(level => `${level} ${difficulties.get(level) || 0}`).join(' · ')}`);
+
+            const partsOfSpeech = this.countBy(words, word => (word.partOfSpeech ? [word.partOfSpeech] : ['(none)']));
+            this.print(`  Parts of speech: ${this.formatCounts(partsOfSpeech)}`);
+
+            const categories = this.countBy(rated, word => (word.categories.length > 0 ? word.categories : ['(none)']));
+            this.print(`  Categories: ${this.formatCounts(categories)}`);
+
+            const coverage = ['pronunciation', 'etymology', 'examples', 'synonyms', 'antonyms', 'source']
+                .map(field => `${field} ${words.filter(word => word[field] !== undefined).length}`);
+            this.print(`  Optional fields: ${coverage.join(', ')}`);
+
+            const lengths = words.map(word => word.definition.trim().length);
+            const average = Math.round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length);
+            this.print(`  Definition length: avg ${average}, min ${Math.min(...lengths)}, max ${Math.max(...lengths)} characters`);
+        });
+
+        this.print(chalk.bold(`\nTotal: ${total} words in ${packs.size} pack(s)`));
+        return 0;
+    }
+
+    /**
+     * Add the rows of a CSV or TSV file to a pack
+     * The first row names the columns (field names like word, definition,
+     * emoji, examples, or aliases such as front/back); list cells are split
+     * on ";". Lines starting with "#" (Anki headers) are ignored. Rows that
+     * break the schema are reported with their line number and nothing is
+     * written until the file is clean.
+     * @param {string} file - File to import
+     * @param {Object} options - Command options
+     * @returns {Promise<number>} - Exit code
+     */
+    async import(file, options) {
+        if (!file) {
+            this.error('Usage: lexicalgem-words import <file> [--pack <id>]');
+            return 2;
+        }
+
+        const delimiter = options.delimiter ? DELIMITERS[String(options.delimiter).toLowerCase()] : null;
+        if (options.delimiter && !delimiter) {
+            this.error(`Unknown delimiter "${options.delimiter}", use ${Object.keys(DELIMITERS).join(', ')}`);
+            return 2;
+        }
+
+        let text;
+        try {
+            text = await fs.readFile(path.resolve(process.cwd(), file), 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read ${file}: ${error.message}`);
+        }
+
+        // Blank the comment lines instead of dropping them to keep line numbers
+        const content = text.replace(/^\uFEFF/, '').replace(/^#.*$/gm, '');
+        const rows = Csv.parse(content, delimiter || Csv.detectDelimiter(content.trimStart()));
+        const [header, ...dataRows] = rows;
+        const columns = header ? this.mapColumns(header) : [];
+
+        if (!columns.includes('word') || !columns.includes('definition')) {
+            this.error(`${file} needs a header row with word and definition columns`);
+            return 1;
+        }
+
+        const ignored = header.filter((name, index) => !columns[index] && name.trim());
+        if (ignored.length > 0) {
+            this.print(chalk.gray(`Ignoring columns: ${ignored.join(', ')}`));
+        }
+
+        const { pack, filePath, words } = await this.readPackForEdit(options);
+        const emoji = options.emoji || DEFAULT_IMPORT_EMOJI;
+        const nextWords = [...words];
+        const seen = new Set();
+        const invalid = [];
+        const counts = { added: 0, updated: 0, skipped: 0 };
+
+        dataRows.forEach(row => {
+            const entry = this.rowToEntry(row, columns);
+            const index = entry.word ? this.findWordIndex(nextWords, entry.word) : -1;
+            // Updated words keep their emoji unless the row has one; new words get the default
+            const nextEntry = index !== -1 && options.update
+                ? { ...nextWords[index], ...entry }
+                : this.rowToEntry(row, columns, emoji);
+            const errors = Validator.getWordErrors(nextEntry);
+
+            if (errors.length > 0) {
+                invalid.push(`line ${row.line}: ${errors.join(', ')}`);
+                return;
+            }
+
+            const key = TextSearch.normalize(entry.word);
+            if (seen.has(key)) {
+                this.print(chalk.yellow(`⚠ line ${row.line}: "${entry.word}" appears earlier in the file, skipped`));
+                counts.skipped++;
+                return;
+            }
+            seen.add(key);
+
+            if (index === -1) {
+                nextWords.push(nextEntry);
+                counts.added++;
+            } else if (options.update) {
+                nextWords[index] = nextEntry;
+                counts.updated++;
+            } else {
+                counts.skipped++;
+            }
+        });
+
+        if (invalid.length > 0) {
+            invalid.forEach(problem => this.print(chalk.red(`✖ ${problem}`)));
+            this.print(chalk.red(`${invalid.length} invalid row(s), nothing imported`));
+            return 1;
+        }
+
+        const summary = `${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped`;
+        if (counts.skipped > 0 && !options.update) {
+            this.print(chalk.gray('Words already in the pack were skipped, use --update to replace them'));
+        }
+
+        if (options['dry-run']) {
+            this.print(`Dry run for pack ${pack}: ${summary}`);
+            return 0;
+        }
+
+        if (counts.added + counts.updated > 0) {
+            await this.writePack(filePath, nextWords);
+        }
+
+        this.print(chalk.green(`✔ ${path.basename(filePath)}: ${summary}`));
+        return 0;
+    }
+
+    /**
+     * Map header cells to field names
+     * @param {Array} header - Header row
+     * @returns {Array} - Field name per column (undefined for unknown columns)
+     */
+    mapColumns(header) {
+        const normalize = name => name.trim().toLowerCase().replace(/[\s_-]/g, '');
+        const lookup = new Map();
+        FIELDS.forEach(field => {
+            [field.name, ...(COLUMN_ALIASES[field.name] || [])].forEach(name => {
+                lookup.set(normalize(name), field.name);
+            });
+        });
+
+        const columns = [];
+        header.forEach(cell => {
+            const field = lookup.get(normalize(cell));
+            // The first column wins when two map to the same field
+            columns.push(field && !columns.includes(field) ? field : undefined);
+        });
+        return columns;
+    }
+
+    /**
+     * Build a pack entry from an import row, fields in the stored order
+     * @param {Array} row - Cells
+     * @param {Array} columns - Field name per column
+     * @param {string} emoji - Emoji for rows without one (none if omitted)
+     * @returns {Object} - Entry
+     */
+    rowToEntry(row, columns, emoji) {
+        const values = {};
+        columns.forEach((name, index) => {
+            const cell = (row[index] || '').trim();
+            if (name && cell) {
+                values[name] = cell;
+            }
+        });
+
+        const entry = {};
+        FIELDS.forEach(field => {
+            const value = field.name === 'emoji' ? values.emoji || emoji : values[field.name];
+            if (value !== undefined) {
+                entry[field.name] = this.parseFieldValue(field, value);
+            }
+        });
+        return entry;
+    }
+
+    /**
+     * Count entries by one or more keys each
+     * @param {Array} items - Items to count
+     * @param {Function} getKeys - Returns the keys of an item
+     * @returns {Map} - key -> count, most frequent first
+     */
+    countBy(items, getKeys) {
+        const counts = new Map();
+        items.forEach(item => {
+            getKeys(item).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+        });
+        return new Map(Array.from(counts).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b)));
+    }
+
+    /**
+     * Format counts as `key n, key n`
+     * @param {Map} counts - key -> count
+     * @returns {string} - Formatted counts
+     */
+    formatCounts(counts) {
+        return Array.from(counts, ([key, count]) => `${key} ${count}`).join(', ');
+    }
+
+    /**
+     * Get the pack files to read: one with --pack, otherwise all of them
+     * @param {Object} options - Command options
+     * @returns {Promise<Map>} - pack ID -> file path
+     */
+    async getPackFiles(options) {
+        const packFiles = await this.wordService.findPackFiles();
+
+        if (!options.pack) {
+            if (packFiles.size === 0) {
+                throw new Error(`No word pack files (words.<pack>.json) in ${this.wordsDir}`);
+            }
+            return packFiles;
+        }
+
+        const pack = String(options.pack).toLowerCase();
+        if (!packFiles.has(pack)) {
+            throw new Error(`Unknown pack "${options.pack}", available: ${Array.from(packFiles.keys()).join(', ') || 'none'}`);
+        }
+
+        return new Map([[pack, packFiles.get(pack)]]);
+    }
+
+    /**
+     * Read the selected packs
+     * @param {Object} options - Command options
+     * @param {Object} readOptions - { validOnly } drops entries that break the schema
+     * @returns {Promise<Map>} - pack ID -> entries
+     */
+    async readPacks(options, readOptions = {}) {
+        const packs = new Map();
+
+        for (const [pack, filePath] of await this.getPackFiles(options)) {
+            const words = await this.readWords(filePath);
+            packs.set(pack, readOptions.validOnly ? words.filter(word => Validator.isValidWord(word)) : words);
+        }
+
+        return packs;
+    }
+
+    /**
+     * Read the pack a write command works on (--pack or the default pack)
+     * @param {Object} options - Command options
+     * @returns {Promise<Object>} - pack, filePath and entries
+     */
+    async readPackForEdit(options) {
+        const pack = String(options.pack || this.defaultPack).toLowerCase();
+        const packFiles = await this.wordService.findPackFiles();
+        const filePath = packFiles.get(pack) || path.join(this.wordsDir, `words.${pack}.json`);
+
+        if (!packFiles.has(pack)) {
+            this.print(chalk.gray(`${path.basename(filePath)} does not exist yet, it will be created`));
+            return { pack, filePath, words: [] };
+        }
+
+        return { pack, filePath, words: await this.readWords(filePath) };
+    }
+
+    /**
+     * Read a pack file
+     * @param {string} filePath - Pack file path
+     * @returns {Promise<Array>} - Entries
+     */
+    async readWords(filePath) {
+        let words;
+        try {
+            words = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read ${path.basename(filePath)}: ${error.message}`);
+        }
+
+        if (!Array.isArray(words)) {
+            throw new Error(`${path.basename(filePath)} must contain an array of words`);
+        }
+
+        return words;
+    }
+
+    /**
+     * Write a pack file atomically (temporary file, then rename), so the
+     * running bot never reloads a half-written file
+     * @param {string} filePath - Pack file path
+     * @param {Array} words - Entries
+     * @returns {Promise<void>}
+     */
+    async writePack(filePath, words) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, `${JSON.stringify(words, null, 2)}\n`, 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * Find a word in a pack, ignoring case and accents
+     * @param {Array} words - Entries
+     * @param {string} name - Word
+     * @returns {number} - Index, or -1
+     */
+    findWordIndex(words, name) {
+        const key = TextSearch.normalize(name);
+        return key ? words.findIndex(word => TextSearch.normalize(word?.word) === key) : -1;
+    }
+
+    /**
+     * Ask for every field of an entry until each one is valid
+     * @param {Object} current - Current entry (empty when adding)
+     * @param {Array} others - The other entries of the pack
+     * @returns {Promise<Object|null>} - New entry, or null if input ended
+     */
+    async promptEntry(current, others) {
+        const entry = {};
+
+        for (const field of FIELDS) {
+            for (;;) {
+                const currentValue = current[field.name];
+                const shown = field.list && Array.isArray(currentValue)
+                    ? currentValue.join(`${LIST_SEPARATOR} `)
+                    : currentValue;
+                const hint = [field.hint, shown].filter(Boolean).join(' | ');
+                const label = `${field.name}${field.required ? '*' : ''}${hint ? chalk.gray(` [${hint}]`) : ''}: `;
+
+                const answer = await this.ask(label);
+                if (answer === null) {
+                    return null;
+                }
+
+                const value = this.parseFieldValue(field, answer.trim(), currentValue);
+                if (value === undefined) {
+                    delete entry[field.name];
+                } else {
+                    entry[field.name] = value;
+                }
+
+                const errors = Validator.getWordErrors(entry)
+                    .filter(error => error.startsWith(`${field.name} `));
+
+                if (field.name === 'word' && this.findWordIndex(others, entry.word) !== -1) {
+                    errors.push(`"${entry.word}" is already in this pack`);
+                }
+
+                if (errors.length === 0) {
+                    break;
+                }
+
+                this.print(chalk.red(`  ${errors.join(', ')}`));
+            }
+        }
+
+        // Keep fields this tool doesn't know about
+        Object.keys(current)
+            .filter(key => !FIELDS.some(field => field.name === key))
+            .forEach(key => {
+                entry[key] = current[key];
+            });
+
+        return entry;
+    }
+
+    /**
+     * Turn a typed answer into a field value
+     * @param {Object} field - Field definition
+     * @param {string} answer - Trimmed answer
+     * @param {*} currentValue - Value before editing
+     * @returns {*} - New value (undefined removes the field)
+     */
+    parseFieldValue(field, answer, currentValue) {
+        if (answer === '') {
+            return currentValue;
+        }
+
+        if (answer === '-' && !field.required) {
+            return undefined;
+        }
+
+        if (field.list) {
+            return answer.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+        }
+
+        return answer;
+    }
+
+    /**
+     * Show an entry and ask whether to save it
+     * @param {Object} entry - Entry
+     * @returns {Promise<boolean>} - True to save
+     */
+    async confirmEntry(entry) {
+        this.print(`\n${JSON.stringify(entry, null, 2)}\n`);
+        return this.confirm('Save?', true);
+    }
+
+    /**
+     * Ask a yes/no question
+     * @param {string} question - Question
+     * @param {boolean} defaultAnswer - Answer when Enter is pressed
+     * @returns {Promise<boolean>} - Answer
+     */
+    async confirm(question, defaultAnswer) {
+        const answer = await this.ask(`${question} ${defaultAnswer ? '[Y/n]' : '[y/N]'} `);
+        if (answer === null || answer.trim() === '') {
+            return answer === null ? false : defaultAnswer;
+        }
+
+        return /^y(es)?$/i.test(answer.trim());
+    }
+
+    /**
+     * Print a prompt and wait for the next input line
+     * Lines are queued as they arrive, so piped input works too
+     * @param {string} prompt - Prompt
+     * @returns {Promise<string|null>} - Line, or null when input has ended
+     */
+    async ask(prompt) {
+        this.openInput();
+        this.output.write(prompt);
+
+        if (this.lines.length > 0) {
+            return this.lines.shift();
+        }
+
+        if (this.inputClosed) {
+            return null;
+        }
+
+        return new Promise(resolve => this.lineWaiters.push(resolve));
+    }
+
+    /**
+     * Start reading input lines
+     */
+    openInput() {
+        if (this.readline) {
+            return;
+        }
+
+        this.readline = readline.createInterface({ input: this.input });
+        this.readline.on('line', line => {
+            const waiter = this.lineWaiters.shift();
+            if (waiter) {
+                waiter(line);
+            } else {
+                this.lines.push(line);
+            }
+        });
+        this.readline.on('close', () => {
+            this.inputClosed = true;
+            this.lineWaiters.splice(0).forEach(waiter => waiter(null));
+        });
+    }
+
+    /**
+     * Stop reading input so the process can exit
+     */
+    closeInput() {
+        if (this.readline) {
+            this.readline.close();
+            this.readline = null;
+        }
+    }
+
+    /**
+     * Describe an entry in messages
+     * @param {*} entry - Entry
+     * @returns {string} - Word or a placeholder
+     */
+    describeEntry(entry) {
+        return Validator.isNonEmptyString(entry?.word) ? `"${entry.word}"` : '(no word)';
+    }
+
+    print(text) {
+        this.output.write(`${text}\n`);
+    }
+
+    error(text) {
+        this.print(chalk.red(`Error: ${text}`));
+    }
+}
+
+module.exports = WordsCli;
@@ -15,6 +15,8 @@ const Logger = require('./utils/Logger');
 const BotManager = require('./bot/BotManager');
 const config = require('../config');
 
+Logger.configure(config.logging);
+
 // Global error handlers
 process.on('uncaughtException', (error) => {
     Logger.error('Uncaught Exception', { 
@@ -103,6 +105,7 @@ async function shutdown() {
         }
         
         Logger.success('✅ Shutdown completed successfully');
+        Logger.close();
         process.exit(0);
         
     } catch (error) {
@@ -0,0 +1,389 @@
+// English message catalog.
+// Every key must exist here: other locales fall back to it for missing translations.
+// Placeholders use {name} and are filled by I18n.t.
+
+module.exports = {
+    LANGUAGE_NAME: 'English',
+
+    WELCOME: `🤖 *Welcome to LexicalGem!*
+
+"Learn a word you didn't know you needed."
+
+✨ *How to use:*
+Type /word to receive a rare, elegant, or fun word with its definition.
+
+📚 *About:*
+LexicalGem is your daily dose of linguistic treasures. Discover words that will make your vocabulary sparkle!
+
+💡 *Commands:*
+/word - Get a random rare word
+/stats - View bot statistics
+/help - Show help message`,
+
+    HELP: `🤖 *LexicalGem Commands*
+
+📚 *Basic Commands:*
+/start - Welcome message and introduction
+/word - Get a random rare word (no repetition until you've seen them all)
+/stats - Show your progress and bot statistics
+/help - Show this help message
+
+🚀 *Advanced Commands:*
+/wordoftheday - Get today's special word (or a past one: /wordoftheday yesterday)
+/history - View your word discovery history
+/random - Get a completely random word (can repeat)
+/difficulty - Change word difficulty (easy/medium/hard)
+/category - Pick the word categories you want (e.g. /category nature)
+/share - Share a word with friends
+/define - Look up a word (e.g. /define petrichor)
+/search - Search words and definitions (e.g. /search rain)
+/review - Review words you've seen with spaced repetition (/review favorites for saved words only)
+/quiz - Multiple-choice quiz on your words (/quiz reverse for definition → word, /quiz favorites for saved words)
+/favorites - Words you saved with ⭐ Save
+/suggest - Suggest a new word (e.g. /suggest Petrichor — the smell of rain on dry earth)
+/subscribe - Get a word every day (e.g. /subscribe 08:30 Europe/Madrid)
+/unsubscribe - Stop daily words
+/language - Choose the bot's language
+/pack - Choose which word packs to learn from (e.g. /pack es)
+/export - Download your words as CSV, Anki cards or a Markdown glossary
+/badges - See the badges you've earned and the ones still locked
+
+👥 *Group Commands:*
+/settings - Show the group settings; group admins can set the difficulty, pack and daily post time
+/leaderboard - Rank the group by words discovered, quiz score or streak
+
+💡 *Tip:* Use /word whenever you want to expand your vocabulary with something special!`,
+
+    UNKNOWN_COMMAND: `💎 *LexicalGem*
+
+I'm here to share rare words with you!
+
+Try typing /word to discover a linguistic gem, or /help to see all available commands.`,
+
+    NO_WORDS_AVAILABLE: '❌ No words available at the moment. Please try again later.',
+    ERROR_GENERIC: '❌ An error occurred while processing your request. Please try again later.',
+    ERROR_CALLBACK: '❌ An error occurred while processing your request.',
+    RATE_LIMITED: '⏳ Whoa, slow down! Please wait {seconds}s before trying that again.',
+
+    TOKEN_NOT_CONFIGURED: '❌ Bot token not configured! Please set BOT_TOKEN_CODE in your .env file',
+    TOKEN_EXAMPLE: '💡 Example: BOT_TOKEN_CODE=1234567890:ABCdefGHIjklMNOpqrsTUVwxyz',
+    TOKEN_SUCCESS: '✅ Bot token configured successfully',
+
+    // Word Messages
+    WORD_PROGRESS: '📊 *Progress:* {used}/{total} {pool} words discovered ({progress}% complete)',
+    WORD_STREAK: '🔥 *Streak:* {streak} days',
+    WORD_TIP: '💡 *Tip:* Use /history to see your discovered words!',
+    WORD_DETAILS: {
+        etymology: 'Etymology',
+        examples: 'Examples',
+        synonyms: 'Synonyms',
+        antonyms: 'Antonyms',
+        source: 'Source'
+    },
+    DIFFICULTY_LABELS: {
+        all: 'all',
+        easy: 'easy',
+        medium: 'medium',
+        hard: 'hard'
+    },
+
+    // Stats Messages
+    STATS: `📊 *LexicalGem Statistics*
+
+📚 *Word Collection:*
+• Total words: *{totalWords}*
+{packs}
+
+🎯 *Your Cycles:*
+{cycles}
+• Streak: *{streak} days*
+
+🧩 *Quiz:*
+• Answered: *{quizAnswered}*
+• Accuracy: *{quizAccuracy}%* ({quizCorrect} correct)
+
+🤖 *Bot Activity:*
+• Total requests: *{totalRequests}*
+• Unique users: *{uniqueUsers}*
+• Uptime: *{uptime}*
+
+{footer}`,
+    STATS_PACK: '• {pack}: *{count}* words ({seen} seen by you)',
+    STATS_CYCLE: '• {pool}: *{used}/{total}* discovered, *{remaining}* left ({progress}%)',
+    STATS_CYCLE_COMPLETE: '🔄 You have seen every word in this cycle! Next /word will start a new cycle.',
+    STATS_KEEP_EXPLORING: '💡 Keep exploring to see all our linguistic gems!',
+
+    // Advanced Commands Messages
+    WORD_OF_THE_DAY: '🌟 *Word of the Day*',
+    WORD_OF_THE_DAY_TITLE: '🌟 *Word of the Day*',
+    WORD_OF_THE_DAY_FOOTER: '📅 *Today\'s special word for everyone!*',
+    WORD_OF_THE_DAY_ARCHIVE_TITLE: '🌟 *Word of the Day* — {date}',
+    WORD_OF_THE_DAY_NOT_FOUND: '📭 No word of the day was recorded for *{date}*.',
+    WORD_OF_THE_DAY_FUTURE: '🔮 No peeking! The word for *{date}* hasn\'t been chosen yet.',
+    WORD_OF_THE_DAY_USAGE: `❌ Invalid date.
+
+*Usage:* /wordoftheday [today|yesterday|YYYY-MM-DD]
+*Example:* /wordoftheday 2026-10-01`,
+    HISTORY_TITLE: '📚 *Your Word History*',
+    HISTORY_TOTAL: '📊 *Total words discovered:* {count}',
+    NO_HISTORY: 'You haven\'t discovered any words yet.',
+    DIFFICULTY_SETTINGS: `🎯 *Difficulty Settings*
+
+Current difficulty: *{difficulty}*
+
+To change difficulty, use:
+/difficulty easy
+/difficulty medium
+/difficulty hard
+
+💡 *Note:* Difficulty affects word selection preferences.`,
+    DIFFICULTY_CHANGED: 'Difficulty level updated successfully!',
+    INVALID_DIFFICULTY: 'Invalid difficulty level. Use: easy, medium, or hard',
+    SHARE_MESSAGE: 'Share this word with your friends!',
+    SHARE_FOOTER: '🤖 *Shared via LexicalGem Bot*\n💎 *Learn a word you didn\'t know you needed!*',
+    RANDOM_WORD_TITLE: '🎲 *Random Word*',
+    RANDOM_WORD_FOOTER: '🎲 *Completely random selection (may repeat)*',
+
+    // Review Messages
+    REVIEW_TITLE: '🧠 *Review Time*',
+    REVIEW_PROMPT: 'Do you remember what it means? Grade your recall:',
+    REVIEW_DUE_COUNT: '📚 *Due for review:* {count}',
+    REVIEW_NO_CARDS: 'You have no words to review yet. Use /word to discover some first!',
+    REVIEW_NONE_DUE: '🎉 *All caught up!* No words are due for review right now.\n\n⏰ Next review: *{date}*',
+    REVIEW_NOT_SCHEDULED: 'This word is not in your review schedule.',
+    REVIEW_NOT_YOURS: 'This card is someone else\'s review. Send /review for yours.',
+    REVIEW_NO_FAVORITES: 'You have no favorites to review yet. Tap *⭐ Save* under a word to add one!',
+    REVIEW_GRADES: {
+        forgot: '😵 Forgot',
+        hard: '😓 Hard',
+        good: '🙂 Good',
+        easy: '😎 Easy'
+    },
+    REVIEW_RESULT: `✅ *Graded:* {grade}
+⏰ *Next review:* {next}
+📚 *Still due:* {due}`,
+    REVIEW_TOMORROW: 'tomorrow',
+    REVIEW_IN_DAYS: 'in {days} days',
+    REVIEW_NEXT_NOTICE: 'Next review {next}',
+    REVIEW_NEXT: '➡️ Next review',
+
+    // Quiz Messages
+    QUIZ_TITLE: '❓ *Quiz Time*',
+    QUIZ_WORD_PROMPT: 'Which word matches this definition?',
+    QUIZ_DEFINITION_PROMPT: 'What does {emoji} *{word}* mean?',
+    QUIZ_NO_WORDS: 'You need to discover some words before taking a quiz. Use /word to get started!',
+    QUIZ_NO_FAVORITES: 'Save some words with *⭐ Save* before taking a favorites quiz.',
+    QUIZ_NOT_ENOUGH_WORDS: '❌ Not enough words are available to build a quiz right now.',
+    QUIZ_EXPIRED: 'This question has expired. Send /quiz for a new one.',
+    QUIZ_CORRECT: '✅ *Correct!*',
+    QUIZ_INCORRECT: '❌ *Not quite.* The answer was *{answer}*.',
+    QUIZ_CORRECT_NOTICE: '✅ Correct!',
+    QUIZ_INCORRECT_NOTICE: '❌ Incorrect',
+    QUIZ_ACCURACY: '🎯 *Accuracy:* {accuracy}% ({correct}/{answered})',
+    QUIZ_NEXT: '➡️ Next question',
+
+    // Subscription Messages
+    SUBSCRIBED: `✅ *Subscribed!*
+
+You'll receive {content} every day at *{time}* ({timezone}).
+
+Use /unsubscribe to stop.`,
+    SUBSCRIBE_CONTENT_WORD: 'a new word',
+    SUBSCRIBE_CONTENT_WORD_OF_THE_DAY: 'the word of the day',
+    SUBSCRIBE_USAGE: `❌ {error}
+
+*Usage:* /subscribe [HH:MM] [timezone] [word|wotd]
+*Example:* /subscribe 08:30 Europe/Madrid`,
+    SUBSCRIBE_UNKNOWN_ARGUMENT: 'Unknown time or time zone: {argument}',
+    UNSUBSCRIBED: '👋 You have been unsubscribed from daily words.',
+    NOT_SUBSCRIBED: 'You are not subscribed. Use /subscribe to get a word every day.',
+    DAILY_WORD_TITLE: '☀️ *Your Daily Word*',
+    DAILY_WORD_PROGRESS: '📊 *Progress:* {used}/{total} words discovered ({progress}% complete)',
+    DAILY_WORD_FOOTER: '🔕 Use /unsubscribe to stop daily words.',
+    GROUP_DAILY_WORD_FOOTER: '⏰ Group admins can move this post with /settings time or stop it with /settings time off.',
+
+    // Category Messages
+    CATEGORY_TITLE: '🏷️ *Word Categories*',
+    CATEGORY_CURRENT: 'Current filter: *{categories}*',
+    CATEGORY_PROMPT: 'Tap a category to add or remove it. /word draws from any selected category.',
+    CATEGORY_ALL: 'All categories',
+    CATEGORY_CLEAR: '🔄 All categories',
+    CATEGORY_UNKNOWN: '❌ Unknown category: *{category}*\n\nAvailable: {categories}',
+    CATEGORY_UPDATED: '✅ Categories updated: *{categories}*',
+
+    // Lookup Messages
+    DEFINE_USAGE: '*Usage:* /define <word>\n*Example:* /define petrichor',
+    DEFINE_NOT_FOUND: '🔍 *{word}* is not in the collection yet.',
+    DEFINE_SUGGESTIONS: '💡 *Did you mean:* {suggestions}',
+    SEARCH_USAGE: '*Usage:* /search <text>\n*Example:* /search rain\n\nSearch needs at least 2 characters.',
+    SEARCH_NO_RESULTS: '🔍 No words match *{query}*.',
+    SEARCH_TITLE: '🔍 *Search:* {query}',
+    SEARCH_PAGE: '📄 Page {page}/{totalPages} · {total} matches',
+    SEARCH_PREVIOUS: '◀️ Previous',
+    SEARCH_NEXT: 'Next ▶️',
+
+    // Inline Mode Messages
+    INLINE_FOOTER: '💎 *Shared via LexicalGem*',
+    INLINE_WORD_OF_THE_DAY: '🌟 Word of the day: {word}',
+    INLINE_HISTORY: '📚 From your history: {word}',
+
+    // Language Messages
+    LANGUAGE_TITLE: '🌐 *Language*',
+    LANGUAGE_CURRENT: 'Current language: *{language}*',
+    LANGUAGE_CURRENT_AUTO: 'Current language: *{language}* (from your Telegram settings)',
+    LANGUAGE_PROMPT: 'Pick a language, or choose automatic to follow your Telegram settings.',
+    LANGUAGE_AUTO: '🌐 Automatic',
+    LANGUAGE_UPDATED: '✅ Language set to *{language}*.',
+    LANGUAGE_UPDATED_AUTO: '✅ Language follows your Telegram settings again (*{language}*).',
+    LANGUAGE_UNKNOWN: '❌ Unknown language: *{language}*\n\nAvailable: {languages}',
+
+    // Word Pack Messages
+    PACK_TITLE: '📦 *Word Packs*',
+    PACK_CURRENT: 'Learning from: *{packs}*',
+    PACK_PROMPT: 'Tap a pack to add or remove it. /word, /random and /wordoftheday draw from every selected pack, and each pack keeps its own cycle.',
+    PACK_DEFAULT: '🔄 Default ({pack})',
+    PACK_UNKNOWN: '❌ Unknown word pack: *{pack}*\n\nAvailable: {packs}',
+    PACK_UPDATED: '✅ Word packs updated: *{packs}*',
+
+    // Export Messages
+    EXPORT_PROMPT: '📤 *Export your words*\n\nPick a format:\n• *CSV* for spreadsheets\n• *Anki* to import as flashcards (File → Import)\n• *Markdown* for a printable glossary',
+    EXPORT_CSV: '📊 CSV',
+    EXPORT_ANKI: '🗂️ Anki',
+    EXPORT_MD: '📝 Markdown',
+    EXPORT_EMPTY: '📭 You haven\'t discovered any words yet. Use /word to start!',
+    EXPORT_CAPTION: '📤 Your {count} discovered words',
+    EXPORT_SENT_PRIVATELY: '📬 Your export is in our private chat.',
+    EXPORT_PRIVATE_FAILED: '📬 Exports are sent privately, but I can\'t message you yet. Open a private chat with me, press *Start*, then try /export again.',
+    EXPORT_UNKNOWN_FORMAT: '❌ Unknown export format: *{format}*\n\nAvailable: {formats}',
+    EXPORT_MD_TITLE: 'LexicalGem Glossary',
+    EXPORT_MD_SUMMARY: '{count} words discovered with LexicalGem.',
+
+    // Favorites Messages
+    FAVORITE_SAVE: '⭐ Save',
+    FAVORITE_SAVE_WORD: '⭐ Save {word}',
+    FAVORITE_SAVED: '⭐ {word} saved to your favorites',
+    FAVORITE_ALREADY_SAVED: '{word} is already in your favorites',
+    FAVORITE_REMOVED: '🗑️ {word} removed from your favorites',
+    FAVORITES_TITLE: '⭐ *Your Favorites* ({count})',
+    FAVORITES_EMPTY: '⭐ You have no favorites yet. Tap *⭐ Save* under any word to keep it here.',
+    FAVORITES_PAGE: '📄 Page {page}/{totalPages} · Tap 🗑️ to remove a word',
+    FAVORITES_REVIEW: '🧠 Review favorites',
+    FAVORITES_QUIZ: '❓ Quiz favorites',
+
+    // Suggestion Messages
+    SUGGEST_USAGE: `💡 *Suggest a word*
+
+Send \`/suggest <word> — <definition>\`, for example:
+\`/suggest Petrichor — the pleasant smell of rain falling on dry earth\`
+
+You can start with an emoji: \`/suggest 🌧️ Petrichor — ...\``,
+    SUGGEST_INVALID_WORD: '❌ The word should be a single term of at most 40 characters (accented letters count as two), without digits or symbols.',
+    SUGGEST_INVALID_DEFINITION: '❌ The definition should be between 10 and 500 characters long.',
+    SUGGEST_EXISTS: '📚 *{word}* is already in our collection. Try /define {word}',
+    SUGGEST_DUPLICATE: '⏳ *{word}* has already been suggested and is waiting for review.',
+    SUGGEST_LIMIT: '⏳ You already have {count} suggestions waiting for review. Please wait until they are reviewed before sending more.',
+    SUGGEST_RECEIVED: '🙏 Thanks! *{word}* was sent to our editors for review. We\'ll let you know what they decide.',
+    SUGGEST_APPROVED: '🎉 Your suggestion *{word}* was approved and is now part of the collection!',
+    SUGGEST_REJECTED: '📝 Your suggestion *{word}* wasn\'t added this time. Thanks for contributing!',
+
+    // Group Messages
+    SETTINGS_GROUP_ONLY: '👥 /settings is for group chats. In a private chat, use /difficulty, /pack and /subscribe.',
+    SETTINGS_ADMIN_ONLY: '🔒 Only group admins can change this.',
+    SETTINGS_GROUP: `⚙️ *Group Settings*
+
+🎯 Difficulty: *{difficulty}*
+📦 Pack: *{pack}*
+⏰ Daily word of the day: *{schedule}*
+
+Group admins can change these with the buttons below or with /settings difficulty, /settings pack and /settings time.`,
+    SETTINGS_MEMBER_DEFAULT: 'each member\'s own',
+    SETTINGS_SCHEDULE_OFF: 'off',
+    SETTINGS_DIFFICULTY_DEFAULT: '🔄 Members\' difficulty',
+    SETTINGS_PACK_DEFAULT: '🔄 Members\' packs',
+    SETTINGS_UPDATED: '✅ Group settings updated.',
+    SETTINGS_USAGE: `*Usage:*
+/settings difficulty easy|medium|hard|default
+/settings pack <id>|default
+/settings time <HH:MM> [time zone]
+/settings time off`,
+    LEADERBOARD_GROUP_ONLY: '👥 Leaderboards rank the members of a group. Add me to a group and send /leaderboard there!',
+    LEADERBOARD_USAGE: '*Usage:* /leaderboard [words|quiz|streak]',
+    LEADERBOARD_TITLE: '🏆 *Leaderboard · {metric}*',
+    LEADERBOARD_METRICS: {
+        words: 'Words',
+        quiz: 'Quiz',
+        streak: 'Streak'
+    },
+    LEADERBOARD_VALUES: {
+        words: '{count} words discovered',
+        quiz: '{count} correct answers',
+        streak: '{count}-day streak'
+    },
+    LEADERBOARD_ENTRY: '{rank} {name} — {value}',
+    LEADERBOARD_EMPTY: 'Nobody here has scored yet. Try /word or /quiz to get on the board!',
+    LEADERBOARD_YOUR_RANK: '📍 You: #{rank} · {value}',
+
+    // Achievement Messages
+    ACHIEVEMENTS: {
+        first_word: { name: 'First Word', description: 'Discover your first word' },
+        words_25: { name: 'Word Collector', description: 'Discover 25 words' },
+        words_100: { name: 'Lexicon Builder', description: 'Discover 100 words' },
+        streak_7: { name: 'Week Streak', description: 'Keep a 7-day streak' },
+        streak_30: { name: 'Unstoppable', description: 'Keep a 30-day streak' },
+        hard_cycle: { name: 'Diamond Mind', description: 'Complete a full cycle of the hard words of a pack' },
+        quiz_100: { name: 'Quiz Veteran', description: 'Answer 100 quiz questions' },
+        favorites_10: { name: 'Curator', description: 'Save 10 favorite words' },
+        polyglot: { name: 'Polyglot', description: 'Discover words from two different packs' }
+    },
+    ACHIEVEMENT_LINE: '{emoji} *{name}* — {description}',
+    ACHIEVEMENT_UNLOCKED: `🏅 *Badge unlocked!*
+
+{badges}
+
+See all your badges with /badges`,
+    ACHIEVEMENT_UNLOCKED_GROUP: `🏅 *{name}* unlocked a badge!
+
+{badges}`,
+    BADGES_TITLE: '🏅 *Your Badges* ({earned}/{total})',
+    BADGES_EARNED: '*Earned:*',
+    BADGES_LOCKED: '*Locked:*',
+    BADGES_EARNED_LINE: '{emoji} *{name}* — {description} ({date})',
+    BADGES_LOCKED_LINE: '🔒 *{name}* — {description} · {current}/{target}',
+    BADGES_NONE: 'No badges yet. Discover your first word with /word!',
+
+    // Admin Messages
+    ADMIN_USAGE: `🛠️ *Admin Commands*
+
+/admin reload - Reload the word packs
+/admin stats - Bot and usage statistics
+/admin user <id> - Inspect a user's progress
+/admin resetcycle <id|all> - Reset word cycles
+/admin suggestions - Review pending word suggestions
+/admin edit <id> <word> — <definition> - Correct a suggestion`,
+    ADMIN_RELOAD_SUCCESS: '✅ Reloaded *{count}* words.',
+    ADMIN_RELOAD_FAILED: '❌ The words file is invalid, check the logs. The previous list stays active.',
+    ADMIN_USER_USAGE: '*Usage:* /admin user <id>',
+    ADMIN_USER_NOT_FOUND: '🔍 No data for user *{userId}*.',
+    ADMIN_RESET_USAGE: '*Usage:* /admin resetcycle <id|all>',
+    ADMIN_RESET_USER: '🔄 Word cycles reset for user *{userId}*.',
+    ADMIN_RESET_ALL: '🔄 Word cycles reset for all users.',
+    ADMIN_SUGGESTION: `💡 *Word suggestion #{id}*
+
+{emoji} *{word}* — {definition}
+
+📦 Pack: *{pack}*
+👤 From: {user}`,
+    ADMIN_SUGGESTION_APPROVE: '✅ Approve',
+    ADMIN_SUGGESTION_REJECT: '❌ Reject',
+    ADMIN_SUGGESTION_EDIT: '✏️ Edit',
+    ADMIN_SUGGESTION_APPROVED: '✅ *Approved* by {admin}: {emoji} *{word}* was added to pack *{pack}*.',
+    ADMIN_SUGGESTION_REJECTED: '❌ *Rejected* by {admin}: {emoji} *{word}*',
+    ADMIN_SUGGESTION_EXISTS: '⚠️ *{word}* is already in pack *{pack}*, the suggestion was closed.',
+    ADMIN_SUGGESTION_HANDLED: 'This suggestion was already handled.',
+    ADMIN_SUGGESTION_EDIT_HINT: '✏️ Send the corrected entry for suggestion #{id}:\n\n`/admin edit {id} {emoji} {word} — {definition}`',
+    ADMIN_SUGGESTION_EDIT_USAGE: '*Usage:* /admin edit <id> <word> — <definition>',
+    ADMIN_SUGGESTION_NOT_FOUND: '🔍 No pending suggestion #{id}.',
+    ADMIN_SUGGESTION_INVALID: '❌ Invalid entry: {problems}',
+    ADMIN_SUGGESTIONS_EMPTY: '📭 No pending word suggestions.',
+    ADMIN_SUGGESTIONS_COUNT: '💡 *{count}* pending word suggestion(s):'
+};
@@ -0,0 +1,345 @@
+// Spanish message catalog.
+// Keys missing here fall back to the English catalog.
+
+module.exports = {
+    LANGUAGE_NAME: 'Español',
+
+    WELCOME: `🤖 *¡Bienvenido a LexicalGem!*
+
+"Aprende una palabra que no sabías que necesitabas."
+
+✨ *Cómo usarlo:*
+Escribe /word para recibir una palabra rara, elegante o divertida con su definición.
+
+📚 *Acerca de:*
+LexicalGem es tu dosis diaria de tesoros lingüísticos. ¡Descubre palabras que harán brillar tu vocabulario!
+
+💡 *Comandos:*
+/word - Recibe una palabra rara al azar
+/stats - Consulta las estadísticas del bot
+/help - Muestra la ayuda`,
+
+    HELP: `🤖 *Comandos de LexicalGem*
+
+📚 *Comandos básicos:*
+/start - Mensaje de bienvenida e introducción
+/word - Recibe una palabra rara al azar (sin repetir hasta que las hayas visto todas)
+/stats - Muestra tu progreso y las estadísticas del bot
+/help - Muestra esta ayuda
+
+🚀 *Comandos avanzados:*
+/wordoftheday - La palabra especial de hoy (o una pasada: /wordoftheday yesterday)
+/history - Consulta tu historial de palabras
+/random - Recibe una palabra totalmente al azar (puede repetirse)
+/difficulty - Cambia la dificultad (easy/medium/hard)
+/category - Elige las categorías que te interesan (p. ej. /category nature)
+/share - Comparte una palabra con tus amigos
+/define - Busca una palabra (p. ej. /define petrichor)
+/search - Busca en palabras y definiciones (p. ej. /search rain)
+/review - Repasa las palabras vistas con repetición espaciada (/review favorites solo para las guardadas)
+/quiz - Test de opción múltiple con tus palabras (/quiz reverse para definición → palabra, /quiz favorites para las guardadas)
+/favorites - Las palabras que guardaste con ⭐ Guardar
+/suggest - Propón una palabra nueva (p. ej. /suggest Petricor — el olor de la lluvia sobre la tierra seca)
+/subscribe - Recibe una palabra cada día (p. ej. /subscribe 08:30 Europe/Madrid)
+/unsubscribe - Deja de recibir palabras diarias
+/language - Elige el idioma del bot
+/pack - Elige de qué paquetes de palabras aprender (p. ej. /pack es)
+/export - Descarga tus palabras en CSV, tarjetas de Anki o un glosario Markdown
+/badges - Mira las insignias que has ganado y las que te faltan
+
+👥 *Comandos de grupo:*
+/settings - Muestra la configuración del grupo; sus administradores pueden elegir la dificultad, el paquete y la hora de la publicación diaria
+/leaderboard - Clasificación del grupo por palabras descubiertas, puntuación en los tests o racha
+
+💡 *Consejo:* ¡Usa /word siempre que quieras ampliar tu vocabulario con algo especial!`,
+
+    UNKNOWN_COMMAND: `💎 *LexicalGem*
+
+¡Estoy aquí para compartir palabras raras contigo!
+
+Escribe /word para descubrir una joya lingüística, o /help para ver todos los comandos.`,
+
+    NO_WORDS_AVAILABLE: '❌ No hay palabras disponibles en este momento. Inténtalo de nuevo más tarde.',
+    ERROR_GENERIC: '❌ Se produjo un error al procesar tu solicitud. Inténtalo de nuevo más tarde.',
+    ERROR_CALLBACK: '❌ Se produjo un error al procesar tu solicitud.',
+    RATE_LIMITED: '⏳ ¡Más despacio! Espera {seconds} s antes de volver a intentarlo.',
+
+    // Word Messages
+    WORD_PROGRESS: '📊 *Progreso:* {used}/{total} palabras ({pool}) descubiertas ({progress}% completado)',
+    WORD_STREAK: '🔥 *Racha:* {streak} días',
+    WORD_TIP: '💡 *Consejo:* ¡Usa /history para ver las palabras que has descubierto!',
+    WORD_DETAILS: {
+        etymology: 'Etimología',
+        examples: 'Ejemplos',
+        synonyms: 'Sinónimos',
+        antonyms: 'Antónimos',
+        source: 'Fuente'
+    },
+    DIFFICULTY_LABELS: {
+        all: 'todas',
+        easy: 'fácil',
+        medium: 'media',
+        hard: 'difícil'
+    },
+
+    // Stats Messages
+    STATS: `📊 *Estadísticas de LexicalGem*
+
+📚 *Colección de palabras:*
+• Palabras en total: *{totalWords}*
+{packs}
+
+🎯 *Tus ciclos:*
+{cycles}
+• Racha: *{streak} días*
+
+🧩 *Test:*
+• Respondidas: *{quizAnswered}*
+• Aciertos: *{quizAccuracy}%* ({quizCorrect} correctas)
+
+🤖 *Actividad del bot:*
+• Solicitudes totales: *{totalRequests}*
+• Usuarios únicos: *{uniqueUsers}*
+• Tiempo activo: *{uptime}*
+
+{footer}`,
+    STATS_PACK: '• {pack}: *{count}* palabras ({seen} vistas por ti)',
+    STATS_CYCLE: '• {pool}: *{used}/{total}* descubiertas, quedan *{remaining}* ({progress}%)',
+    STATS_CYCLE_COMPLETE: '🔄 ¡Has visto todas las palabras de este ciclo! El próximo /word empezará un ciclo nuevo.',
+    STATS_KEEP_EXPLORING: '💡 ¡Sigue explorando para ver todas nuestras joyas lingüísticas!',
+
+    // Advanced Commands Messages
+    WORD_OF_THE_DAY: '🌟 *Palabra del día*',
+    WORD_OF_THE_DAY_TITLE: '🌟 *Palabra del día*',
+    WORD_OF_THE_DAY_FOOTER: '📅 *¡La palabra especial de hoy para todos!*',
+    WORD_OF_THE_DAY_ARCHIVE_TITLE: '🌟 *Palabra del día* — {date}',
+    WORD_OF_THE_DAY_NOT_FOUND: '📭 No hay palabra del día registrada para el *{date}*.',
+    WORD_OF_THE_DAY_FUTURE: '🔮 ¡Sin espiar! La palabra del *{date}* aún no se ha elegido.',
+    WORD_OF_THE_DAY_USAGE: `❌ Fecha no válida.
+
+*Uso:* /wordoftheday [today|yesterday|AAAA-MM-DD]
+*Ejemplo:* /wordoftheday 2026-10-01`,
+    HISTORY_TITLE: '📚 *Tu historial de palabras*',
+    HISTORY_TOTAL: '📊 *Palabras descubiertas:* {count}',
+    NO_HISTORY: 'Todavía no has descubierto ninguna palabra.',
+    DIFFICULTY_SETTINGS: `🎯 *Dificultad*
+
+Dificultad actual: *{difficulty}*
+
+Para cambiarla, usa:
+/difficulty easy
+/difficulty medium
+/difficulty hard
+
+💡 *Nota:* La dificultad influye en la selección de palabras.`,
+    DIFFICULTY_CHANGED: '¡Dificultad actualizada!',
+    INVALID_DIFFICULTY: 'Dificultad no válida. Usa: easy, medium o hard',
+    SHARE_MESSAGE: '¡Comparte esta palabra con tus amigos!',
+    SHARE_FOOTER: '🤖 *Compartido con LexicalGem Bot*\n💎 *¡Aprende una palabra que no sabías que necesitabas!*',
+    RANDOM_WORD_TITLE: '🎲 *Palabra al azar*',
+    RANDOM_WORD_FOOTER: '🎲 *Selección totalmente al azar (puede repetirse)*',
+
+    // Review Messages
+    REVIEW_TITLE: '🧠 *Hora de repasar*',
+    REVIEW_PROMPT: '¿Recuerdas lo que significa? Valora tu memoria:',
+    REVIEW_DUE_COUNT: '📚 *Pendientes de repaso:* {count}',
+    REVIEW_NO_CARDS: 'Aún no tienes palabras para repasar. ¡Usa /word para descubrir algunas!',
+    REVIEW_NONE_DUE: '🎉 *¡Todo al día!* No tienes palabras pendientes de repaso.\n\n⏰ Próximo repaso: *{date}*',
+    REVIEW_NOT_SCHEDULED: 'Esta palabra no está en tu plan de repaso.',
+    REVIEW_NOT_YOURS: 'Esta tarjeta es del repaso de otra persona. Envía /review para el tuyo.',
+    REVIEW_NO_FAVORITES: 'Aún no tienes favoritas para repasar. ¡Toca *⭐ Guardar* bajo una palabra para añadirla!',
+    REVIEW_GRADES: {
+        forgot: '😵 Olvidada',
+        hard: '😓 Difícil',
+        good: '🙂 Bien',
+        easy: '😎 Fácil'
+    },
+    REVIEW_RESULT: `✅ *Valoración:* {grade}
+⏰ *Próximo repaso:* {next}
+📚 *Pendientes:* {due}`,
+    REVIEW_TOMORROW: 'mañana',
+    REVIEW_IN_DAYS: 'en {days} días',
+    REVIEW_NEXT_NOTICE: 'Próximo repaso: {next}',
+    REVIEW_NEXT: '➡️ Siguiente repaso',
+
+    // Quiz Messages
+    QUIZ_TITLE: '❓ *Hora del test*',
+    QUIZ_WORD_PROMPT: '¿Qué palabra corresponde a esta definición?',
+    QUIZ_DEFINITION_PROMPT: '¿Qué significa {emoji} *{word}*?',
+    QUIZ_NO_WORDS: 'Necesitas descubrir algunas palabras antes de hacer un test. ¡Usa /word para empezar!',
+    QUIZ_NO_FAVORITES: 'Guarda algunas palabras con *⭐ Guardar* antes de hacer un test de favoritas.',
+    QUIZ_NOT_ENOUGH_WORDS: '❌ Ahora mismo no hay palabras suficientes para preparar un test.',
+    QUIZ_EXPIRED: 'Esta pregunta ha caducado. Envía /quiz para una nueva.',
+    QUIZ_CORRECT: '✅ *¡Correcto!*',
+    QUIZ_INCORRECT: '❌ *Casi.* La respuesta era *{answer}*.',
+    QUIZ_CORRECT_NOTICE: '✅ ¡Correcto!',
+    QUIZ_INCORRECT_NOTICE: '❌ Incorrecto',
+    QUIZ_ACCURACY: '🎯 *Aciertos:* {accuracy}% ({correct}/{answered})',
+    QUIZ_NEXT: '➡️ Siguiente pregunta',
+
+    // Subscription Messages
+    SUBSCRIBED: `✅ *¡Suscrito!*
+
+Recibirás {content} cada día a las *{time}* ({timezone}).
+
+Usa /unsubscribe para cancelar.`,
+    SUBSCRIBE_CONTENT_WORD: 'una palabra nueva',
+    SUBSCRIBE_CONTENT_WORD_OF_THE_DAY: 'la palabra del día',
+    SUBSCRIBE_USAGE: `❌ {error}
+
+*Uso:* /subscribe [HH:MM] [zona horaria] [word|wotd]
+*Ejemplo:* /subscribe 08:30 Europe/Madrid`,
+    SUBSCRIBE_UNKNOWN_ARGUMENT: 'Hora o zona horaria desconocida: {argument}',
+    UNSUBSCRIBED: '👋 Has cancelado la suscripción a las palabras diarias.',
+    NOT_SUBSCRIBED: 'No estás suscrito. Usa /subscribe para recibir una palabra cada día.',
+    DAILY_WORD_TITLE: '☀️ *Tu palabra diaria*',
+    DAILY_WORD_PROGRESS: '📊 *Progreso:* {used}/{total} palabras descubiertas ({progress}% completado)',
+    DAILY_WORD_FOOTER: '🔕 Usa /unsubscribe para dejar de recibir palabras diarias.',
+    GROUP_DAILY_WORD_FOOTER: '⏰ Los administradores del grupo pueden cambiar la hora con /settings time o desactivarla con /settings time off.',
+
+    // Category Messages
+    CATEGORY_TITLE: '🏷️ *Categorías de palabras*',
+    CATEGORY_CURRENT: 'Filtro actual: *{categories}*',
+    CATEGORY_PROMPT: 'Toca una categoría para añadirla o quitarla. /word elige entre las categorías seleccionadas.',
+    CATEGORY_ALL: 'Todas las categorías',
+    CATEGORY_CLEAR: '🔄 Todas las categorías',
+    CATEGORY_UNKNOWN: '❌ Categoría desconocida: *{category}*\n\nDisponibles: {categories}',
+    CATEGORY_UPDATED: '✅ Categorías actualizadas: *{categories}*',
+
+    // Lookup Messages
+    DEFINE_USAGE: '*Uso:* /define <palabra>\n*Ejemplo:* /define petrichor',
+    DEFINE_NOT_FOUND: '🔍 *{word}* todavía no está en la colección.',
+    DEFINE_SUGGESTIONS: '💡 *¿Quisiste decir:* {suggestions}?',
+    SEARCH_USAGE: '*Uso:* /search <texto>\n*Ejemplo:* /search rain\n\nLa búsqueda necesita al menos 2 caracteres.',
+    SEARCH_NO_RESULTS: '🔍 Ninguna palabra coincide con *{query}*.',
+    SEARCH_TITLE: '🔍 *Búsqueda:* {query}',
+    SEARCH_PAGE: '📄 Página {page}/{totalPages} · {total} resultados',
+    SEARCH_PREVIOUS: '◀️ Anterior',
+    SEARCH_NEXT: 'Siguiente ▶️',
+
+    // Inline Mode Messages
+    INLINE_FOOTER: '💎 *Compartido con LexicalGem*',
+    INLINE_WORD_OF_THE_DAY: '🌟 Palabra del día: {word}',
+    INLINE_HISTORY: '📚 De tu historial: {word}',
+
+    // Language Messages
+    LANGUAGE_TITLE: '🌐 *Idioma*',
+    LANGUAGE_CURRENT: 'Idioma actual: *{language}*',
+    LANGUAGE_CURRENT_AUTO: 'Idioma actual: *{language}* (según tu configuración de Telegram)',
+    LANGUAGE_PROMPT: 'Elige un idioma, o la opción automática para seguir tu configuración de Telegram.',
+    LANGUAGE_AUTO: '🌐 Automático',
+    LANGUAGE_UPDATED: '✅ Idioma cambiado a *{language}*.',
+    LANGUAGE_UPDATED_AUTO: '✅ El idioma vuelve a seguir tu configuración de Telegram (*{language}*).',
+    LANGUAGE_UNKNOWN: '❌ Idioma desconocido: *{language}*\n\nDisponibles: {languages}',
+
+    // Word Pack Messages
+    PACK_TITLE: '📦 *Paquetes de palabras*',
+    PACK_CURRENT: 'Aprendiendo de: *{packs}*',
+    PACK_PROMPT: 'Toca un paquete para añadirlo o quitarlo. /word, /random y /wordoftheday eligen entre todos los paquetes seleccionados, y cada paquete tiene su propio ciclo.',
+    PACK_DEFAULT: '🔄 Predeterminado ({pack})',
+    PACK_UNKNOWN: '❌ Paquete de palabras desconocido: *{pack}*\n\nDisponibles: {packs}',
+    PACK_UPDATED: '✅ Paquetes de palabras actualizados: *{packs}*',
+
+    // Export Messages
+    EXPORT_PROMPT: '📤 *Exporta tus palabras*\n\nElige un formato:\n• *CSV* para hojas de cálculo\n• *Anki* para importarlas como tarjetas (Archivo → Importar)\n• *Markdown* para un glosario imprimible',
+    EXPORT_EMPTY: '📭 Todavía no has descubierto ninguna palabra. ¡Usa /word para empezar!',
+    EXPORT_CAPTION: '📤 Tus {count} palabras descubiertas',
+    EXPORT_SENT_PRIVATELY: '📬 Tu exportación está en nuestro chat privado.',
+    EXPORT_PRIVATE_FAILED: '📬 Las exportaciones se envían en privado, pero todavía no puedo escribirte. Abre un chat privado conmigo, pulsa *Iniciar* y vuelve a probar /export.',
+    EXPORT_UNKNOWN_FORMAT: '❌ Formato de exportación desconocido: *{format}*\n\nDisponibles: {formats}',
+    EXPORT_MD_TITLE: 'Glosario de LexicalGem',
+    EXPORT_MD_SUMMARY: '{count} palabras descubiertas con LexicalGem.',
+
+    // Favorites Messages
+    FAVORITE_SAVE: '⭐ Guardar',
+    FAVORITE_SAVE_WORD: '⭐ Guardar {word}',
+    FAVORITE_SAVED: '⭐ {word} guardada en tus favoritas',
+    FAVORITE_ALREADY_SAVED: '{word} ya está en tus favoritas',
+    FAVORITE_REMOVED: '🗑️ {word} eliminada de tus favoritas',
+    FAVORITES_TITLE: '⭐ *Tus favoritas* ({count})',
+    FAVORITES_EMPTY: '⭐ Aún no tienes favoritas. Toca *⭐ Guardar* bajo cualquier palabra para tenerla aquí.',
+    FAVORITES_PAGE: '📄 Página {page}/{totalPages} · Toca 🗑️ para quitar una palabra',
+    FAVORITES_REVIEW: '🧠 Repasar favoritas',
+    FAVORITES_QUIZ: '❓ Test de favoritas',
+
+    // Suggestion Messages
+    SUGGEST_USAGE: `💡 *Propón una palabra*
+
+Envía \`/suggest <palabra> — <definición>\`, por ejemplo:
+\`/suggest Petricor — el agradable olor de la lluvia al caer sobre la tierra seca\`
+
+Puedes empezar con un emoji: \`/suggest 🌧️ Petricor — ...\``,
+    SUGGEST_INVALID_WORD: '❌ La palabra debe ser un único término de 40 caracteres como máximo (las letras con tilde cuentan como dos), sin números ni símbolos.',
+    SUGGEST_INVALID_DEFINITION: '❌ La definición debe tener entre 10 y 500 caracteres.',
+    SUGGEST_EXISTS: '📚 *{word}* ya está en nuestra colección. Prueba /define {word}',
+    SUGGEST_DUPLICATE: '⏳ *{word}* ya se ha propuesto y está pendiente de revisión.',
+    SUGGEST_LIMIT: '⏳ Ya tienes {count} propuestas pendientes de revisión. Espera a que se revisen antes de enviar más.',
+    SUGGEST_RECEIVED: '🙏 ¡Gracias! Hemos enviado *{word}* a nuestros editores. Te avisaremos de su decisión.',
+    SUGGEST_APPROVED: '🎉 ¡Tu propuesta *{word}* ha sido aprobada y ya forma parte de la colección!',
+    SUGGEST_REJECTED: '📝 Tu propuesta *{word}* no se ha añadido esta vez. ¡Gracias por contribuir!',
+
+    // Group Messages
+    SETTINGS_GROUP_ONLY: '👥 /settings es para grupos. En un chat privado, usa /difficulty, /pack y /subscribe.',
+    SETTINGS_ADMIN_ONLY: '🔒 Solo los administradores del grupo pueden cambiar esto.',
+    SETTINGS_GROUP: `⚙️ *Configuración del grupo*
+
+🎯 Dificultad: *{difficulty}*
+📦 Paquete: *{pack}*
+⏰ Palabra del día diaria: *{schedule}*
+
+Los administradores del grupo pueden cambiarla con los botones o con /settings difficulty, /settings pack y /settings time.`,
+    SETTINGS_MEMBER_DEFAULT: 'la de cada miembro',
+    SETTINGS_SCHEDULE_OFF: 'desactivada',
+    SETTINGS_DIFFICULTY_DEFAULT: '🔄 Dificultad de cada uno',
+    SETTINGS_PACK_DEFAULT: '🔄 Paquetes de cada uno',
+    SETTINGS_UPDATED: '✅ Configuración del grupo actualizada.',
+    SETTINGS_USAGE: `*Uso:*
+/settings difficulty easy|medium|hard|default
+/settings pack <id>|default
+/settings time <HH:MM> [zona horaria]
+/settings time off`,
+    LEADERBOARD_GROUP_ONLY: '👥 Las clasificaciones comparan a los miembros de un grupo. ¡Añádeme a un grupo y envía /leaderboard allí!',
+    LEADERBOARD_USAGE: '*Uso:* /leaderboard [words|quiz|streak]',
+    LEADERBOARD_TITLE: '🏆 *Clasificación · {metric}*',
+    LEADERBOARD_METRICS: {
+        words: 'Palabras',
+        quiz: 'Tests',
+        streak: 'Racha'
+    },
+    LEADERBOARD_VALUES: {
+        words: '{count} palabras descubiertas',
+        quiz: '{count} respuestas correctas',
+        streak: 'racha de {count} días'
+    },
+    LEADERBOARD_ENTRY: '{rank} {name} — {value}',
+    LEADERBOARD_EMPTY: 'Aún nadie ha puntuado aquí. ¡Prueba /word o /quiz para entrar en la clasificación!',
+    LEADERBOARD_YOUR_RANK: '📍 Tú: #{rank} · {value}',
+
+    // Achievement Messages
+    ACHIEVEMENTS: {
+        first_word: { name: 'Primera palabra', description: 'Descubre tu primera palabra' },
+        words_25: { name: 'Coleccionista', description: 'Descubre 25 palabras' },
+        words_100: { name: 'Constructor de léxico', description: 'Descubre 100 palabras' },
+        streak_7: { name: 'Racha semanal', description: 'Mantén una racha de 7 días' },
+        streak_30: { name: 'Imparable', description: 'Mantén una racha de 30 días' },
+        hard_cycle: { name: 'Mente de diamante', description: 'Completa un ciclo entero de las palabras difíciles de un paquete' },
+        quiz_100: { name: 'Veterano de los tests', description: 'Responde 100 preguntas de test' },
+        favorites_10: { name: 'Curador', description: 'Guarda 10 palabras favoritas' },
+        polyglot: { name: 'Políglota', description: 'Descubre palabras de dos paquetes distintos' }
+    },
+    ACHIEVEMENT_LINE: '{emoji} *{name}* — {description}',
+    ACHIEVEMENT_UNLOCKED: `🏅 *¡Insignia desbloqueada!*
+
+{badges}
+
+Mira todas tus insignias con /badges`,
+    ACHIEVEMENT_UNLOCKED_GROUP: `🏅 ¡*{name}* ha desbloqueado una insignia!
+
+{badges}`,
+    BADGES_TITLE: '🏅 *Tus insignias* ({earned}/{total})',
+    BADGES_EARNED: '*Ganadas:*',
+    BADGES_LOCKED: '*Bloqueadas:*',
+    BADGES_EARNED_LINE: '{emoji} *{name}* — {description} ({date})',
+    BADGES_LOCKED_LINE: '🔒 *{name}* — {description} · {current}/{target}',
+    BADGES_NONE: 'Aún no tienes insignias. ¡Descubre tu primera palabra con /word!'
+};
@@ -0,0 +1,44 @@
+const chalk = require('chalk');
+
+const COLORS = {
+    ERROR: chalk.red,
+    WARN: chalk.yellow,
+    INFO: chalk.blue,
+    DEBUG: chalk.gray,
+    SUCCESS: chalk.green,
+    BOT: chalk.cyan
+};
+
+/**
+ * Console log sink.
+ * Errors and warnings go to stderr, everything else to stdout; pretty
+ * lines are colored by level, JSON lines are written as they are.
+ */
+class ConsoleSink {
+    /**
+     * @param {Object} options - Sink options
+     * @param {string} options.format - pretty or json
+     */
+    constructor(options = {}) {
+        this.format = options.format || 'pretty';
+    }
+
+    /**
+     * Write a log line
+     * @param {string} line - Formatted line
+     * @param {Object} entry - Log entry
+     */
+    write(line, entry) {
+        const output = this.format === 'json' ? line : (COLORS[entry.level] || (text => text))(line);
+
+        if (entry.level === 'ERROR') {
+            console.error(output);
+        } else if (entry.level === 'WARN') {
+            console.warn(output);
+        } else {
+            console.log(output);
+        }
+    }
+}
+
+module.exports = ConsoleSink;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Log file sink with rotation.
+ * The current file is renamed to `<name>.<date><ext>` (then `.1`, `.2`, ...
+ * for further rotations on the same day) when the day changes or when it
+ * would grow past maxSize; only the newest maxFiles rotated files are kept.
+ * Writes are synchronous so nothing is lost when the process exits.
+ */
+class FileSink {
+    /**
+     * @param {Object} options - Sink options
+     * @param {string} options.path - Log file path
+     * @param {string} options.format - pretty or json
+     * @param {number} options.maxSize - Rotate before the file exceeds this many bytes (0 to disable)
+     * @param {boolean} options.daily - Rotate when the (UTC) day changes
+     * @param {number} options.maxFiles - Rotated files to keep
+     */
+    constructor(options = {}) {
+        this.filePath = path.resolve(process.cwd(), options.path || 'logs/lexicalgem.log');
+        this.format = options.format || 'json';
+        this.maxSize = options.maxSize !== undefined ? options.maxSize : DEFAULT_MAX_SIZE;
+        this.daily = options.daily !== false;
+        this.maxFiles = options.maxFiles || 7;
+        this.fd = null;
+        this.size = 0;
+        // UTC day (YYYY-MM-DD) of the entries in the current file
+        this.date = null;
+    }
+
+    /**
+     * Open the log file for appending, creating its directory when needed
+     */
+    open() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, 'a');
+
+        const stats = fs.fstatSync(this.fd);
+        this.size = stats.size;
+        // An existing file belongs to the day it was last written
+        this.date = stats.size > 0 ? stats.mtime.toISOString().slice(0, 10) : null;
+    }
+
+    /**
+     * Write a log line, rotating the file first when needed
+     * @param {string} line - Formatted line
+     * @param {Object} entry - Log entry
+     */
+    write(line, entry) {
+        if (this.fd === null) {
+            this.open();
+        }
+
+        const date = entry.timestamp.slice(0, 10);
+        const content = `${line}\n`;
+        const bytes = Buffer.byteLength(content);
+
+        const dayChanged = this.daily && this.date !== null && this.date !== date;
+        const tooLarge = this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize;
+        if (dayChanged || tooLarge) {
+            this.rotate();
+        }
+
+        fs.writeSync(this.fd, content);
+        this.size += bytes;
+        this.date = date;
+    }
+
+    /**
+     * Move the current file aside and start a new one
+     */
+    rotate() {
+        fs.closeSync(this.fd);
+        this.fd = null;
+
+        fs.renameSync(this.filePath, this.getRotatedPath(this.date));
+        this.open();
+        this.prune();
+    }
+
+    /**
+     * Get a free name for a rotated file
+     * @param {string} date - Day of its entries
+     * @returns {string} - Rotated file path
+     */
+    getRotatedPath(date) {
+        const { dir, name, ext } = path.parse(this.filePath);
+
+        let candidate = path.join(dir, `${name}.${date}${ext}`);
+        for (let index = 1; fs.existsSync(candidate); index++) {
+            candidate = path.join(dir, `${name}.${date}.${index}${ext}`);
+        }
+
+        return candidate;
+    }
+
+    /**
+     * Delete the oldest rotated files beyond maxFiles
+     */
+    prune() {
+        const { dir, name, ext } = path.parse(this.filePath);
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escape(name)}\\.(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?${escape(ext)}$`);
+
+        const rotated = fs.readdirSync(dir)
+            .map(file => ({ file, match: file.match(pattern) }))
+            .filter(({ match }) => match)
+            .sort((a, b) => b.match[1].localeCompare(a.match[1])
+                || Number(b.match[2] || 0) - Number(a.match[2] || 0));
+
+        rotated.slice(this.maxFiles).forEach(({ file }) => {
+            fs.unlinkSync(path.join(dir, file));
+        });
+    }
+
+    /**
+     * Close the log file
+     */
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = FileSink;
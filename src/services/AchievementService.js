@@ -0,0 +1,185 @@
+const Logger = require('../utils/Logger');
+const Validator = require('../utils/Validator');
+
+/**
+ * Badge rules. Each rule measures a user's progress towards a target;
+ * the badge unlocks once `current` reaches `target`. Names and
+ * descriptions live in the locale catalogs under ACHIEVEMENTS.<id>.
+ */
+const ACHIEVEMENTS = [
+    {
+        id: 'first_word',
+        emoji: '🌱',
+        measure: context => ({ current: context.stats.totalWords, target: 1 })
+    },
+    {
+        id: 'words_25',
+        emoji: '📚',
+        measure: context => ({ current: context.stats.totalWords, target: 25 })
+    },
+    {
+        id: 'words_100',
+        emoji: '🏛️',
+        measure: context => ({ current: context.stats.totalWords, target: 100 })
+    },
+    {
+        id: 'streak_7',
+        emoji: '🔥',
+        measure: context => ({ current: context.stats.streak, target: 7 })
+    },
+    {
+        id: 'streak_30',
+        emoji: '☄️',
+        measure: context => ({ current: context.stats.streak, target: 30 })
+    },
+    {
+        id: 'hard_cycle',
+        emoji: '💎',
+        measure: context => context.hardCycle
+    },
+    {
+        id: 'quiz_100',
+        emoji: '🧠',
+        measure: context => ({ current: context.stats.quiz.answered, target: 100 })
+    },
+    {
+        id: 'favorites_10',
+        emoji: '⭐',
+        measure: context => ({ current: context.stats.favorites, target: 10 })
+    },
+    {
+        id: 'polyglot',
+        emoji: '🌍',
+        measure: context => ({ current: Object.keys(context.stats.wordsByPack).length, target: 2 })
+    }
+];
+
+/**
+ * Rule-based achievement engine.
+ * Unlocked badges are stored with the user's data in UserService; this
+ * service measures progress and decides what unlocks.
+ */
+class AchievementService {
+    /**
+     * @param {UserService} userService - User data
+     * @param {WordService} wordService - Loaded word packs
+     * @param {Array} rules - Badge rules (ACHIEVEMENTS by default)
+     */
+    constructor(userService, wordService, rules = ACHIEVEMENTS) {
+        this.userService = userService;
+        this.wordService = wordService;
+        this.rules = rules;
+    }
+
+    /**
+     * Gather what the rules measure for a user
+     * Word counts are the words served to the user, as /stats shows them
+     * @param {number} userId - User ID
+     * @returns {Object} - Stats and hard cycle progress
+     */
+    buildContext(userId) {
+        return {
+            stats: this.userService.getUserStats(userId),
+            hardCycle: this.getHardCycleProgress(userId)
+        };
+    }
+
+    /**
+     * Measure the hard word cycle closest to complete: the hard words of a
+     * pack, or of the categories the user filtered the pack to.
+     * The cycle restarts when the next hard word is served, so the badge is
+     * checked right after the last word of a cycle is served.
+     * @param {number} userId - User ID
+     * @returns {Object} - Hard words served in the cycle (current) out of the pool's hard words (target)
+     */
+    getHardCycleProgress(userId) {
+        let best = { current: 0, target: 0 };
+
+        if (!this.wordService?.isReady()) {
+            return best;
+        }
+
+        const pools = [
+            ...this.wordService.getPacks().map(({ id }) => ({ pack: id, difficulty: 'hard' })),
+            ...this.wordService.getCycleOptions(userId).filter(options => options.difficulty === 'hard')
+        ];
+
+        pools.forEach(options => {
+            const cycle = this.wordService.getCycleProgress(userId, options);
+
+            // Packs without hard words fall back to a pool of every difficulty
+            if (cycle.difficulty !== 'hard') {
+                return;
+            }
+
+            if (best.target === 0 || cycle.used / cycle.total > best.current / best.target) {
+                best = { current: cycle.used, target: cycle.total };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Check every locked badge and unlock the ones whose target is reached
+     * @param {number} userId - User ID
+     * @returns {Array} - Newly unlocked badges (rules), empty if none
+     */
+    evaluate(userId) {
+        if (!Validator.isValidUserId(userId) || !this.userService.getAllUsers().has(userId)) {
+            return [];
+        }
+
+        const unlocked = this.userService.getAchievements(userId);
+        const locked = this.rules.filter(rule => !unlocked[rule.id]);
+        if (locked.length === 0) {
+            return [];
+        }
+
+        const context = this.buildContext(userId);
+        const earned = locked.filter(rule => this.isReached(rule.measure(context)));
+
+        if (earned.length > 0) {
+            this.userService.unlockAchievements(userId, earned.map(rule => rule.id));
+            Logger.info('Achievements unlocked', {
+                userId,
+                achievements: earned.map(rule => rule.id)
+            });
+        }
+
+        return earned;
+    }
+
+    /**
+     * Get every badge with its state for a user
+     * @param {number} userId - User ID
+     * @returns {Array} - Badges with id, emoji, unlockedAt (null if locked), current and target
+     */
+    getBadges(userId) {
+        const unlocked = this.userService.getAchievements(userId);
+        const context = this.buildContext(userId);
+
+        return this.rules.map(rule => {
+            const { current, target } = rule.measure(context);
+
+            return {
+                id: rule.id,
+                emoji: rule.emoji,
+                unlockedAt: unlocked[rule.id] || null,
+                current: Math.min(current, target),
+                target
+            };
+        });
+    }
+
+    /**
+     * Check if a measured progress reaches its target
+     * @param {Object} progress - current and target
+     * @returns {boolean} - True if reached
+     */
+    isReached({ current, target }) {
+        return target > 0 && current >= target;
+    }
+}
+
+module.exports = AchievementService;
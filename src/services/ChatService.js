@@ -0,0 +1,214 @@
+const Logger = require('../utils/Logger');
+const MemoryStorage = require('../storage/MemoryStorage');
+
+/**
+ * Group chat state: the settings a group admin chose and the members seen
+ * in the group. Telegram bots can't list the members of a group, so the
+ * leaderboard ranks the users who have written in it.
+ */
+class ChatService {
+    constructor(storage = new MemoryStorage(), options = {}) {
+        this.storage = storage;
+        this.maxMembers = options.maxMembers || 1000;
+        // chatId -> group state
+        this.chats = new Map();
+        this.validDifficulties = new Set(['easy', 'medium', 'hard']);
+        this.isDirty = false;
+    }
+
+    /**
+     * Check if a chat is a group or supergroup
+     * @param {Object} chat - Telegram chat object
+     * @returns {boolean} - True for group chats
+     */
+    static isGroupChat(chat) {
+        return chat?.type === 'group' || chat?.type === 'supergroup';
+    }
+
+    /**
+     * Load persisted group state from storage
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const chats = await this.storage.read('chats');
+
+        this.chats = new Map();
+        Object.values(chats || {}).forEach(chat => {
+            this.chats.set(chat.chatId, {
+                ...chat,
+                members: chat.members || {}
+            });
+        });
+
+        this.isDirty = false;
+        Logger.info('Group chats loaded', { chats: this.chats.size });
+    }
+
+    /**
+     * Persist group state to storage
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        this.isDirty = false;
+
+        try {
+            const chats = {};
+            this.chats.forEach((chat, chatId) => {
+                chats[chatId] = chat;
+            });
+
+            await this.storage.write('chats', chats);
+            await this.storage.flush();
+        } catch (error) {
+            this.isDirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Mark group state as changed so the next save persists it
+     */
+    markDirty() {
+        this.isDirty = true;
+    }
+
+    /**
+     * Get or create the state of a group
+     * @param {number} chatId - Chat ID
+     * @returns {Object} - Group state
+     */
+    getChatData(chatId) {
+        if (!this.chats.has(chatId)) {
+            this.chats.set(chatId, {
+                chatId,
+                title: null,
+                settings: {
+                    difficulty: null, // null lets each member use their own
+                    pack: null // null lets each member use their own packs
+                },
+                members: {}, // userId -> { name, lastSeen }
+                createdAt: new Date().toISOString()
+            });
+            this.markDirty();
+        }
+
+        return this.chats.get(chatId);
+    }
+
+    /**
+     * Remember that a user wrote in a group
+     * @param {Object} chat - Telegram chat object
+     * @param {Object} user - Telegram user object
+     */
+    recordMember(chat, user) {
+        if (!ChatService.isGroupChat(chat) || !user || user.is_bot) {
+            return;
+        }
+
+        const chatData = this.getChatData(chat.id);
+        const name = user.first_name || user.username || String(user.id);
+        const today = new Date().toISOString().slice(0, 10);
+        const member = chatData.members[user.id];
+
+        if (chat.title && chatData.title !== chat.title) {
+            chatData.title = chat.title;
+            this.markDirty();
+        }
+
+        // Only names and the day of the last message are kept, so most messages change nothing
+        if (member && member.name === name && member.lastSeen === today) {
+            return;
+        }
+
+        chatData.members[user.id] = { name, lastSeen: today };
+        this.pruneMembers(chatData);
+        this.markDirty();
+    }
+
+    /**
+     * Forget the members seen longest ago once a group has too many
+     * @param {Object} chatData - Group state
+     */
+    pruneMembers(chatData) {
+        const ids = Object.keys(chatData.members);
+        if (ids.length <= this.maxMembers) {
+            return;
+        }
+
+        ids.sort((a, b) => chatData.members[a].lastSeen.localeCompare(chatData.members[b].lastSeen))
+            .slice(0, ids.length - this.maxMembers)
+            .forEach(id => delete chatData.members[id]);
+    }
+
+    /**
+     * Get the members seen in a group
+     * @param {number} chatId - Chat ID
+     * @returns {Array} - Members with userId and name
+     */
+    getMembers(chatId) {
+        const chatData = this.chats.get(chatId);
+        if (!chatData) {
+            return [];
+        }
+
+        return Object.entries(chatData.members).map(([userId, member]) => ({
+            userId: parseInt(userId, 10),
+            name: member.name
+        }));
+    }
+
+    /**
+     * Get the settings of a group
+     * @param {number} chatId - Chat ID
+     * @returns {Object} - Settings (difficulty and pack, null when unset)
+     */
+    getSettings(chatId) {
+        const chatData = this.chats.get(chatId);
+        return { difficulty: null, pack: null, ...chatData?.settings };
+    }
+
+    /**
+     * Set the difficulty of the words served in a group
+     * @param {number} chatId - Chat ID
+     * @param {string|null} difficulty - easy, medium, hard or null for each member's own
+     * @returns {boolean} - Success status
+     */
+    setDifficulty(chatId, difficulty) {
+        if (difficulty !== null && !this.validDifficulties.has(difficulty)) {
+            return false;
+        }
+
+        this.getChatData(chatId).settings.difficulty = difficulty;
+        this.markDirty();
+
+        Logger.info('Group difficulty updated', { chatId, difficulty });
+        return true;
+    }
+
+    /**
+     * Set the word pack of a group
+     * The caller checks that the pack exists
+     * @param {number} chatId - Chat ID
+     * @param {string|null} pack - Pack ID or null for each member's own packs
+     */
+    setPack(chatId, pack) {
+        this.getChatData(chatId).settings.pack = pack;
+        this.markDirty();
+
+        Logger.info('Group pack updated', { chatId, pack });
+    }
+
+    /**
+     * Get the number of known groups
+     * @returns {number} - Group count
+     */
+    getChatCount() {
+        return this.chats.size;
+    }
+}
+
+module.exports = ChatService;
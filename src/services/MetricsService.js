@@ -0,0 +1,222 @@
+const Logger = require('../utils/Logger');
+
+// Command latency buckets in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class MetricsService {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'lexicalgem';
+        // metric name -> { type, help, buckets, series: Map(label key -> series) }
+        this.metrics = new Map();
+        // Functions that set gauges right before metrics are rendered
+        this.collectors = [];
+
+        this.define('counter', 'messages_total', 'Text messages received');
+        this.define('counter', 'commands_total', 'Commands handled, by outcome');
+        this.define('histogram', 'command_duration_seconds', 'Command handler latency', LATENCY_BUCKETS);
+        this.define('counter', 'errors_total', 'Errors, by where they happened');
+        this.define('counter', 'words_served_total', 'Words sent to users, by source and pack');
+        this.define('counter', 'achievements_unlocked_total', 'Badges unlocked, by badge');
+        this.define('gauge', 'active_users', 'Users who received a word within the window');
+        this.define('gauge', 'known_users', 'Users with stored progress');
+        this.define('gauge', 'words_loaded', 'Words loaded, by pack');
+        this.define('gauge', 'subscriptions', 'Daily delivery subscriptions');
+        this.define('gauge', 'pending_suggestions', 'Word suggestions waiting for an admin');
+        this.define('gauge', 'group_chats', 'Group chats the bot has seen');
+        this.define('gauge', 'ready', 'Whether the bot is ready to serve (1) or not (0)');
+        this.define('gauge', 'uptime_seconds', 'Seconds since the bot started');
+    }
+
+    /**
+     * Declare a metric
+     * @param {string} type - counter, gauge or histogram
+     * @param {string} name - Name without the prefix
+     * @param {string} help - Description
+     * @param {Array} buckets - Upper bounds of histogram buckets
+     */
+    define(type, name, help, buckets = []) {
+        this.metrics.set(`${this.prefix}_${name}`, {
+            type,
+            help,
+            buckets,
+            series: new Map()
+        });
+    }
+
+    /**
+     * Get the series of a metric for a label set, creating it on first use
+     * @param {string} name - Name without the prefix
+     * @param {Object} labels - Label values
+     * @returns {Object} - Series
+     */
+    getSeries(name, labels = {}) {
+        const metric = this.metrics.get(`${this.prefix}_${name}`);
+        if (!metric) {
+            throw new Error(`Unknown metric: ${name}`);
+        }
+
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        if (!metric.series.has(key)) {
+            metric.series.set(key, metric.type === 'histogram'
+                ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+
+        return metric.series.get(key);
+    }
+
+    /**
+     * Increase a counter
+     * @param {string} name - Name without the prefix
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount to add
+     */
+    increment(name, labels = {}, value = 1) {
+        this.getSeries(name, labels).value += value;
+    }
+
+    /**
+     * Set a gauge
+     * @param {string} name - Name without the prefix
+     * @param {Object} labels - Label values
+     * @param {number} value - Current value
+     */
+    set(name, labels = {}, value = 0) {
+        this.getSeries(name, labels).value = value;
+    }
+
+    /**
+     * Record a histogram observation
+     * @param {string} name - Name without the prefix
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(name, labels = {}, value = 0) {
+        const metric = this.metrics.get(`${this.prefix}_${name}`);
+        const series = this.getSeries(name, labels);
+
+        metric.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Record a received text message
+     * @param {string} chatType - Telegram chat type (private, group, ...)
+     */
+    recordMessage(chatType = 'unknown') {
+        this.increment('messages_total', { chat_type: chatType });
+    }
+
+    /**
+     * Record a handled command
+     * @param {string} command - Command name
+     * @param {string} status - ok, error or rate_limited
+     * @param {number|null} duration - Handler latency in seconds (null if it didn't run)
+     */
+    recordCommand(command, status, duration = null) {
+        this.increment('commands_total', { command, status });
+
+        if (duration !== null) {
+            this.observe('command_duration_seconds', { command }, duration);
+        }
+    }
+
+    /**
+     * Record an error
+     * @param {string} type - Where it happened (command, callback, polling, ...)
+     */
+    recordError(type) {
+        this.increment('errors_total', { type });
+    }
+
+    /**
+     * Record a word sent to a user
+     * @param {string} source - Command or feature that sent it
+     * @param {Object} word - Word object
+     */
+    recordWordServed(source, word) {
+        this.increment('words_served_total', { source, pack: word?.pack || 'unknown' });
+    }
+
+    /**
+     * Record an unlocked badge
+     * @param {string} achievement - Badge ID
+     */
+    recordAchievement(achievement) {
+        this.increment('achievements_unlocked_total', { achievement });
+    }
+
+    /**
+     * Register a function that updates gauges before each render
+     * @param {Function} collector - Collector function
+     */
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string} - Metrics text
+     */
+    render() {
+        this.collectors.forEach(collector => {
+            try {
+                collector(this);
+            } catch (error) {
+                Logger.error('Metrics collector failed', { error: error.message });
+            }
+        });
+
+        const lines = [];
+
+        this.metrics.forEach((metric, name) => {
+            lines.push(`# HELP ${name} ${metric.help}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+
+            metric.series.forEach(series => {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${name}${this.formatLabels(series.labels)} ${series.value}`);
+                    return;
+                }
+
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${this.formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${this.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${this.formatLabels(series.labels)} ${series.count}`);
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Format a label set (`{a="1",b="2"}`), escaping values
+     * @param {Object} labels - Label values
+     * @returns {string} - Formatted labels (empty if none)
+     */
+    formatLabels(labels) {
+        const entries = Object.entries(labels);
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const formatted = entries.map(([key, value]) => {
+            const escaped = String(value)
+                .replace(/\\/g, '\\\\')
+                .replace(/\n/g, '\\n')
+                .replace(/"/g, '\\"');
+            return `${key}="${escaped}"`;
+        });
+
+        return `{${formatted.join(',')}}`;
+    }
+}
+
+module.exports = MetricsService;
@@ -0,0 +1,125 @@
+const Logger = require('../utils/Logger');
+
+class QuizService {
+    constructor() {
+        // userId -> pending question (only the latest question can be answered)
+        this.pendingQuestions = new Map();
+        this.questionCounter = 0;
+        this.optionCount = 4;
+        this.validModes = new Set(['definition', 'word']);
+    }
+
+    /**
+     * Create a multiple-choice question for a user
+     * @param {number} userId - User ID
+     * @param {Array} sourceWords - Words the question can ask about
+     * @param {Array} allWords - Words distractors are drawn from
+     * @param {string} mode - 'definition' (word → definition) or 'word' (definition → word)
+     * @returns {Object|null} - Question or null if there aren't enough words
+     */
+    createQuestion(userId, sourceWords, allWords, mode = 'definition') {
+        if (!Array.isArray(sourceWords) || sourceWords.length === 0) {
+            return null;
+        }
+
+        const target = sourceWords[Math.floor(Math.random() * sourceWords.length)];
+        const otherWords = allWords.filter(word => word.word.toLowerCase() !== target.word.toLowerCase());
+
+        // Draw distractors from the target's pack so the language doesn't give the answer away
+        const packWords = otherWords.filter(word => target.pack && word.pack === target.pack);
+        const candidates = packWords.length >= this.optionCount - 1 ? packWords : otherWords;
+        const distractors = this.shuffle(candidates).slice(0, this.optionCount - 1);
+
+        if (distractors.length < this.optionCount - 1) {
+            Logger.warn('Not enough words for quiz distractors', { available: distractors.length });
+            return null;
+        }
+
+        const options = this.shuffle([target, ...distractors]).map(word => ({
+            word: word.word,
+            emoji: word.emoji,
+            definition: word.definition
+        }));
+
+        this.questionCounter++;
+        const question = {
+            id: this.questionCounter.toString(36),
+            mode: this.validModes.has(mode) ? mode : 'definition',
+            word: {
+                word: target.word,
+                emoji: target.emoji,
+                definition: target.definition
+            },
+            options,
+            correctIndex: options.findIndex(option => option.word === target.word),
+            createdAt: Date.now()
+        };
+
+        this.pendingQuestions.set(userId, question);
+
+        Logger.debug('Quiz question created', {
+            userId,
+            questionId: question.id,
+            mode: question.mode,
+            word: target.word
+        });
+
+        return question;
+    }
+
+    /**
+     * Answer the user's pending question
+     * @param {number} userId - User ID
+     * @param {string} questionId - Question ID from the callback data
+     * @param {number} optionIndex - Selected option index
+     * @returns {Object|null} - Result or null if the question is no longer pending
+     */
+    answer(userId, questionId, optionIndex) {
+        const question = this.pendingQuestions.get(userId);
+
+        if (!question || question.id !== questionId) {
+            return null;
+        }
+
+        if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= question.options.length) {
+            return null;
+        }
+
+        this.pendingQuestions.delete(userId);
+
+        return {
+            question,
+            selectedIndex: optionIndex,
+            correct: optionIndex === question.correctIndex
+        };
+    }
+
+    /**
+     * Hide a word inside its own definition so it doesn't give the answer away
+     * @param {string} text - Definition text
+     * @param {string} word - Word to hide
+     * @returns {string} - Masked text
+     */
+    maskWord(text, word) {
+        const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return text.replace(new RegExp(`${escapedWord}\\w*`, 'gi'), '•••');
+    }
+
+    /**
+     * Shuffle an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} - Shuffled copy
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        return shuffled;
+    }
+}
+
+module.exports = QuizService;
@@ -0,0 +1,179 @@
+const Logger = require('../utils/Logger');
+
+// Used for commands without limits of their own
+const DEFAULT_LIMITS = {
+    user: { capacity: 10, refillPerMinute: 20 },
+    chat: { capacity: 20, refillPerMinute: 40 }
+};
+
+class RateLimitService {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.noticeWindow = options.noticeWindow || 60 * 1000;
+        this.defaultLimits = { ...DEFAULT_LIMITS, ...options.default };
+        // command -> { user, chat } limits with their own buckets
+        this.commandLimits = options.commands || {};
+        // bucket key -> { tokens, updatedAt, capacity, refillPerMinute }
+        this.buckets = new Map();
+        // bucket key -> { sentAt, dropped } for the last slow-down notice
+        this.notices = new Map();
+        this.lastPrune = Date.now();
+        this.stats = {
+            allowed: 0,
+            limited: 0
+        };
+    }
+
+    /**
+     * Get the limits of a command
+     * Commands without their own limits share one bucket per user and chat
+     * @param {string} command - Command name
+     * @returns {Object} - Bucket name and user/chat limits
+     */
+    getLimits(command) {
+        const commandLimits = this.commandLimits[command];
+        if (!commandLimits) {
+            return { bucket: '*', ...this.defaultLimits };
+        }
+
+        return { bucket: command, ...this.defaultLimits, ...commandLimits };
+    }
+
+    /**
+     * Take a token for a command from the user's bucket and, in group
+     * chats, from the chat's bucket
+     * @param {string} command - Command name
+     * @param {number} userId - User ID
+     * @param {number} chatId - Chat ID (same as the user ID in private chats)
+     * @param {number} now - Current time (ms)
+     * @returns {Object} - Whether the command may run; when it may not, the
+     * limited scope, ms until a token is available and whether to notify
+     */
+    consume(command, userId, chatId, now = Date.now()) {
+        if (!this.enabled) {
+            return { allowed: true };
+        }
+
+        this.prune(now);
+
+        const limits = this.getLimits(command);
+        const scopes = [['user', userId]];
+        if (chatId !== undefined && chatId !== userId) {
+            scopes.push(['chat', chatId]);
+        }
+
+        const checks = scopes
+            .filter(([scope]) => limits[scope])
+            .map(([scope, id]) => ({
+                scope,
+                key: `${scope}:${id}:${limits.bucket}`,
+                bucket: this.refill(`${scope}:${id}:${limits.bucket}`, limits[scope], now)
+            }));
+
+        // Check every bucket before taking tokens, so a rejected command costs nothing
+        const limited = checks.find(check => check.bucket.tokens < 1);
+        if (limited) {
+            const { bucket } = limited;
+            this.stats.limited++;
+
+            return {
+                allowed: false,
+                scope: limited.scope,
+                retryAfter: Math.ceil(((1 - bucket.tokens) / bucket.refillPerMinute) * 60 * 1000),
+                ...this.recordNotice(limited.key, now)
+            };
+        }
+
+        checks.forEach(check => {
+            check.bucket.tokens -= 1;
+        });
+        this.stats.allowed++;
+
+        return { allowed: true };
+    }
+
+    /**
+     * Get a bucket with the tokens refilled since it was last used
+     * @param {string} key - Bucket key
+     * @param {Object} limit - Bucket capacity and refill rate
+     * @param {number} now - Current time (ms)
+     * @returns {Object} - Bucket
+     */
+    refill(key, limit, now) {
+        const bucket = this.buckets.get(key) || {
+            tokens: limit.capacity,
+            updatedAt: now
+        };
+
+        const refilled = ((now - bucket.updatedAt) / (60 * 1000)) * limit.refillPerMinute;
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + refilled);
+        bucket.updatedAt = now;
+        bucket.capacity = limit.capacity;
+        bucket.refillPerMinute = limit.refillPerMinute;
+
+        this.buckets.set(key, bucket);
+        return bucket;
+    }
+
+    /**
+     * Decide whether a limited command gets a slow-down notice, at most
+     * once per notice window for each bucket
+     * @param {string} key - Bucket key
+     * @param {number} now - Current time (ms)
+     * @returns {Object} - Whether to notify and how many commands were
+     * dropped silently since the previous notice
+     */
+    recordNotice(key, now) {
+        const notice = this.notices.get(key);
+
+        if (notice && now - notice.sentAt < this.noticeWindow) {
+            notice.dropped++;
+            return { notify: false, dropped: notice.dropped };
+        }
+
+        this.notices.set(key, { sentAt: now, dropped: 0 });
+        return { notify: true, dropped: notice ? notice.dropped : 0 };
+    }
+
+    /**
+     * Forget full buckets and expired notices, at most once per notice window
+     * @param {number} now - Current time (ms)
+     */
+    prune(now = Date.now()) {
+        if (now - this.lastPrune < this.noticeWindow) {
+            return;
+        }
+
+        this.lastPrune = now;
+
+        this.buckets.forEach((bucket, key) => {
+            const refilled = ((now - bucket.updatedAt) / (60 * 1000)) * bucket.refillPerMinute;
+            if (bucket.tokens + refilled >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        });
+
+        this.notices.forEach((notice, key) => {
+            if (now - notice.sentAt >= this.noticeWindow) {
+                this.notices.delete(key);
+            }
+        });
+
+        Logger.debug('Rate limit buckets pruned', { buckets: this.buckets.size });
+    }
+
+    /**
+     * Get rate limiting statistics
+     * @returns {Object} - Allowed and limited counts and active buckets
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            allowed: this.stats.allowed,
+            limited: this.stats.limited,
+            buckets: this.buckets.size
+        };
+    }
+}
+
+module.exports = RateLimitService;
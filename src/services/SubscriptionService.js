@@ -0,0 +1,246 @@
+const Logger = require('../utils/Logger');
+const DateUtils = require('../utils/DateUtils');
+const MemoryStorage = require('../storage/MemoryStorage');
+
+class SubscriptionService {
+    constructor(storage = new MemoryStorage(), options = {}) {
+        this.storage = storage;
+        this.defaultTime = options.defaultTime || '09:00';
+        this.defaultTimezone = options.defaultTimezone || 'UTC';
+        this.checkInterval = options.checkInterval || 30 * 1000;
+        // chatId -> subscription
+        this.subscriptions = new Map();
+        this.validModes = new Set(['word', 'wordoftheday']);
+        this.timer = null;
+        this.isTicking = false;
+        this.isDirty = false;
+    }
+
+    /**
+     * Load persisted subscriptions from storage
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const subscriptions = await this.storage.read('subscriptions');
+
+        this.subscriptions = new Map();
+        Object.values(subscriptions || {}).forEach(subscription => {
+            this.subscriptions.set(subscription.chatId, subscription);
+        });
+
+        this.isDirty = false;
+        Logger.info('Subscriptions loaded', { subscriptions: this.subscriptions.size });
+    }
+
+    /**
+     * Persist subscriptions to storage
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        this.isDirty = false;
+
+        try {
+            const subscriptions = {};
+            this.subscriptions.forEach((subscription, chatId) => {
+                subscriptions[chatId] = subscription;
+            });
+
+            await this.storage.write('subscriptions', subscriptions);
+            await this.storage.flush();
+        } catch (error) {
+            this.isDirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update a subscription
+     * @param {number} chatId - Chat the word is delivered to
+     * @param {number} userId - User who subscribed
+     * @param {Object} options - Delivery options
+     * @param {string} options.time - Local delivery time (HH:MM)
+     * @param {string} options.timezone - IANA time zone
+     * @param {string} options.mode - 'word' or 'wordoftheday'
+     * @returns {Object} - Subscription
+     */
+    subscribe(chatId, userId, options = {}) {
+        const existing = this.subscriptions.get(chatId);
+        const time = options.time || existing?.time || this.defaultTime;
+        const timezone = DateUtils.normalizeTimeZone(
+            options.timezone || existing?.timezone || this.defaultTimezone
+        );
+        const mode = options.mode || existing?.mode || 'word';
+
+        if (DateUtils.parseTime(time) === null) {
+            throw new Error(`Invalid delivery time: ${time}`);
+        }
+
+        if (!timezone) {
+            throw new Error(`Invalid time zone: ${options.timezone}`);
+        }
+
+        if (!this.validModes.has(mode)) {
+            throw new Error(`Invalid delivery mode: ${mode}`);
+        }
+
+        const normalizedTime = DateUtils.formatTime(DateUtils.parseTime(time));
+        const local = DateUtils.getLocalParts(new Date(), timezone);
+
+        const subscription = {
+            chatId,
+            userId,
+            time: normalizedTime,
+            timezone,
+            mode,
+            // If today's delivery time already passed, start tomorrow
+            lastSentDate: local.minutes >= DateUtils.parseTime(normalizedTime)
+                ? local.date
+                : existing?.lastSentDate || null,
+            createdAt: existing?.createdAt || new Date().toISOString()
+        };
+
+        this.subscriptions.set(chatId, subscription);
+        this.isDirty = true;
+
+        Logger.info('Subscription saved', { chatId, userId, time: normalizedTime, timezone, mode });
+        return subscription;
+    }
+
+    /**
+     * Remove a subscription
+     * @param {number} chatId - Chat ID
+     * @returns {boolean} - True if a subscription was removed
+     */
+    unsubscribe(chatId) {
+        const removed = this.subscriptions.delete(chatId);
+
+        if (removed) {
+            this.isDirty = true;
+            Logger.info('Subscription removed', { chatId });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Get the subscription of a chat
+     * @param {number} chatId - Chat ID
+     * @returns {Object|null} - Subscription or null
+     */
+    getSubscription(chatId) {
+        return this.subscriptions.get(chatId) || null;
+    }
+
+    /**
+     * Get the number of active subscriptions
+     * @returns {number} - Subscription count
+     */
+    getSubscriptionCount() {
+        return this.subscriptions.size;
+    }
+
+    /**
+     * Get subscriptions whose local delivery time has passed and that weren't sent today
+     * @param {Date} now - Current time
+     * @returns {Array} - Due subscriptions with their local date
+     */
+    getDueSubscriptions(now = new Date()) {
+        const due = [];
+
+        this.subscriptions.forEach(subscription => {
+            const local = DateUtils.getLocalParts(now, subscription.timezone);
+
+            if (subscription.lastSentDate !== local.date &&
+                local.minutes >= DateUtils.parseTime(subscription.time)) {
+                due.push({ subscription, localDate: local.date });
+            }
+        });
+
+        return due;
+    }
+
+    /**
+     * Start the delivery scheduler
+     * @param {Function} deliver - Async function sending a subscription's word
+     */
+    start(deliver) {
+        this.stop();
+        this.deliver = deliver;
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => {
+                Logger.error('Subscription scheduler tick failed', { error: error.message });
+            });
+        }, this.checkInterval);
+
+        // Deliveries missed while the bot was down go out right away
+        this.tick().catch(error => {
+            Logger.error('Subscription scheduler tick failed', { error: error.message });
+        });
+
+        Logger.info('Subscription scheduler started', {
+            subscriptions: this.subscriptions.size,
+            checkInterval: this.checkInterval
+        });
+    }
+
+    /**
+     * Stop the delivery scheduler
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            Logger.info('Subscription scheduler stopped');
+        }
+    }
+
+    /**
+     * Deliver every due subscription
+     * @param {Date} now - Current time
+     * @returns {Promise<void>}
+     */
+    async tick(now = new Date()) {
+        if (this.isTicking || !this.deliver) {
+            return;
+        }
+
+        this.isTicking = true;
+
+        try {
+            for (const { subscription, localDate } of this.getDueSubscriptions(now)) {
+                // Persist the send before delivering so a redeploy never sends twice
+                subscription.lastSentDate = localDate;
+                this.isDirty = true;
+                await this.save();
+
+                try {
+                    await this.deliver(subscription);
+                    Logger.bot('Scheduled word delivered', {
+                        chatId: subscription.chatId,
+                        mode: subscription.mode,
+                        localDate
+                    });
+                } catch (error) {
+                    Logger.error('Failed to deliver scheduled word', {
+                        chatId: subscription.chatId,
+                        error: error.message
+                    });
+
+                    // The user blocked the bot or the chat is gone
+                    if (error.response?.statusCode === 403) {
+                        this.unsubscribe(subscription.chatId);
+                    }
+                }
+            }
+        } finally {
+            this.isTicking = false;
+        }
+    }
+}
+
+module.exports = SubscriptionService;
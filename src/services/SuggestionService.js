@@ -0,0 +1,255 @@
+const Logger = require('../utils/Logger');
+const Validator = require('../utils/Validator');
+const TextSearch = require('../utils/TextSearch');
+const MemoryStorage = require('../storage/MemoryStorage');
+
+// Limits for user-submitted entries, on top of the word schema.
+// Words are measured in bytes, like Telegram measures button callback data,
+// so most buttons can carry the name (longer ones use a hash, see WordRef)
+const MAX_WORD_BYTES = 40;
+const MIN_DEFINITION_LENGTH = 10;
+const MAX_DEFINITION_LENGTH = 500;
+
+/**
+ * Moderation queue for words suggested by users with /suggest.
+ * Suggestions wait here until an admin approves, edits or rejects them;
+ * adding approved words to a pack is up to the caller (WordService.addWord).
+ */
+class SuggestionService {
+    constructor(storage = new MemoryStorage(), options = {}) {
+        this.storage = storage;
+        this.maxPendingPerUser = options.maxPendingPerUser || 3;
+        this.defaultEmoji = options.defaultEmoji || '💡';
+        // Suggestion ID -> pending suggestion
+        this.pending = new Map();
+        this.nextId = 1;
+        this.isDirty = false;
+    }
+
+    /**
+     * Load the persisted queue from storage
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const state = await this.storage.read('suggestions');
+
+        this.pending = new Map();
+        (state?.pending || []).forEach(suggestion => {
+            this.pending.set(suggestion.id, suggestion);
+        });
+        this.nextId = state?.nextId || 1;
+
+        this.isDirty = false;
+        Logger.info('Word suggestions loaded', { pending: this.pending.size });
+    }
+
+    /**
+     * Persist the queue to storage
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        this.isDirty = false;
+
+        try {
+            await this.storage.write('suggestions', {
+                nextId: this.nextId,
+                pending: Array.from(this.pending.values())
+            });
+            await this.storage.flush();
+        } catch (error) {
+            this.isDirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Mark the queue as changed so the next save persists it
+     */
+    markDirty() {
+        this.isDirty = true;
+    }
+
+    /**
+     * Parse `<word> — <definition>` as typed after /suggest
+     * The word may start with an emoji; an em dash, en dash, " - " or ":"
+     * separates it from the definition
+     * @param {string} text - Text after the command
+     * @returns {Object|null} - Entry with word, definition and emoji, or null if malformed
+     */
+    parse(text) {
+        // Markdown control characters would break the messages the entry is shown in
+        const cleaned = Validator.sanitizeString(text).replace(/[*_`[\]]/g, '');
+        const match = cleaned.match(/^(.+?)\s*(?:—|–|\s-\s|:)\s*([\s\S]+)$/);
+        if (!match) {
+            return null;
+        }
+
+        let word = match[1].trim();
+        let emoji = this.defaultEmoji;
+
+        const emojiMatch = word.match(/^(\p{Extended_Pictographic}[\p{Extended_Pictographic}\u200D\uFE0F]*)\s*(.+)$/u);
+        if (emojiMatch) {
+            [, emoji, word] = emojiMatch;
+        }
+
+        return {
+            word,
+            definition: match[2].trim().replace(/\s+/g, ' '),
+            emoji
+        };
+    }
+
+    /**
+     * List the problems of an entry, as message keys
+     * @param {Object} entry - Entry with word, definition and emoji
+     * @returns {Array} - Problems: 'schema', 'word' or 'definition' (empty if valid)
+     */
+    getEntryProblems(entry) {
+        if (!Validator.isValidWord(entry)) {
+            return ['schema'];
+        }
+
+        const problems = [];
+        if (Buffer.byteLength(entry.word) > MAX_WORD_BYTES || /\s{2,}|[\d@#/\\]/.test(entry.word)) {
+            problems.push('word');
+        }
+        if (entry.definition.length < MIN_DEFINITION_LENGTH || entry.definition.length > MAX_DEFINITION_LENGTH) {
+            problems.push('definition');
+        }
+        return problems;
+    }
+
+    /**
+     * Queue a suggestion
+     * @param {Object} entry - Valid entry with word, definition and emoji
+     * @param {Object} submitter - Who suggested it
+     * @param {number} submitter.userId - User ID
+     * @param {number} submitter.chatId - Chat to notify about the decision
+     * @param {string} submitter.username - Telegram username, shown to admins
+     * @param {string} pack - Pack the word is meant for
+     * @returns {Object} - { suggestion } or { error: 'duplicate' | 'limit' }
+     */
+    submit(entry, submitter, pack) {
+        if (this.findPending(entry.word)) {
+            return { error: 'duplicate' };
+        }
+
+        if (this.getPendingByUser(submitter.userId).length >= this.maxPendingPerUser) {
+            return { error: 'limit' };
+        }
+
+        const suggestion = {
+            id: this.nextId++,
+            word: entry.word,
+            definition: entry.definition,
+            emoji: entry.emoji,
+            pack,
+            userId: submitter.userId,
+            chatId: submitter.chatId,
+            username: submitter.username || null,
+            createdAt: Date.now()
+        };
+
+        this.pending.set(suggestion.id, suggestion);
+        this.markDirty();
+
+        Logger.info('Word suggested', {
+            id: suggestion.id,
+            userId: suggestion.userId,
+            word: suggestion.word,
+            pack
+        });
+
+        return { suggestion };
+    }
+
+    /**
+     * Replace the entry of a pending suggestion
+     * @param {number} id - Suggestion ID
+     * @param {Object} entry - Valid entry with word, definition and emoji
+     * @returns {Object|null} - Updated suggestion, or null if not pending
+     */
+    update(id, entry) {
+        const suggestion = this.pending.get(id);
+        if (!suggestion) {
+            return null;
+        }
+
+        Object.assign(suggestion, {
+            word: entry.word,
+            definition: entry.definition,
+            emoji: entry.emoji,
+            editedAt: Date.now()
+        });
+        this.markDirty();
+
+        Logger.info('Word suggestion edited', { id, word: suggestion.word });
+        return suggestion;
+    }
+
+    /**
+     * Take a suggestion out of the queue once an admin has decided
+     * @param {number} id - Suggestion ID
+     * @returns {Object|null} - Removed suggestion, or null if not pending
+     */
+    resolve(id) {
+        const suggestion = this.pending.get(id);
+        if (!suggestion) {
+            return null;
+        }
+
+        this.pending.delete(id);
+        this.markDirty();
+        return suggestion;
+    }
+
+    /**
+     * Get a pending suggestion
+     * @param {number} id - Suggestion ID
+     * @returns {Object|null} - Suggestion
+     */
+    get(id) {
+        return this.pending.get(id) || null;
+    }
+
+    /**
+     * Get pending suggestions, oldest first
+     * @returns {Array} - Suggestions
+     */
+    getPending() {
+        return Array.from(this.pending.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Get a user's pending suggestions
+     * @param {number} userId - User ID
+     * @returns {Array} - Suggestions
+     */
+    getPendingByUser(userId) {
+        return this.getPending().filter(suggestion => suggestion.userId === userId);
+    }
+
+    /**
+     * Find a pending suggestion for a word, ignoring case and accents
+     * @param {string} word - Word
+     * @returns {Object|null} - Suggestion
+     */
+    findPending(word) {
+        const key = TextSearch.normalize(word);
+        return this.getPending().find(suggestion => TextSearch.normalize(suggestion.word) === key) || null;
+    }
+
+    /**
+     * Count pending suggestions
+     * @returns {number} - Pending suggestions
+     */
+    getPendingCount() {
+        return this.pending.size;
+    }
+}
+
+module.exports = SuggestionService;
@@ -1,11 +1,114 @@
 const Logger = require('../utils/Logger');
 const Validator = require('../utils/Validator');
+const MemoryStorage = require('../storage/MemoryStorage');
+const SpacedRepetition = require('../utils/SpacedRepetition');
+const I18n = require('../utils/I18n');
+const DateUtils = require('../utils/DateUtils');
+
+const LEADERBOARD_METRICS = ['words', 'quiz', 'streak'];
 
 class UserService {
-    constructor() {
+    constructor(storage = new MemoryStorage()) {
+        this.storage = storage;
+        this.users = new Map();
+        this.isDirty = false;
+    }
+
+    /**
+     * Load persisted user state from storage
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const users = await this.storage.read('users');
+
         this.users = new Map();
-        this.wordOfTheDay = null;
-        this.wordOfTheDayDate = null;
+        Object.values(users || {}).forEach(userData => {
+            this.users.set(userData.id, this.deserializeUser(userData));
+        });
+
+        this.isDirty = false;
+        Logger.info('User state loaded', { users: this.users.size });
+    }
+
+    /**
+     * Persist user state to storage
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        // Clear the flag first so changes made during the write are picked up next time
+        this.isDirty = false;
+
+        try {
+            const users = {};
+            this.users.forEach((userData, userId) => {
+                users[userId] = userData;
+            });
+
+            await this.storage.write('users', users);
+            await this.storage.flush();
+
+            Logger.debug('User state saved', { users: this.users.size });
+        } catch (error) {
+            this.isDirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Mark user state as changed so the next save persists it
+     */
+    markDirty() {
+        this.isDirty = true;
+    }
+
+    /**
+     * Restore Date fields of a stored user record
+     * @param {Object} userData - Stored user data
+     * @returns {Object} - User data
+     */
+    deserializeUser(userData) {
+        const history = (userData.history || []).map(entry => ({
+            ...entry,
+            timestamp: new Date(entry.timestamp)
+        }));
+
+        const favorites = (userData.favorites || []).map(favorite => (favorite.due === undefined
+            ? { ...favorite, ...SpacedRepetition.createCard(favorite.savedAt) }
+            : favorite));
+
+        return {
+            ...userData,
+            history,
+            reviews: userData.reviews
+                ? this.dropFavoriteCards(userData.reviews, favorites)
+                : this.buildReviewsFromHistory(history),
+            favorites,
+            achievements: userData.achievements || {},
+            quiz: userData.quiz || { correct: 0, incorrect: 0 },
+            stats: {
+                ...userData.stats,
+                lastUsed: userData.stats?.lastUsed ? new Date(userData.stats.lastUsed) : null
+            }
+        };
+    }
+
+    /**
+     * Drop the review cards that saving a favorite used to create.
+     * Favorites have their own schedule now, and a word that was only
+     * saved (e.g. from /define) was never discovered.
+     * @param {Object} reviews - Stored review cards keyed by word
+     * @param {Array} favorites - Saved words
+     * @returns {Object} - Review cards of discovered words
+     */
+    dropFavoriteCards(reviews, favorites) {
+        const savedAt = new Map(favorites.map(favorite => [favorite.word, favorite.savedAt]));
+
+        return Object.fromEntries(Object.entries(reviews)
+            .filter(([word, card]) => !savedAt.has(word) || card.seenAt !== savedAt.get(word)));
     }
 
     /**
@@ -15,20 +118,32 @@ class UserService {
      */
     getUserData(userId) {
         if (!this.users.has(userId)) {
-                    this.users.set(userId, {
-            id: userId,
-            history: [],
-            difficulty: 'medium', // easy, medium, hard
-            preferences: {
-                categories: [],
-                wordLength: 'any' // short, medium, long, any
-            },
-            stats: {
-                totalWords: 0,
-                streak: 0,
-                lastUsed: null
-            }
-        });
+            this.markDirty();
+            this.users.set(userId, {
+                id: userId,
+                history: [],
+                reviews: {},
+                favorites: [], // saved words with their own review schedule, newest first, not capped like history
+                achievements: {}, // badge ID -> unlock time (ISO string)
+                quiz: {
+                    correct: 0,
+                    incorrect: 0
+                },
+                difficulty: 'medium', // easy, medium, hard
+                preferences: {
+                    categories: [],
+                    packs: [], // word packs to draw from, empty for the default pack
+                    wordLength: 'any', // short, medium, long, any
+                    language: null // explicit /language choice, null follows Telegram
+                },
+                languageCode: null, // last language_code reported by Telegram
+                stats: {
+                    totalWords: 0,
+                    streak: 0,
+                    lastUsed: null,
+                    packs: {} // pack ID -> words discovered
+                }
+            });
         }
         return this.users.get(userId);
     }
@@ -49,7 +164,8 @@ class UserService {
             definition: word.definition,
             emoji: word.emoji,
             timestamp: new Date(),
-            difficulty: this.calculateWordDifficulty(word)
+            difficulty: this.calculateWordDifficulty(word),
+            pack: word.pack || null
         };
 
         // Add to history (keep last 50 entries)
@@ -60,10 +176,18 @@ class UserService {
 
         // Update stats
         userData.stats.totalWords++;
-        userData.stats.lastUsed = new Date();
+        if (word.pack) {
+            userData.stats.packs = userData.stats.packs || {};
+            userData.stats.packs[word.pack] = (userData.stats.packs[word.pack] || 0) + 1;
+        }
 
-        // Update streak
+        // The streak compares against the previous activity, so update it first
         this.updateStreak(userData);
+        userData.stats.lastUsed = new Date();
+
+        // Schedule the word for spaced repetition review
+        this.scheduleReview(userData, word, historyEntry.timestamp.getTime());
+        this.markDirty();
 
         Logger.debug('Word added to user history', {
             userId,
@@ -91,6 +215,355 @@ class UserService {
 
 
 
+    /**
+     * Add a word to the user's review schedule if it isn't there yet
+     * @param {Object} userData - User data object
+     * @param {Object} word - Word object
+     * @param {number} seenAt - Timestamp the word was seen (ms)
+     */
+    scheduleReview(userData, word, seenAt = Date.now()) {
+        if (userData.reviews[word.word]) {
+            return;
+        }
+
+        userData.reviews[word.word] = {
+            word: word.word,
+            definition: word.definition,
+            emoji: word.emoji,
+            pack: word.pack || null,
+            seenAt,
+            ...SpacedRepetition.createCard(seenAt)
+        };
+    }
+
+    /**
+     * Build review cards for users stored before reviews existed
+     * @param {Array} history - History entries
+     * @returns {Object} - Review cards keyed by word
+     */
+    buildReviewsFromHistory(history) {
+        const reviews = {};
+
+        // History is newest first, schedule from the first time each word was seen
+        [...history].reverse().forEach(entry => {
+            if (!reviews[entry.word]) {
+                reviews[entry.word] = {
+                    word: entry.word,
+                    definition: entry.definition,
+                    emoji: entry.emoji,
+                    pack: entry.pack || null,
+                    seenAt: entry.timestamp.getTime(),
+                    ...SpacedRepetition.createCard(entry.timestamp.getTime())
+                };
+            }
+        });
+
+        return reviews;
+    }
+
+    /**
+     * Get review cards that are due, most overdue first
+     * @param {number} userId - User ID
+     * @param {number} now - Current timestamp (ms)
+     * @param {Object} options - Filter options
+     * @param {boolean} options.favorites - Only cards of favorite words
+     * @returns {Array} - Due review cards
+     */
+    getDueReviews(userId, now = Date.now(), options = {}) {
+        if (!Validator.isValidUserId(userId)) {
+            return [];
+        }
+
+        return this.getReviewCards(userId, options)
+            .filter(card => card.due <= now)
+            .sort((a, b) => a.due - b.due);
+    }
+
+    /**
+     * Get a user's review cards
+     * Favorites are scheduled apart from the words the user discovered
+     * @param {number} userId - User ID
+     * @param {Object} options - Filter options
+     * @param {boolean} options.favorites - Cards of favorite words instead
+     * @returns {Array} - Review cards
+     */
+    getReviewCards(userId, options = {}) {
+        const userData = this.getUserData(userId);
+
+        return options.favorites
+            ? [...userData.favorites]
+            : Object.values(userData.reviews);
+    }
+
+    /**
+     * Record a recall grade for a review card
+     * @param {number} userId - User ID
+     * @param {string} word - Reviewed word
+     * @param {string} grade - Grade name (forgot, hard, good, easy)
+     * @param {Object} options - Review options
+     * @param {boolean} options.favorites - Grade the favorite's card instead
+     * @returns {Object|null} - Updated card or null if not scheduled
+     */
+    recordReview(userId, word, grade, options = {}) {
+        if (!Validator.isValidUserId(userId) || !SpacedRepetition.isValidGrade(grade)) {
+            return null;
+        }
+
+        const userData = this.getUserData(userId);
+        let card;
+
+        if (options.favorites) {
+            const index = userData.favorites.findIndex(favorite => favorite.word === word);
+            if (index === -1) {
+                return null;
+            }
+
+            card = SpacedRepetition.review(userData.favorites[index], grade);
+            userData.favorites[index] = card;
+        } else {
+            if (!userData.reviews[word]) {
+                return null;
+            }
+
+            card = SpacedRepetition.review(userData.reviews[word], grade);
+            userData.reviews[word] = card;
+        }
+
+        this.markDirty();
+
+        Logger.debug('Review recorded', {
+            userId,
+            word,
+            grade,
+            interval: card.interval,
+            favorites: Boolean(options.favorites)
+        });
+
+        return card;
+    }
+
+    /**
+     * Get review schedule summary
+     * @param {number} userId - User ID
+     * @param {number} now - Current timestamp (ms)
+     * @param {Object} options - Filter options
+     * @param {boolean} options.favorites - Only cards of favorite words
+     * @returns {Object} - Scheduled, due and next due timestamp
+     */
+    getReviewStats(userId, now = Date.now(), options = {}) {
+        if (!Validator.isValidUserId(userId)) {
+            return { scheduled: 0, due: 0, nextDue: null };
+        }
+
+        const cards = this.getReviewCards(userId, options);
+        const upcoming = cards.filter(card => card.due > now).map(card => card.due);
+
+        return {
+            scheduled: cards.length,
+            due: cards.length - upcoming.length,
+            nextDue: upcoming.length > 0 ? Math.min(...upcoming) : null
+        };
+    }
+
+    /**
+     * Get the distinct words in a user's history, newest first
+     * @param {number} userId - User ID
+     * @returns {Array} - History entries without duplicates
+     */
+    getDiscoveredWords(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return [];
+        }
+
+        const seen = new Set();
+        return this.getUserData(userId).history.filter(entry => {
+            if (seen.has(entry.word)) {
+                return false;
+            }
+            seen.add(entry.word);
+            return true;
+        });
+    }
+
+    /**
+     * Get every word a user has discovered, oldest first
+     * Unlike getDiscoveredWords this is not limited by the history size:
+     * review cards are kept for every word the user has seen
+     * @param {number} userId - User ID
+     * @returns {Array} - Words with definition, emoji, pack and seenAt (ms)
+     */
+    getAllDiscoveredWords(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return [];
+        }
+
+        const userData = this.getUserData(userId);
+
+        // Cards stored before seenAt existed fall back to the history
+        const firstSeen = new Map();
+        userData.history.forEach(entry => {
+            firstSeen.set(entry.word, entry.timestamp.getTime());
+        });
+
+        return Object.values(userData.reviews)
+            .map(card => ({
+                word: card.word,
+                definition: card.definition,
+                emoji: card.emoji,
+                pack: card.pack || null,
+                seenAt: card.seenAt || firstSeen.get(card.word) || null
+            }))
+            .sort((a, b) => (a.seenAt || 0) - (b.seenAt || 0));
+    }
+
+    /**
+     * Save a word to the user's favorites
+     * Saved words get their own review card for `/review favorites`; they
+     * don't join the discovered words, so saving one from /define doesn't
+     * count as discovering it
+     * @param {number} userId - User ID
+     * @param {Object} word - Word object
+     * @returns {boolean} - True if added, false if already saved
+     */
+    addFavorite(userId, word) {
+        if (!Validator.isValidUserId(userId) || !word) {
+            return false;
+        }
+
+        if (this.isFavorite(userId, word.word)) {
+            return false;
+        }
+
+        const userData = this.getUserData(userId);
+        const savedAt = Date.now();
+
+        userData.favorites.unshift({
+            word: word.word,
+            definition: word.definition,
+            emoji: word.emoji,
+            pack: word.pack || null,
+            savedAt,
+            ...SpacedRepetition.createCard(savedAt)
+        });
+        this.markDirty();
+
+        Logger.debug('Favorite added', {
+            userId,
+            word: word.word,
+            favorites: userData.favorites.length
+        });
+
+        return true;
+    }
+
+    /**
+     * Remove a word from the user's favorites
+     * @param {number} userId - User ID
+     * @param {string} word - Word to remove
+     * @returns {boolean} - True if removed, false if it wasn't saved
+     */
+    removeFavorite(userId, word) {
+        if (!Validator.isValidUserId(userId)) {
+            return false;
+        }
+
+        const userData = this.getUserData(userId);
+        const index = userData.favorites.findIndex(favorite => favorite.word === word);
+        if (index === -1) {
+            return false;
+        }
+
+        userData.favorites.splice(index, 1);
+        this.markDirty();
+
+        Logger.debug('Favorite removed', {
+            userId,
+            word,
+            favorites: userData.favorites.length
+        });
+
+        return true;
+    }
+
+    /**
+     * Check if a word is in the user's favorites
+     * @param {number} userId - User ID
+     * @param {string} word - Word
+     * @returns {boolean} - True if saved
+     */
+    isFavorite(userId, word) {
+        if (!Validator.isValidUserId(userId)) {
+            return false;
+        }
+
+        return this.getUserData(userId).favorites.some(favorite => favorite.word === word);
+    }
+
+    /**
+     * Get the user's favorites, most recently saved first
+     * @param {number} userId - User ID
+     * @returns {Array} - Saved words with definition, emoji, pack, savedAt (ms) and review schedule
+     */
+    getFavorites(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return [];
+        }
+
+        return [...this.getUserData(userId).favorites];
+    }
+
+    /**
+     * Get the badges a user has unlocked
+     * @param {number} userId - User ID
+     * @returns {Object} - Badge ID -> unlock time (ISO string)
+     */
+    getAchievements(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return {};
+        }
+
+        return { ...this.getUserData(userId).achievements };
+    }
+
+    /**
+     * Record badges as unlocked
+     * @param {number} userId - User ID
+     * @param {Array} achievementIds - Badge IDs
+     */
+    unlockAchievements(userId, achievementIds) {
+        if (!Validator.isValidUserId(userId) || achievementIds.length === 0) {
+            return;
+        }
+
+        const userData = this.getUserData(userId);
+        const unlockedAt = new Date().toISOString();
+        achievementIds.forEach(id => {
+            userData.achievements[id] = userData.achievements[id] || unlockedAt;
+        });
+        this.markDirty();
+    }
+
+    /**
+     * Record a quiz answer
+     * @param {number} userId - User ID
+     * @param {boolean} correct - Whether the answer was correct
+     */
+    recordQuizAnswer(userId, correct) {
+        if (!Validator.isValidUserId(userId)) {
+            return;
+        }
+
+        const userData = this.getUserData(userId);
+        if (correct) {
+            userData.quiz.correct++;
+        } else {
+            userData.quiz.incorrect++;
+        }
+        this.markDirty();
+
+        Logger.debug('Quiz answer recorded', { userId, correct });
+    }
+
     /**
      * Set user difficulty preference
      * @param {number} userId - User ID
@@ -109,32 +582,179 @@ class UserService {
 
         const userData = this.getUserData(userId);
         userData.difficulty = difficulty;
+        this.markDirty();
 
         Logger.debug('User difficulty updated', { userId, difficulty });
         return true;
     }
 
     /**
-     * Get word of the day
-     * @param {Array} words - Available words
-     * @returns {Object} - Word of the day
-     */
-    getWordOfTheDay(words) {
-        const today = new Date().toDateString();
-        
-        // Generate new word of the day if it's a new day
-        if (this.wordOfTheDayDate !== today || !this.wordOfTheDay) {
-            const randomIndex = Math.floor(Math.random() * words.length);
-            this.wordOfTheDay = words[randomIndex];
-            this.wordOfTheDayDate = today;
-            
-            Logger.info('New word of the day generated', { 
-                word: this.wordOfTheDay.word,
-                date: today 
-            });
+     * Get user category filter
+     * @param {number} userId - User ID
+     * @returns {Array} - Selected categories (empty for all)
+     */
+    getCategories(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return [];
+        }
+
+        return [...this.getUserData(userId).preferences.categories];
+    }
+
+    /**
+     * Set user category filter
+     * @param {number} userId - User ID
+     * @param {Array} categories - Categories to draw words from (empty for all)
+     * @returns {boolean} - Success status
+     */
+    setCategories(userId, categories) {
+        if (!Validator.isValidUserId(userId) || !Array.isArray(categories)) {
+            return false;
+        }
+
+        const userData = this.getUserData(userId);
+        userData.preferences.categories = [...new Set(categories)].sort();
+        this.markDirty();
+
+        Logger.debug('User categories updated', { userId, categories: userData.preferences.categories });
+        return true;
+    }
+
+    /**
+     * Add or remove a category from the user's filter
+     * @param {number} userId - User ID
+     * @param {string} category - Category name
+     * @returns {Array} - Updated categories
+     */
+    toggleCategory(userId, category) {
+        const categories = this.getCategories(userId);
+        const index = categories.indexOf(category);
+
+        if (index === -1) {
+            categories.push(category);
+        } else {
+            categories.splice(index, 1);
         }
 
-        return this.wordOfTheDay;
+        this.setCategories(userId, categories);
+        return this.getCategories(userId);
+    }
+
+    /**
+     * Get the word packs a user draws from
+     * @param {number} userId - User ID
+     * @returns {Array} - Selected pack IDs (empty for the default pack)
+     */
+    getPacks(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return [];
+        }
+
+        return [...(this.getUserData(userId).preferences.packs || [])];
+    }
+
+    /**
+     * Set the word packs a user draws from
+     * @param {number} userId - User ID
+     * @param {Array} packs - Pack IDs (empty for the default pack)
+     * @returns {boolean} - Success status
+     */
+    setPacks(userId, packs) {
+        if (!Validator.isValidUserId(userId) || !Array.isArray(packs)) {
+            return false;
+        }
+
+        const userData = this.getUserData(userId);
+        userData.preferences.packs = [...new Set(packs)].sort();
+        this.markDirty();
+
+        Logger.debug('User packs updated', { userId, packs: userData.preferences.packs });
+        return true;
+    }
+
+    /**
+     * Add or remove a pack from the user's selection
+     * @param {number} userId - User ID
+     * @param {string} pack - Pack ID
+     * @param {Array} current - Packs currently in effect, used when nothing was picked yet
+     * @returns {Array} - Updated packs
+     */
+    togglePack(userId, pack, current = []) {
+        const packs = this.getPacks(userId);
+        const selected = packs.length > 0 ? packs : [...current];
+        const index = selected.indexOf(pack);
+
+        if (index === -1) {
+            selected.push(pack);
+        } else {
+            selected.splice(index, 1);
+        }
+
+        this.setPacks(userId, selected);
+        return this.getPacks(userId);
+    }
+
+    /**
+     * Remember the language reported by Telegram for a user
+     * @param {number} userId - User ID
+     * @param {string} languageCode - Telegram language_code
+     */
+    updateLanguageCode(userId, languageCode) {
+        if (!Validator.isValidUserId(userId) || !languageCode) {
+            return;
+        }
+
+        const userData = this.getUserData(userId);
+        if (userData.languageCode !== languageCode) {
+            userData.languageCode = languageCode;
+            this.markDirty();
+        }
+    }
+
+    /**
+     * Get the language a user picked with /language
+     * @param {number} userId - User ID
+     * @returns {string|null} - Locale or null when following Telegram
+     */
+    getLanguage(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return null;
+        }
+
+        return this.getUserData(userId).preferences.language || null;
+    }
+
+    /**
+     * Set or clear a user's language override
+     * @param {number} userId - User ID
+     * @param {string|null} locale - Supported locale, or null to follow Telegram
+     * @returns {boolean} - Success status
+     */
+    setLanguage(userId, locale) {
+        if (!Validator.isValidUserId(userId) || (locale !== null && !I18n.isSupported(locale))) {
+            return false;
+        }
+
+        const userData = this.getUserData(userId);
+        userData.preferences.language = locale;
+        this.markDirty();
+
+        Logger.debug('User language updated', { userId, language: locale });
+        return true;
+    }
+
+    /**
+     * Resolve the locale to talk to a user in
+     * @param {number} userId - User ID
+     * @returns {string} - Supported locale
+     */
+    getLocale(userId) {
+        if (!Validator.isValidUserId(userId)) {
+            return I18n.DEFAULT_LOCALE;
+        }
+
+        const userData = this.getUserData(userId);
+        return I18n.resolveLocale(userData.preferences.language || userData.languageCode);
     }
 
     /**
@@ -158,10 +778,24 @@ class UserService {
         }
 
         const userData = this.getUserData(userId);
+        const quizAnswered = userData.quiz.correct + userData.quiz.incorrect;
+
         return {
             ...userData.stats,
+            streak: this.getCurrentStreak(userData),
             difficulty: userData.difficulty,
-            historyLength: userData.history.length
+            categories: [...userData.preferences.categories],
+            packs: [...(userData.preferences.packs || [])],
+            wordsByPack: { ...userData.stats.packs },
+            historyLength: userData.history.length,
+            favorites: userData.favorites.length,
+            achievements: Object.keys(userData.achievements).length,
+            quiz: {
+                correct: userData.quiz.correct,
+                incorrect: userData.quiz.incorrect,
+                answered: quizAnswered,
+                accuracy: quizAnswered > 0 ? Math.round((userData.quiz.correct / quizAnswered) * 100) : 0
+            }
         };
     }
 
@@ -194,8 +828,7 @@ class UserService {
      * Update user streak
      * @param {Object} userData - User data object
      */
-    updateStreak(userData) {
-        const now = new Date();
+    updateStreak(userData, now = new Date()) {
         const lastUsed = userData.stats.lastUsed;
 
         if (!lastUsed) {
@@ -203,10 +836,11 @@ class UserService {
             return;
         }
 
-        const daysDiff = Math.floor((now - lastUsed) / (1000 * 60 * 60 * 24));
+        const daysDiff = this.getDaysBetween(lastUsed, now);
 
         if (daysDiff === 0) {
-            // Same day, streak continues
+            // Same day, streak continues (users from before streaks were counted start at 1)
+            userData.stats.streak = Math.max(userData.stats.streak, 1);
             return;
         } else if (daysDiff === 1) {
             // Consecutive day, increase streak
@@ -217,6 +851,71 @@ class UserService {
         }
     }
 
+    /**
+     * Get the streak a user still holds: a streak ends once a whole
+     * calendar day passes without a new word
+     * @param {Object} userData - User data object
+     * @param {Date} now - Current time
+     * @returns {number} - Current streak in days
+     */
+    getCurrentStreak(userData, now = new Date()) {
+        const lastUsed = userData.stats.lastUsed;
+        return lastUsed && this.getDaysBetween(lastUsed, now) <= 1 ? userData.stats.streak : 0;
+    }
+
+    /**
+     * Count the calendar days (UTC) between two dates
+     * @param {Date} from - Earlier date
+     * @param {Date} to - Later date
+     * @returns {number} - Days, 0 for the same day
+     */
+    getDaysBetween(from, to) {
+        const fromKey = DateUtils.getLocalParts(new Date(from), 'UTC').date;
+        const toKey = DateUtils.getLocalParts(new Date(to), 'UTC').date;
+        return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Rank users by words discovered (as /stats counts them), correct quiz answers or current streak
+     * Users with nothing to show for the metric are left out
+     * @param {Array} userIds - Users to rank
+     * @param {string} metric - words, quiz or streak
+     * @returns {Array} - Entries with userId, rank and the words, quiz and streak values, best first
+     */
+    getLeaderboard(userIds, metric = 'words') {
+        if (!LEADERBOARD_METRICS.includes(metric)) {
+            return [];
+        }
+
+        const entries = userIds
+            .filter(userId => this.users.has(userId))
+            .map(userId => {
+                const userData = this.users.get(userId);
+                return {
+                    userId,
+                    words: userData.stats.totalWords,
+                    quiz: userData.quiz.correct,
+                    streak: this.getCurrentStreak(userData)
+                };
+            })
+            .filter(entry => entry[metric] > 0);
+
+        // Ties are broken by the other metrics, in order
+        const order = [metric, ...LEADERBOARD_METRICS.filter(other => other !== metric)];
+        entries.sort((a, b) => {
+            const key = order.find(name => a[name] !== b[name]);
+            return key ? b[key] - a[key] : a.userId - b.userId;
+        });
+
+        // Equal scores share a rank
+        entries.forEach((entry, index) => {
+            const previous = entries[index - 1];
+            entry.rank = previous && previous[metric] === entry[metric] ? previous.rank : index + 1;
+        });
+
+        return entries;
+    }
+
     /**
      * Get all users data (for admin purposes)
      * @returns {Map} - All users data
@@ -231,6 +930,7 @@ class UserService {
      */
     clearUserData(userId) {
         this.users.delete(userId);
+        this.markDirty();
         Logger.debug('User data cleared', { userId });
     }
 }
@@ -0,0 +1,239 @@
+const Logger = require('../utils/Logger');
+const DateUtils = require('../utils/DateUtils');
+const Constants = require('../utils/Constants');
+const MemoryStorage = require('../storage/MemoryStorage');
+
+class WordOfTheDayService {
+    constructor(storage = new MemoryStorage(), options = {}) {
+        this.storage = storage;
+        this.timezone = options.timezone || 'UTC';
+        this.defaultPack = options.defaultPack || Constants.WORD_PACKS.DEFAULT;
+        // pack ID -> Map(YYYY-MM-DD -> archived word)
+        this.archives = new Map();
+        // pack ID -> Set of words already picked since the pack was last exhausted
+        this.cycleWords = new Map();
+        this.isDirty = false;
+    }
+
+    /**
+     * Load the archive from storage
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const state = await this.storage.read('wordOfTheDayArchive');
+
+        // The archive only covered one list before word packs existed
+        const packs = state?.packs || (state ? { [this.defaultPack]: state } : {});
+
+        this.archives = new Map();
+        this.cycleWords = new Map();
+        Object.entries(packs).forEach(([pack, packState]) => {
+            this.archives.set(pack, new Map(Object.entries(packState.entries || {})));
+            this.cycleWords.set(pack, new Set(packState.cycleWords || []));
+        });
+
+        if (!state) {
+            await this.importLegacyState();
+        }
+
+        this.isDirty = false;
+        Logger.info('Word of the day archive loaded', {
+            days: this.getArchive(this.defaultPack).size,
+            packs: this.archives.size
+        });
+    }
+
+    /**
+     * Keep today's word from the state format used before the archive existed
+     * @returns {Promise<void>}
+     */
+    async importLegacyState() {
+        const legacy = await this.storage.read('wordOfTheDay');
+        if (!legacy?.word || !legacy?.date) {
+            return;
+        }
+
+        const dateKey = DateUtils.getLocalParts(new Date(legacy.date), this.timezone).date;
+        this.archiveWord(dateKey, legacy.word, this.defaultPack);
+        Logger.info('Imported legacy word of the day', { date: dateKey, word: legacy.word.word });
+    }
+
+    /**
+     * Persist the archive to storage
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        this.isDirty = false;
+
+        try {
+            const packs = {};
+            this.archives.forEach((archive, pack) => {
+                packs[pack] = {
+                    entries: Object.fromEntries(archive),
+                    cycleWords: Array.from(this.getCycleWords(pack))
+                };
+            });
+
+            await this.storage.write('wordOfTheDayArchive', { packs });
+            await this.storage.flush();
+        } catch (error) {
+            this.isDirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Get today's date key in the word of the day time zone
+     * @param {Date} now - Current time
+     * @returns {string} - Date key (YYYY-MM-DD)
+     */
+    getToday(now = new Date()) {
+        return DateUtils.getLocalParts(now, this.timezone).date;
+    }
+
+    /**
+     * Get the archive of a word pack
+     * @param {string} pack - Pack ID
+     * @returns {Map} - YYYY-MM-DD -> archived word
+     */
+    getArchive(pack) {
+        if (!this.archives.has(pack)) {
+            this.archives.set(pack, new Map());
+        }
+
+        return this.archives.get(pack);
+    }
+
+    /**
+     * Get the words of a pack picked in its current cycle
+     * @param {string} pack - Pack ID
+     * @returns {Set} - Word names
+     */
+    getCycleWords(pack) {
+        if (!this.cycleWords.has(pack)) {
+            this.cycleWords.set(pack, new Set());
+        }
+
+        return this.cycleWords.get(pack);
+    }
+
+    /**
+     * Get the word of the day of a pack, selecting and archiving it on first request
+     * @param {Array} words - Words of the pack
+     * @param {Date} now - Current time
+     * @param {string} pack - Pack ID
+     * @returns {Object|null} - Word of the day
+     */
+    getWordOfTheDay(words, now = new Date(), pack = this.defaultPack) {
+        const today = this.getToday(now);
+        const archived = this.getArchive(pack).get(today);
+
+        if (archived) {
+            return this.resolveWord(words, { pack, ...archived });
+        }
+
+        const word = this.selectWord(words, today, pack);
+        if (!word) {
+            return null;
+        }
+
+        this.archiveWord(today, word, pack);
+
+        Logger.info('New word of the day generated', { 
+            word: word.word,
+            pack,
+            date: today 
+        });
+
+        return word;
+    }
+
+    /**
+     * Get the archived word of a past day
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Array} words - Words of the pack
+     * @param {string} pack - Pack ID
+     * @returns {Object|null} - Archived word or null
+     */
+    getArchivedWord(dateKey, words = [], pack = this.defaultPack) {
+        const archived = this.getArchive(pack).get(dateKey);
+        return archived ? this.resolveWord(words, { pack, ...archived }) : null;
+    }
+
+    /**
+     * Prefer the current version of an archived word in case its entry was edited
+     * @param {Array} words - Available words
+     * @param {Object} archived - Archived word
+     * @returns {Object} - Word object
+     */
+    resolveWord(words, archived) {
+        return words.find(word => word.word === archived.word) || archived;
+    }
+
+    /**
+     * Pick a word deterministically from the date, skipping words already
+     * picked until the whole list has been used
+     * @param {Array} words - Words of the pack
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} pack - Pack ID
+     * @returns {Object|null} - Selected word
+     */
+    selectWord(words, dateKey, pack = this.defaultPack) {
+        if (!Array.isArray(words) || words.length === 0) {
+            return null;
+        }
+
+        const cycleWords = this.getCycleWords(pack);
+        let candidates = words.filter(word => !cycleWords.has(word.word));
+
+        if (candidates.length === 0) {
+            Logger.info('All words have been word of the day, starting new cycle', { pack });
+            cycleWords.clear();
+            candidates = words;
+        }
+
+        // Sort so the pick doesn't depend on the order of the word list
+        candidates = [...candidates].sort((a, b) => a.word.localeCompare(b.word));
+
+        return candidates[this.hashDate(dateKey) % candidates.length];
+    }
+
+    /**
+     * Store a word in the archive
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Object} word - Word object
+     * @param {string} pack - Pack ID
+     */
+    archiveWord(dateKey, word, pack = this.defaultPack) {
+        this.getArchive(pack).set(dateKey, {
+            word: word.word,
+            definition: word.definition,
+            emoji: word.emoji,
+            pack
+        });
+        this.getCycleWords(pack).add(word.word);
+        this.isDirty = true;
+    }
+
+    /**
+     * Hash a date key into a non-negative integer (FNV-1a)
+     * @param {string} dateKey - Date key
+     * @returns {number} - Hash
+     */
+    hashDate(dateKey) {
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < dateKey.length; i++) {
+            hash ^= dateKey.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+}
+
+module.exports = WordOfTheDayService;
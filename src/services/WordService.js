@@ -1,13 +1,38 @@
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
 const Logger = require('../utils/Logger');
 const Validator = require('../utils/Validator');
 const Constants = require('../utils/Constants');
+const TextSearch = require('../utils/TextSearch');
+const MemoryStorage = require('../storage/MemoryStorage');
+
+// Errors of a words directory that can't be written (e.g. a read-only container)
+const READ_ONLY_ERRORS = new Set(['EROFS', 'EACCES', 'EPERM']);
 
 class WordService {
-    constructor() {
+    constructor(storage = new MemoryStorage(), options = {}) {
+        this.storage = storage;
+        this.wordsDir = options.wordsDir || path.join(process.cwd(), Constants.PATHS.WORDS_DIR);
+        this.defaultPack = options.defaultPack || Constants.WORD_PACKS.DEFAULT;
+        this.watchDebounce = options.watchDebounce || 500;
+        // pack ID -> words of the pack
+        this.packs = new Map();
+        // Words of every pack, for lookups that span packs
         this.words = [];
-        this.usedWords = new Set();
+        // userId (or group chat ID) -> Map(poolKey -> Set of words shown in the current cycle)
+        // Pool keys start with the pack ID (e.g. `es:medium|nature`)
+        this.userCycles = new Map();
+        // pack ID -> words approved from /suggest while the words directory was
+        // read-only, merged into the pack when it loads (see addWord)
+        this.suggestedWords = new Map();
+        this.isDirty = false;
+        this.watcher = null;
+        this.reloadTimer = null;
+        // Reloads run one at a time, like pack file writes (see reloadWords)
+        this.reloadQueue = Promise.resolve();
+        // Pack file writes run one at a time (see addWord)
+        this.writeQueue = Promise.resolve();
         this.validDifficulties = new Set(['easy', 'medium', 'hard']);
         this.stats = {
             totalRequests: 0,
@@ -32,7 +57,8 @@ class WordService {
             if (success) {
                 this.isInitialized = true;
                 Logger.success('WordService initialized successfully', { 
-                    wordCount: this.words.length 
+                    wordCount: this.words.length,
+                    packs: Array.from(this.packs.keys())
                 });
             }
             
@@ -44,102 +70,558 @@ class WordService {
     }
 
     /**
-     * Load words from JSON file
+     * Load persisted user cycles and suggested words from storage
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const cycles = await this.storage.read('cycles');
+        const suggestedWords = await this.storage.read('suggested-words');
+
+        this.userCycles = new Map();
+        Object.entries(cycles || {}).forEach(([userId, pools]) => {
+            const userPools = new Map();
+            Object.entries(pools).forEach(([poolKey, words]) => {
+                // Cycles saved before word packs existed belong to the default pack
+                const key = poolKey.includes(':') ? poolKey : `${this.defaultPack}:${poolKey}`;
+                userPools.set(key, new Set(words));
+            });
+            this.userCycles.set(Number(userId), userPools);
+        });
+
+        this.suggestedWords = new Map(Object.entries(suggestedWords || {}));
+        // Packs may already be loaded from disk; merge the stored words into them
+        this.setPacks(this.packs);
+
+        this.isDirty = false;
+        Logger.info('Word cycles loaded', { users: this.userCycles.size });
+    }
+
+    /**
+     * Persist user cycles and suggested words to storage
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        this.isDirty = false;
+
+        try {
+            const cycles = {};
+            this.userCycles.forEach((userPools, userId) => {
+                cycles[userId] = {};
+                userPools.forEach((usedWords, poolKey) => {
+                    cycles[userId][poolKey] = Array.from(usedWords);
+                });
+            });
+
+            await this.storage.write('cycles', cycles);
+            await this.storage.write('suggested-words', Object.fromEntries(this.suggestedWords));
+            await this.storage.flush();
+        } catch (error) {
+            this.isDirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Load every word pack from the words directory
      * @returns {Promise<boolean>} - Success status
      */
     async loadWords() {
-        try {
-            this.stats.loadAttempts++;
-            this.stats.lastLoadTime = new Date();
+        this.stats.loadAttempts++;
+        this.stats.lastLoadTime = new Date();
 
-            const wordsPath = path.join(process.cwd(), Constants.PATHS.WORDS_JSON);
-            const wordsData = await fs.readFile(wordsPath, 'utf8');
-            const parsedWords = JSON.parse(wordsData);
+        const packs = new Map();
+        let filesRead = 0;
 
-            // Validate word structure
-            const validation = Validator.validateWordsArray(parsedWords);
-            
-            if (!validation.valid) {
-                Logger.warn('Invalid words found in JSON file', { 
-                    errors: validation.errors,
-                    validCount: validation.validWords.length 
-                });
-            }
+        try {
+            const packFiles = await this.findPackFiles();
 
-            this.words = this.assignWordDifficulties(validation.validWords);
-            
-            if (this.words.length === 0) {
-                Logger.warn('No valid words found, using fallback words');
-                this.loadFallbackWords();
-            }
+            for (const [pack, filePath] of packFiles) {
+                try {
+                    const parsedWords = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                    filesRead++;
+
+                    // Validate word structure
+                    const validation = Validator.validateWordsArray(parsedWords);
 
-            Logger.info(Constants.LOGS.WORDS_LOADED.replace('{count}', this.words.length));
-            return true;
+                    if (!validation.valid) {
+                        Logger.warn('Invalid words found in JSON file', { 
+                            pack,
+                            errors: validation.errors,
+                            validCount: validation.validWords.length 
+                        });
+                    }
 
+                    if (validation.validWords.length > 0) {
+                        packs.set(pack, this.assignWordDifficulties(validation.validWords, pack));
+                        Logger.info(Constants.LOGS.WORDS_LOADED
+                            .replace('{count}', validation.validWords.length)
+                            .replace('{file}', path.basename(filePath)), { pack });
+                    }
+                } catch (error) {
+                    Logger.error(Constants.ERRORS.WORDS_LOAD_FAILED, { 
+                        pack,
+                        error: error.message,
+                        attempt: this.stats.loadAttempts 
+                    });
+                }
+            }
         } catch (error) {
             Logger.error(Constants.ERRORS.WORDS_LOAD_FAILED, { 
                 error: error.message,
                 attempt: this.stats.loadAttempts 
             });
-            
+        }
+
+        if (packs.size === 0) {
+            Logger.warn('No valid words found, using fallback words');
             this.loadFallbackWords();
-            return false;
+            return filesRead > 0;
+        }
+
+        this.setPacks(packs);
+        return true;
+    }
+
+    /**
+     * Find the word pack files in the words directory
+     * @returns {Promise<Map>} - pack ID -> file path
+     */
+    async findPackFiles() {
+        const files = await fs.readdir(this.wordsDir);
+        const packFiles = new Map();
+
+        files.forEach(file => {
+            const match = file.match(Constants.WORD_PACKS.FILE_PATTERN);
+            if (match) {
+                packFiles.set(match[1].toLowerCase(), path.join(this.wordsDir, file));
+            }
+        });
+
+        if (!packFiles.has(this.defaultPack) && files.includes(Constants.WORD_PACKS.LEGACY_FILE)) {
+            packFiles.set(this.defaultPack, path.join(this.wordsDir, Constants.WORD_PACKS.LEGACY_FILE));
         }
+
+        return new Map(Array.from(packFiles).sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * Check if a file name is a word pack file
+     * @param {string} fileName - File name
+     * @returns {boolean} - True for pack files
+     */
+    isPackFile(fileName) {
+        return Constants.WORD_PACKS.FILE_PATTERN.test(fileName) || fileName === Constants.WORD_PACKS.LEGACY_FILE;
+    }
+
+    /**
+     * Replace the loaded packs, with the suggested words merged in
+     * @param {Map} packs - pack ID -> words
+     */
+    setPacks(packs) {
+        const merged = new Map(packs);
+        this.suggestedWords.forEach((entries, pack) => {
+            merged.set(pack, this.withSuggestedWords(pack, merged.get(pack) || []));
+        });
+
+        this.packs = new Map(Array.from(merged).sort(([a], [b]) => a.localeCompare(b)));
+        this.words = Array.from(this.packs.values()).flat();
     }
 
     /**
-     * Load fallback words when JSON file is unavailable
+     * Add the suggested words of a pack that the pack doesn't have yet.
+     * A word later added to the pack file wins over the suggested one.
+     * @param {string} pack - Pack ID
+     * @param {Array} words - Words of the pack
+     * @returns {Array} - Words of the pack with the suggested ones
+     */
+    withSuggestedWords(pack, words) {
+        const known = new Set(words.map(word => TextSearch.normalize(word.word)));
+        const missing = (this.suggestedWords.get(pack) || [])
+            .filter(entry => !known.has(TextSearch.normalize(entry.word)));
+
+        if (missing.length === 0) {
+            return words;
+        }
+
+        // Difficulty is relative to the whole pack, so the pack is graded again
+        return this.assignWordDifficulties([...words, ...missing], pack);
+    }
+
+    /**
+     * Load fallback words when no pack file is available
      */
     loadFallbackWords() {
-        this.words = this.assignWordDifficulties([...Constants.FALLBACK_WORDS]);
+        this.setPacks(new Map([
+            [this.defaultPack, this.assignWordDifficulties([...Constants.FALLBACK_WORDS], this.defaultPack)]
+        ]));
         Logger.warn(Constants.LOGS.USING_FALLBACK);
     }
 
     /**
-     * Get a random word without repetition
+     * Get the loaded packs with their word counts
+     * @returns {Array} - Packs sorted by ID
+     */
+    getPacks() {
+        return Array.from(this.packs, ([id, words]) => ({ id, count: words.length }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Check if a pack is loaded
+     * @param {string} pack - Pack ID
+     * @returns {boolean} - True if loaded
+     */
+    hasPack(pack) {
+        return this.packs.has(pack);
+    }
+
+    /**
+     * Get the pack used when a user hasn't picked any
+     * @returns {string|null} - Pack ID
+     */
+    getDefaultPack() {
+        if (this.packs.has(this.defaultPack)) {
+            return this.defaultPack;
+        }
+
+        return this.getPacks()[0]?.id || null;
+    }
+
+    /**
+     * Normalize a pack selection, dropping packs that aren't loaded
+     * @param {Array} packs - Pack IDs
+     * @returns {Array} - Loaded packs in the given order, or the default pack
+     */
+    normalizePacks(packs) {
+        const selected = Array.isArray(packs)
+            ? [...new Set(packs.map(pack => String(pack).toLowerCase()))].filter(pack => this.packs.has(pack))
+            : [];
+
+        if (selected.length > 0) {
+            return selected;
+        }
+
+        const defaultPack = this.getDefaultPack();
+        return defaultPack ? [defaultPack] : [];
+    }
+
+    /**
+     * Get the words of some packs
+     * @param {Array|null} packs - Pack IDs, or null for every pack
+     * @returns {Array} - Words
+     */
+    getWords(packs = null) {
+        if (!packs) {
+            return this.words;
+        }
+
+        return this.normalizePacks(packs).flatMap(pack => this.packs.get(pack));
+    }
+
+    /**
+     * Get a random word without repetition for a user
+     * @param {number} userId - User ID owning the cycle (a group's chat ID for group posts)
+     * @param {Object} options - Selection options
+     * @param {Array} options.packs - Packs to draw from
+     * @param {string} options.difficulty - Preferred difficulty
      * @returns {Object|null} - Random word object or null
      */
-    getRandomWord(preferredDifficulty = 'medium') {
+    getRandomWord(userId, options = {}) {
         if (!this.isInitialized || this.words.length === 0) {
             Logger.warn('Attempted to get word before initialization or no words available');
             return null;
         }
 
-        // Reset cycle if all words have been used
-        if (this.usedWords.size >= this.words.length) {
-            this.resetCycle();
-        }
+        const pool = this.getSelectionPool({ ...options, pack: this.pickPack(options) });
+        let usedWords = this.getCycle(userId, pool.key);
 
-        // Get available words (not used in current cycle)
-        const availableWords = this.words.filter(word => !this.usedWords.has(word.word));
+        // Get available words (not used in the user's current cycle)
+        let availableWords = pool.words.filter(word => !usedWords.has(word.word));
 
+        // Reset cycle if all words in the pool have been used
         if (availableWords.length === 0) {
-            Logger.warn('No available words found, this should not happen');
-            return null;
+            this.resetCycle(userId, pool.key);
+            usedWords = this.getCycle(userId, pool.key);
+            availableWords = pool.words;
         }
 
-        const normalizedDifficulty = this.normalizeDifficulty(preferredDifficulty);
-        const difficultyMatchedWords = availableWords.filter(
-            word => word.difficulty === normalizedDifficulty
-        );
-        const selectionPool = difficultyMatchedWords.length > 0 ? difficultyMatchedWords : availableWords;
-        const randomIndex = Math.floor(Math.random() * selectionPool.length);
-        const selectedWord = selectionPool[randomIndex];
+        const randomIndex = Math.floor(Math.random() * availableWords.length);
+        const selectedWord = availableWords[randomIndex];
         
         // Mark as used
-        this.usedWords.add(selectedWord.word);
+        usedWords.add(selectedWord.word);
+        this.isDirty = true;
 
         Logger.debug('Word selected', { 
+            userId,
             word: selectedWord.word,
-            preferredDifficulty: normalizedDifficulty,
+            pool: pool.key,
+            preferredDifficulty: pool.preferredDifficulty,
             selectedDifficulty: selectedWord.difficulty,
-            usedFallbackPool: difficultyMatchedWords.length === 0,
-            remaining: this.words.length - this.usedWords.size 
+            usedFallbackPool: pool.isFallback,
+            remaining: availableWords.length - 1
         });
 
         return selectedWord;
     }
 
+    /**
+     * Pick which of the selected packs the next word comes from.
+     * Each pack keeps its own cycle; packs are weighted by pool size so
+     * every word of the selection is equally likely.
+     * @param {Object} options - Selection options
+     * @returns {string} - Pack ID
+     */
+    pickPack(options = {}) {
+        const packs = this.normalizePacks(options.packs);
+        if (packs.length === 1) {
+            return packs[0];
+        }
+
+        const sizes = packs.map(pack => this.getSelectionPool({ ...options, pack }).words.length);
+        let target = Math.random() * sizes.reduce((sum, size) => sum + size, 0);
+
+        for (let i = 0; i < packs.length; i++) {
+            target -= sizes[i];
+            if (target < 0) {
+                return packs[i];
+            }
+        }
+
+        return packs[packs.length - 1];
+    }
+
+    /**
+     * Resolve the pool of words a selection draws from.
+     * Words of the pack are narrowed to the preferred categories, then to the
+     * preferred difficulty; each filter falls back to the wider pool when
+     * nothing matches.
+     * @param {Object} options - Selection options
+     * @param {string} options.pack - Pack to draw from (default pack if missing)
+     * @param {string} options.difficulty - Preferred difficulty
+     * @param {Array} options.categories - Preferred categories (any match)
+     * @returns {Object} - Pool key, words and whether a fallback was used
+     */
+    getSelectionPool(options = {}) {
+        const pack = this.packs.has(options.pack) ? options.pack : this.getDefaultPack();
+        const preferredDifficulty = this.normalizeDifficulty(options.difficulty);
+        const preferredCategories = this.normalizeCategories(options.categories);
+
+        let categoryWords = this.packs.get(pack) || [];
+        let categories = [];
+
+        if (preferredCategories.length > 0) {
+            const categoryMatchedWords = categoryWords.filter(
+                word => word.categories.some(category => preferredCategories.includes(category))
+            );
+
+            if (categoryMatchedWords.length > 0) {
+                categoryWords = categoryMatchedWords;
+                categories = preferredCategories;
+            }
+        }
+
+        const difficultyMatchedWords = categoryWords.filter(
+            word => word.difficulty === preferredDifficulty
+        );
+        const difficulty = difficultyMatchedWords.length > 0 ? preferredDifficulty : null;
+        const categoryKey = categories.length > 0 ? `|${categories.join('+')}` : '';
+
+        return {
+            key: `${pack}:${difficulty || 'all'}${categoryKey}`,
+            pack,
+            words: difficulty ? difficultyMatchedWords : categoryWords,
+            difficulty,
+            categories,
+            preferredDifficulty,
+            isFallback: !difficulty || categories.length !== preferredCategories.length
+        };
+    }
+
+    /**
+     * Normalize a category list, dropping categories no word has
+     * @param {Array} categories - Category names
+     * @returns {Array} - Sorted, lowercase, known categories
+     */
+    normalizeCategories(categories) {
+        if (!Array.isArray(categories)) {
+            return [];
+        }
+
+        const knownCategories = new Set(this.getCategories().map(category => category.name));
+        return [...new Set(categories.map(category => String(category).toLowerCase()))]
+            .filter(category => knownCategories.has(category))
+            .sort();
+    }
+
+    /**
+     * Get every category with its word count
+     * @param {Array|null} packs - Packs to count, or null for every pack
+     * @returns {Array} - Categories sorted by name
+     */
+    getCategories(packs = null) {
+        const counts = new Map();
+
+        this.getWords(packs).forEach(word => {
+            word.categories.forEach(category => {
+                counts.set(category, (counts.get(category) || 0) + 1);
+            });
+        });
+
+        return Array.from(counts, ([name, count]) => ({ name, count }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the set of words a user has seen in the current cycle of a pool
+     * @param {number} userId - User ID
+     * @param {string} poolKey - Pool key
+     * @returns {Set} - Words used in the current cycle
+     */
+    getCycle(userId, poolKey) {
+        if (!this.userCycles.has(userId)) {
+            this.userCycles.set(userId, new Map());
+        }
+
+        const userPools = this.userCycles.get(userId);
+        if (!userPools.has(poolKey)) {
+            userPools.set(poolKey, new Set());
+        }
+
+        return userPools.get(poolKey);
+    }
+
+    /**
+     * Get the selection options of every pool a user has a cycle in
+     * @param {number} userId - User ID
+     * @returns {Array} - Options with pack, difficulty (null for every difficulty) and categories
+     */
+    getCycleOptions(userId) {
+        const userPools = this.userCycles.get(userId) || new Map();
+
+        // Pool keys look like `es:hard|food+nature` (see getSelectionPool)
+        return Array.from(userPools.keys(), poolKey => {
+            const [pack, rest] = poolKey.split(':');
+            const [difficulty, categories] = rest.split('|');
+            return {
+                pack,
+                difficulty: difficulty === 'all' ? null : difficulty,
+                categories: categories ? categories.split('+') : []
+            };
+        });
+    }
+
+    /**
+     * Get a user's progress through the cycle of the pool matching the options
+     * @param {number} userId - User ID
+     * @param {Object} options - Selection options (see getSelectionPool)
+     * @returns {Object} - Cycle progress
+     */
+    getCycleProgress(userId, options = {}) {
+        const pool = this.getSelectionPool(options);
+        const usedWords = this.userCycles.get(userId)?.get(pool.key) || new Set();
+
+        // Only count words still in the pool, the list may have changed since they were shown
+        const used = pool.words.filter(word => usedWords.has(word.word)).length;
+        const total = pool.words.length;
+
+        return {
+            pool: pool.key,
+            pack: pool.pack,
+            difficulty: pool.difficulty,
+            categories: pool.categories,
+            used,
+            total,
+            remaining: total - used,
+            progress: total > 0 ? Math.round((used / total) * 100) : 0
+        };
+    }
+
+    /**
+     * Find a word by exact name (case and accent insensitive)
+     * @param {string} name - Word to look up
+     * @returns {Object|null} - Word object or null
+     */
+    findWord(name) {
+        const normalizedName = TextSearch.normalize(name);
+        if (!normalizedName) {
+            return null;
+        }
+
+        return this.words.find(word => TextSearch.normalize(word.word) === normalizedName) || null;
+    }
+
+    /**
+     * Search words by name and definition.
+     * Results are ranked: exact match, prefix, substring, typo-tolerant
+     * match on the name, then substring in the definition.
+     * @param {string} query - Search text
+     * @param {Object} options - Pagination options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.pageSize - Results per page
+     * @returns {Object} - Page of results with totals
+     */
+    searchWords(query, options = {}) {
+        const pageSize = options.pageSize || 5;
+        const normalizedQuery = TextSearch.normalize(query);
+
+        if (normalizedQuery.length < 2) {
+            return { query: normalizedQuery, results: [], total: 0, page: 1, totalPages: 0 };
+        }
+
+        const tolerance = TextSearch.getTypoTolerance(normalizedQuery.length);
+        const matches = [];
+
+        this.words.forEach(word => {
+            const name = TextSearch.normalize(word.word);
+            let score = null;
+
+            if (name === normalizedQuery) {
+                score = 0;
+            } else if (name.startsWith(normalizedQuery)) {
+                score = 1;
+            } else if (name.includes(normalizedQuery)) {
+                score = 2;
+            } else if (tolerance > 0) {
+                // Compare against the whole word and against a prefix of the same length
+                const distance = Math.min(
+                    TextSearch.editDistance(normalizedQuery, name),
+                    TextSearch.editDistance(normalizedQuery, name.slice(0, normalizedQuery.length)) + 1
+                );
+
+                if (distance <= tolerance) {
+                    score = 3 + distance / 10;
+                }
+            }
+
+            if (score === null && TextSearch.normalize(word.definition).includes(normalizedQuery)) {
+                score = 4;
+            }
+
+            if (score !== null) {
+                matches.push({ word, score });
+            }
+        });
+
+        matches.sort((a, b) => a.score - b.score || a.word.word.localeCompare(b.word.word));
+
+        const totalPages = Math.ceil(matches.length / pageSize);
+        const page = Math.min(Math.max(parseInt(options.page, 10) || 1, 1), Math.max(totalPages, 1));
+        const start = (page - 1) * pageSize;
+
+        return {
+            query: normalizedQuery,
+            results: matches.slice(start, start + pageSize).map(match => match.word),
+            total: matches.length,
+            page,
+            totalPages
+        };
+    }
+
     normalizeDifficulty(difficulty) {
         if (typeof difficulty !== 'string') {
             return 'medium';
@@ -149,7 +631,7 @@ class WordService {
         return this.validDifficulties.has(normalized) ? normalized : 'medium';
     }
 
-    assignWordDifficulties(words) {
+    assignWordDifficulties(words, pack = this.defaultPack) {
         if (!Array.isArray(words) || words.length === 0) {
             return [];
         }
@@ -168,7 +650,9 @@ class WordService {
 
             return {
                 ...word,
-                difficulty
+                categories: (word.categories || []).map(category => category.trim().toLowerCase()),
+                difficulty,
+                pack
             };
         });
     }
@@ -204,9 +688,8 @@ class WordService {
 
         return {
             totalWords: this.words.length,
-            usedWords: this.usedWords.size,
-            remainingWords: this.words.length - this.usedWords.size,
-            cycleProgress: Math.round((this.usedWords.size / this.words.length) * 100),
+            packs: this.getPacks(),
+            activeCycles: this.userCycles.size,
             totalRequests: this.stats.totalRequests,
             uniqueUsers: this.stats.uniqueUsers.size,
             uptime,
@@ -253,21 +736,312 @@ class WordService {
     }
 
     /**
-     * Reset the word cycle
+     * Reset a user's word cycle
+     * @param {number} userId - User ID
+     * @param {string|null} poolKey - Pool to reset, or null for every pool of the user
+     */
+    resetCycle(userId, poolKey = null) {
+        const userPools = this.userCycles.get(userId);
+        if (!userPools) {
+            return;
+        }
+
+        if (poolKey) {
+            userPools.delete(poolKey);
+        } else {
+            this.userCycles.delete(userId);
+        }
+
+        this.isDirty = true;
+        Logger.info(Constants.LOGS.CYCLE_RESET, { userId, pool: poolKey || 'all pools' });
+    }
+
+    /**
+     * Reset the word cycles of every user
      */
-    resetCycle() {
-        this.usedWords.clear();
-        Logger.info(Constants.LOGS.CYCLE_RESET);
+    resetAllCycles() {
+        this.userCycles.clear();
+        this.isDirty = true;
+        Logger.info(Constants.LOGS.CYCLE_MANUAL_RESET);
     }
 
     /**
-     * Reload words from file
-     * @returns {Promise<boolean>} - Success status
+     * Append a word to a pack file and reload the packs, so the word is
+     * served without a restart. The file is rewritten atomically, like
+     * the word CLI does. If the words directory is read-only, the word is
+     * kept in storage instead and merged into its pack on every load.
+     * @param {string} pack - Pack ID (created if it has no file yet)
+     * @param {Object} entry - Valid word entry
+     * @returns {Promise<boolean>} - True if added, false if the pack already has the word
+     */
+    async addWord(pack, entry) {
+        const errors = Validator.getWordErrors(entry);
+        if (errors.length > 0) {
+            throw new Error(`Invalid word entry: ${errors.join(', ')}`);
+        }
+
+        const write = this.writeQueue.then(() => this.appendToPackFile(pack, entry));
+
+        // A failed write must not block the next one
+        this.writeQueue = write.catch(() => {});
+
+        let added;
+        try {
+            added = await write;
+        } catch (error) {
+            if (!READ_ONLY_ERRORS.has(error.code)) {
+                throw error;
+            }
+
+            Logger.warn('Words directory is read-only, keeping the word in storage', {
+                pack,
+                word: entry.word,
+                error: error.message
+            });
+            return this.addStoredWord(pack, entry);
+        }
+
+        if (added) {
+            await this.reloadWords();
+        }
+        return added;
+    }
+
+    /**
+     * Append a word to a pack file unless the file already has it
+     * @param {string} pack - Pack ID
+     * @param {Object} entry - Valid word entry
+     * @returns {Promise<boolean>} - True if written, false if the file already has the word
+     */
+    async appendToPackFile(pack, entry) {
+        const packFiles = await this.findPackFiles();
+        const filePath = packFiles.get(pack) || path.join(this.wordsDir, `words.${pack}.json`);
+        const words = packFiles.has(pack) ? JSON.parse(await fs.readFile(filePath, 'utf8')) : [];
+
+        const key = TextSearch.normalize(entry.word);
+        if (words.some(word => TextSearch.normalize(word?.word) === key)) {
+            return false;
+        }
+
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, `${JSON.stringify([...words, entry], null, 2)}\n`, 'utf8');
+        await fs.rename(tempPath, filePath);
+
+        Logger.info('Word added to pack file', { pack, word: entry.word, file: path.basename(filePath) });
+        return true;
+    }
+
+    /**
+     * Keep an approved word in storage when its pack file can't be written
+     * @param {string} pack - Pack ID
+     * @param {Object} entry - Valid word entry
+     * @returns {Promise<boolean>} - True if added, false if the pack already has the word
+     */
+    async addStoredWord(pack, entry) {
+        const key = TextSearch.normalize(entry.word);
+        const packWords = this.packs.get(pack) || [];
+        if (packWords.some(word => TextSearch.normalize(word.word) === key)) {
+            return false;
+        }
+
+        this.suggestedWords.set(pack, [...(this.suggestedWords.get(pack) || []), entry]);
+        this.setPacks(this.packs);
+        this.isDirty = true;
+
+        // Persist right away: an approval is not replayed if the bot stops before the next save
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Reload every word pack from disk.
+     * A pack is replaced only if every entry of its file is valid;
+     * users keep their cycles, minus words that no longer exist.
+     * @returns {Promise<boolean>} - True if every pack file was accepted
      */
     async reloadWords() {
-        Logger.info('Reloading words from file...');
-        this.resetCycle();
-        return await this.loadWords();
+        // Serialize reloads so a burst of file events can't interleave swaps
+        const reload = this.reloadQueue.then(() => this.swapWordsFromFile());
+
+        // A failed reload must not block the next one
+        this.reloadQueue = reload.catch(() => {});
+
+        return reload;
+    }
+
+    /**
+     * Read, validate and swap in the word pack files
+     * @returns {Promise<boolean>} - True if every pack file was accepted
+     */
+    async swapWordsFromFile() {
+        Logger.info('Reloading word packs from disk...', { dir: this.wordsDir });
+
+        let packFiles;
+        try {
+            packFiles = await this.findPackFiles();
+        } catch (error) {
+            Logger.error('Words reload rejected, keeping current packs', { error: error.message });
+            return false;
+        }
+
+        const nextPacks = new Map();
+        let accepted = true;
+
+        for (const [pack, filePath] of packFiles) {
+            const fileWords = await this.readPackForReload(pack, filePath);
+
+            if (!fileWords) {
+                accepted = false;
+                if (this.packs.has(pack)) {
+                    nextPacks.set(pack, this.packs.get(pack));
+                }
+                continue;
+            }
+
+            const nextWords = this.withSuggestedWords(pack, fileWords);
+            const diff = this.diffWords(this.packs.get(pack) || [], nextWords);
+            nextPacks.set(pack, nextWords);
+
+            Logger.success(Constants.LOGS.WORDS_LOADED
+                .replace('{count}', nextWords.length)
+                .replace('{file}', path.basename(filePath)), {
+                pack,
+                added: diff.added,
+                removed: diff.removed,
+                changed: diff.changed
+            });
+        }
+
+        if (nextPacks.size === 0) {
+            Logger.error('Words reload rejected, no word pack left, keeping current packs');
+            return false;
+        }
+
+        Array.from(this.packs.keys())
+            .filter(pack => !nextPacks.has(pack) && !this.suggestedWords.has(pack))
+            .forEach(pack => Logger.warn('Word pack file removed, unloading pack', { pack }));
+
+        this.setPacks(nextPacks);
+        this.pruneCycles();
+        this.stats.loadAttempts++;
+        this.stats.lastLoadTime = new Date();
+
+        return accepted;
+    }
+
+    /**
+     * Read and strictly validate a pack file during a reload
+     * @param {string} pack - Pack ID
+     * @param {string} filePath - Pack file path
+     * @returns {Promise<Array|null>} - Words, or null if the file was rejected
+     */
+    async readPackForReload(pack, filePath) {
+        let parsedWords;
+        try {
+            parsedWords = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            Logger.error('Word pack reload rejected, keeping current version', { pack, error: error.message });
+            return null;
+        }
+
+        const validation = Validator.validateWordsArray(parsedWords);
+        if (!validation.valid || validation.errors.length > 0) {
+            Logger.error('Word pack reload rejected, keeping current version', {
+                pack,
+                errors: validation.errors
+            });
+            return null;
+        }
+
+        return this.assignWordDifficulties(validation.validWords, pack);
+    }
+
+    /**
+     * Compare two word lists by word name
+     * @param {Array} previousWords - Current words
+     * @param {Array} nextWords - Incoming words
+     * @returns {Object} - Names of added, removed and changed words
+     */
+    diffWords(previousWords, nextWords) {
+        // Difficulty is relative to the whole list, so it isn't a change to the entry itself
+        const serialize = ({ difficulty, ...word }) => JSON.stringify(word);
+        const previous = new Map(previousWords.map(word => [word.word, serialize(word)]));
+        const next = new Map(nextWords.map(word => [word.word, serialize(word)]));
+
+        return {
+            added: [...next.keys()].filter(name => !previous.has(name)),
+            removed: [...previous.keys()].filter(name => !next.has(name)),
+            changed: [...next.keys()].filter(name => previous.has(name) && previous.get(name) !== next.get(name))
+        };
+    }
+
+    /**
+     * Drop words that are no longer in their pack from every user's cycles.
+     * Cycles of unloaded packs are kept in case the pack comes back.
+     */
+    pruneCycles() {
+        const packNames = new Map();
+        this.packs.forEach((words, pack) => {
+            packNames.set(pack, new Set(words.map(word => word.word)));
+        });
+
+        this.userCycles.forEach(userPools => {
+            userPools.forEach((usedWords, poolKey) => {
+                const names = packNames.get(poolKey.split(':')[0]);
+                if (!names) {
+                    return;
+                }
+
+                usedWords.forEach(name => {
+                    if (!names.has(name)) {
+                        usedWords.delete(name);
+                        this.isDirty = true;
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Watch the word pack files and reload them after changes settle
+     */
+    watchWords() {
+        if (this.watcher) {
+            return;
+        }
+
+        // Watch the directory: editors often replace the file, which ends a file watch
+        this.watcher = watch(this.wordsDir, (eventType, changedFile) => {
+            if (changedFile && !this.isPackFile(changedFile)) {
+                return;
+            }
+
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => {
+                this.reloadWords().catch(error => {
+                    Logger.error('Words reload failed', { error: error.message });
+                });
+            }, this.watchDebounce);
+        });
+
+        this.watcher.on('error', error => {
+            Logger.error('Word pack watcher failed', { error: error.message });
+        });
+
+        Logger.info('Watching word packs for changes', { dir: this.wordsDir });
+    }
+
+    /**
+     * Stop watching the word pack files
+     */
+    unwatchWords() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
     }
 
     /**
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/Logger');
+
+/**
+ * JSON file storage backend.
+ * Every namespace lives in a single file that is rewritten atomically
+ * (write to a temporary file, then rename) so a crash mid-flush never
+ * leaves a truncated state file behind.
+ */
+class FileStorage {
+    constructor(filePath) {
+        this.filePath = path.resolve(process.cwd(), filePath);
+        this.data = {};
+        this.isDirty = false;
+        this.isOpen = false;
+        this.pendingFlush = Promise.resolve();
+    }
+
+    /**
+     * Open the storage file, creating its directory when needed
+     * @returns {Promise<void>}
+     */
+    async open() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.data = content.trim().length > 0 ? JSON.parse(content) : {};
+            Logger.info('State loaded from file storage', {
+                path: this.filePath,
+                namespaces: Object.keys(this.data)
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Refuse to start instead of silently overwriting unreadable state
+                throw new Error(`Failed to read storage file ${this.filePath}: ${error.message}`);
+            }
+
+            this.data = {};
+            Logger.info('No existing state file, starting fresh', { path: this.filePath });
+        }
+
+        this.isOpen = true;
+    }
+
+    /**
+     * Read a namespace
+     * @param {string} namespace - Namespace key
+     * @returns {Promise<Object|null>} - Stored value or null
+     */
+    async read(namespace) {
+        if (!Object.prototype.hasOwnProperty.call(this.data, namespace)) {
+            return null;
+        }
+
+        return JSON.parse(JSON.stringify(this.data[namespace]));
+    }
+
+    /**
+     * Write a namespace (kept in memory until the next flush)
+     * @param {string} namespace - Namespace key
+     * @param {Object} value - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async write(namespace, value) {
+        this.data[namespace] = JSON.parse(JSON.stringify(value));
+        this.isDirty = true;
+    }
+
+    /**
+     * Persist pending writes to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        // Chain flushes so two callers never write the temporary file concurrently
+        this.pendingFlush = this.pendingFlush
+            .catch(() => {})
+            .then(() => this.writeFile());
+
+        return this.pendingFlush;
+    }
+
+    /**
+     * Write the state file atomically
+     * @returns {Promise<void>}
+     */
+    async writeFile() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        this.isDirty = false;
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+        try {
+            await fs.writeFile(tempPath, JSON.stringify(this.data), 'utf8');
+            await fs.rename(tempPath, this.filePath);
+            Logger.debug('State flushed to file storage', { path: this.filePath });
+        } catch (error) {
+            this.isDirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Flush and close the storage backend
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.flush();
+        this.isOpen = false;
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,60 @@
+const Logger = require('../utils/Logger');
+
+/**
+ * In-memory storage backend.
+ * State is lost when the process exits, which makes it the right choice for tests.
+ */
+class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+        this.isOpen = false;
+    }
+
+    /**
+     * Open the storage backend
+     * @returns {Promise<void>}
+     */
+    async open() {
+        this.isOpen = true;
+        Logger.debug('Memory storage opened');
+    }
+
+    /**
+     * Read a namespace
+     * @param {string} namespace - Namespace key
+     * @returns {Promise<Object|null>} - Stored value or null
+     */
+    async read(namespace) {
+        if (!this.data.has(namespace)) {
+            return null;
+        }
+
+        return JSON.parse(this.data.get(namespace));
+    }
+
+    /**
+     * Write a namespace
+     * @param {string} namespace - Namespace key
+     * @param {Object} value - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async write(namespace, value) {
+        this.data.set(namespace, JSON.stringify(value));
+    }
+
+    /**
+     * Persist pending writes (no-op for memory storage)
+     * @returns {Promise<void>}
+     */
+    async flush() {}
+
+    /**
+     * Close the storage backend
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.isOpen = false;
+    }
+}
+
+module.exports = MemoryStorage;
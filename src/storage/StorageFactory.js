@@ -0,0 +1,28 @@
+const Logger = require('../utils/Logger');
+const MemoryStorage = require('./MemoryStorage');
+const FileStorage = require('./FileStorage');
+
+class StorageFactory {
+    /**
+     * Create a storage backend from configuration
+     * @param {Object} options - Storage configuration
+     * @param {string} options.driver - Storage driver (file, memory)
+     * @param {string} options.path - State file path for the file driver
+     * @returns {MemoryStorage|FileStorage} - Storage backend
+     */
+    static create(options = {}) {
+        const driver = (options.driver || 'file').toLowerCase();
+
+        switch (driver) {
+            case 'memory':
+                Logger.warn('Using in-memory storage, user state will not survive restarts');
+                return new MemoryStorage();
+            case 'file':
+                return new FileStorage(options.path || 'data/state.json');
+            default:
+                throw new Error(`Unknown storage driver: ${options.driver}`);
+        }
+    }
+}
+
+module.exports = StorageFactory;
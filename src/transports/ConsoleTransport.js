@@ -0,0 +1,363 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const MemoryTransport = require('./MemoryTransport');
+
+const HELP = [
+    'Type bot commands (e.g. /word) or any text to send it as the current user.',
+    '  .user <id> [username] [language]  Act as another user (created on first use)',
+    '  .group [id] [title]               Talk in a group chat (default -1001), owned by whoever opens it first',
+    '  .private                          Back to the current user\'s private chat',
+    '  .press <n>                        Press button <n> of the last keyboard',
+    '  .inline [query]                   Send an inline query',
+    '  .whoami                           Show the current user and chat',
+    '  .help                             Show this help',
+    '  .quit                             Stop the bot (also Ctrl+C / Ctrl+D)'
+].join('\n');
+
+/**
+ * Console transport.
+ * A REPL that drives the bot locally: lines typed at the prompt are sent
+ * as messages from a simulated user, replies are rendered in the terminal
+ * with their inline keyboards numbered so buttons can be pressed.
+ */
+class ConsoleTransport extends MemoryTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {number} options.userId - ID of the initial user
+     * @param {string} options.username - Username of the initial user
+     * @param {string} options.language - Telegram language_code of the initial user
+     * @param {stream.Readable} options.input - Input stream (stdin by default)
+     * @param {stream.Writable} options.output - Output stream (stdout by default)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.user = this.addUser({
+            id: options.userId || 1001,
+            username: options.username || 'console',
+            language_code: options.language || 'en'
+        });
+        this.chatId = this.user.id;
+        // Last message with an inline keyboard, for .press
+        this.keyboardMessage = null;
+        this.readline = null;
+        this.isClosing = false;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Open the prompt
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await super.start();
+
+        this.readline = readline.createInterface({
+            input: this.input,
+            output: this.output,
+            terminal: this.input.isTTY
+        });
+
+        // Lines are handled one at a time, in the order they were typed
+        this.readline.on('line', line => {
+            this.queue = this.queue
+                .then(() => this.handleLine(line.trim()))
+                .catch(error => this.print(chalk.red(`Error: ${error.message}`)))
+                .then(() => this.prompt());
+        });
+
+        // Ctrl+C, Ctrl+D and .quit shut the bot down like a SIGINT
+        this.readline.on('SIGINT', () => this.readline.close());
+        this.readline.on('close', () => {
+            if (!this.isClosing) {
+                process.emit('SIGINT');
+            }
+        });
+
+        this.print(chalk.bold('LexicalGem console'));
+        this.print(HELP);
+        this.prompt();
+    }
+
+    /**
+     * Close the prompt
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        await super.stop();
+
+        if (this.readline) {
+            this.isClosing = true;
+            this.readline.close();
+            this.readline = null;
+        }
+    }
+
+    /**
+     * Handle a line typed at the prompt
+     * @param {string} line - Input line
+     * @returns {Promise<void>}
+     */
+    async handleLine(line) {
+        if (!line) {
+            return;
+        }
+
+        if (!line.startsWith('.')) {
+            await this.sendText(this.user, line, this.chatId);
+            return;
+        }
+
+        const [command, ...args] = line.split(/\s+/);
+
+        switch (command) {
+            case '.user':
+                this.switchUser(args);
+                break;
+            case '.group':
+                this.switchGroup(args);
+                break;
+            case '.private':
+                this.chatId = this.user.id;
+                this.print(`Now in ${this.describeChat(this.getChat(this.chatId))}`);
+                break;
+            case '.press':
+                await this.pressKeyboardButton(parseInt(args[0], 10));
+                break;
+            case '.inline':
+                await this.sendInlineQuery(this.user, args.join(' '));
+                break;
+            case '.whoami':
+                this.print(`${this.describeUser(this.user)} in ${this.describeChat(this.getChat(this.chatId))}`);
+                break;
+            case '.help':
+                this.print(HELP);
+                break;
+            case '.quit':
+            case '.exit':
+                this.readline.close();
+                break;
+            default:
+                this.print(chalk.yellow(`Unknown console command ${command}, type .help`));
+        }
+    }
+
+    /**
+     * Act as another user, creating it on first use
+     * @param {Array} args - ID, username and language code
+     */
+    switchUser([id, username, language]) {
+        const userId = parseInt(id, 10);
+        if (!Number.isInteger(userId) || userId <= 0) {
+            this.print(chalk.yellow('Usage: .user <id> [username] [language]'));
+            return;
+        }
+
+        const existing = this.users.get(userId);
+        this.user = existing && !username && !language
+            ? existing
+            : this.addUser({
+                ...existing,
+                id: userId,
+                username: username || existing?.username || `user${userId}`,
+                language_code: language || existing?.language_code || 'en'
+            });
+
+        // Stay in the current group, otherwise follow the user to their private chat
+        if (this.getChat(this.chatId).type === 'private') {
+            this.chatId = this.user.id;
+        }
+
+        this.print(`Now ${this.describeUser(this.user)} in ${this.describeChat(this.getChat(this.chatId))}`);
+    }
+
+    /**
+     * Talk in a group chat, creating it on first use
+     * @param {Array} args - ID and title
+     */
+    switchGroup([id, ...title]) {
+        const chatId = id === undefined ? -1001 : parseInt(id, 10);
+        if (!Number.isInteger(chatId) || chatId >= 0) {
+            this.print(chalk.yellow('Usage: .group [id] [title] (group IDs are negative)'));
+            return;
+        }
+
+        if (!this.chats.has(chatId) || title.length > 0) {
+            // Whoever opens the group first owns it, so group settings can be tried
+            const admins = this.chatAdmins.get(chatId) || [this.user.id];
+            this.addGroup({ id: chatId, ...(title.length > 0 && { title: title.join(' ') }) }, admins);
+        }
+
+        this.chatId = chatId;
+        this.print(`Now in ${this.describeChat(this.getChat(chatId))}`);
+    }
+
+    /**
+     * Press a button of the last inline keyboard
+     * @param {number} number - Button number as printed
+     * @returns {Promise<void>}
+     */
+    async pressKeyboardButton(number) {
+        const buttons = this.keyboardMessage?.reply_markup?.inline_keyboard?.flat() || [];
+        const button = buttons[number - 1];
+
+        if (!button) {
+            this.print(chalk.yellow(buttons.length > 0
+                ? `Pick a button between 1 and ${buttons.length}`
+                : 'No keyboard to press'));
+            return;
+        }
+
+        if (!button.callback_data) {
+            this.print(`(opens ${button.url || button.switch_inline_query || 'nothing'})`);
+            return;
+        }
+
+        await this.pressButton(this.user, this.keyboardMessage, button.callback_data);
+    }
+
+    /**
+     * Render an action performed by the bot
+     * @param {Object} action - Recorded action
+     */
+    record(action) {
+        super.record(action);
+
+        switch (action.method) {
+            case 'sendMessage':
+            case 'editMessageText':
+                this.printMessage(action);
+                break;
+            case 'sendDocument':
+                this.printDocument(action);
+                break;
+            case 'answerCallbackQuery':
+                if (action.options.text) {
+                    this.print(chalk.magenta(`💬 ${action.options.text}`));
+                }
+                break;
+            case 'answerInlineQuery':
+                this.printInlineResults(action.results);
+                break;
+            default:
+                this.print(chalk.gray(`(${action.method})`));
+        }
+    }
+
+    /**
+     * Render a sent or edited message with its keyboard
+     * @param {Object} action - sendMessage or editMessageText action
+     */
+    printMessage(action) {
+        const { message, options } = action;
+        const edited = action.method === 'editMessageText' ? chalk.gray(' (edited)') : '';
+        const elsewhere = message.chat.id !== this.chatId ? chalk.gray(` → ${this.describeChat(message.chat)}`) : '';
+
+        this.print(`\n${chalk.cyan('🤖')}${edited}${elsewhere}`);
+        this.print(options.parse_mode === 'Markdown' ? this.renderMarkdown(message.text) : message.text);
+
+        const keyboard = message.reply_markup?.inline_keyboard;
+        if (keyboard && keyboard.length > 0) {
+            let number = 0;
+            keyboard.forEach(row => {
+                this.print(row.map(button => chalk.bold(`[${++number}] `) + button.text).join('   '));
+            });
+            this.keyboardMessage = message;
+        }
+    }
+
+    /**
+     * Render a sent file with its caption and first lines
+     * @param {Object} action - sendDocument action
+     */
+    printDocument(action) {
+        const { document, options, message } = action;
+        const size = message.document.file_size !== undefined ? ` (${message.document.file_size} bytes)` : '';
+
+        this.print(`\n${chalk.cyan('🤖')} 📎 ${chalk.bold(message.document.file_name || 'file')}${size}`);
+        if (options.caption) {
+            this.print(options.caption);
+        }
+
+        if (Buffer.isBuffer(document)) {
+            const lines = document.toString('utf8').split(/\r?\n/);
+            lines.slice(0, 5).forEach(line => this.print(chalk.gray(`  ${line}`)));
+            if (lines.length > 5) {
+                this.print(chalk.gray('  …'));
+            }
+        }
+    }
+
+    /**
+     * Render inline query results
+     * @param {Array} results - Inline query results
+     */
+    printInlineResults(results) {
+        if (results.length === 0) {
+            this.print(chalk.gray('(no inline results)'));
+            return;
+        }
+
+        results.forEach((result, index) => {
+            const description = result.description ? chalk.gray(` - ${result.description}`) : '';
+            this.print(`${chalk.bold(`[${index + 1}]`)} ${result.title}${description}`);
+        });
+    }
+
+    /**
+     * Render Telegram Markdown (legacy) with terminal styles
+     * @param {string} text - Markdown text
+     * @returns {string} - Styled text
+     */
+    renderMarkdown(text) {
+        return text
+            .replace(/\*([^*\n]+)\*/g, (match, content) => chalk.bold(content))
+            .replace(/(^|[^\\\w])_([^_\n]+)_/g, (match, before, content) => before + chalk.italic(content))
+            .replace(/`([^`\n]+)`/g, (match, content) => chalk.yellow(content))
+            .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => `${label} (${chalk.underline(url)})`)
+            .replace(/\\([_*`[\]])/g, '$1');
+    }
+
+    /**
+     * Describe a user for the terminal
+     * @param {Object} user - Telegram user
+     * @returns {string} - Description
+     */
+    describeUser(user) {
+        return `@${user.username} (${user.id}, ${user.language_code})`;
+    }
+
+    /**
+     * Describe a chat for the terminal
+     * @param {Object} chat - Telegram chat
+     * @returns {string} - Description
+     */
+    describeChat(chat) {
+        return chat.type === 'private' ? `private chat ${chat.id}` : `${chat.title || 'group'} (${chat.id})`;
+    }
+
+    /**
+     * Show the prompt
+     */
+    prompt() {
+        if (!this.readline) {
+            return;
+        }
+
+        const chat = this.getChat(this.chatId);
+        const where = chat.type === 'private' ? '' : ` in ${chat.title || chat.id}`;
+        this.readline.setPrompt(chalk.green(`@${this.user.username}${where}> `));
+        this.readline.prompt();
+    }
+
+    /**
+     * Write a line to the output
+     * @param {string} text - Text
+     */
+    print(text) {
+        this.output.write(`${text}\n`);
+    }
+}
+
+module.exports = ConsoleTransport;
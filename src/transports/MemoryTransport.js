@@ -0,0 +1,301 @@
+const EventEmitter = require('events');
+
+/**
+ * In-memory transport.
+ * Speaks the subset of the Telegram Bot API the bot uses, without a
+ * network: simulated users send messages, press buttons and type inline
+ * queries, and everything the bot sends is recorded in `sent`. Each
+ * simulation call waits for the handlers to finish and returns the actions
+ * they produced, which makes it suitable for end-to-end tests.
+ */
+class MemoryTransport extends EventEmitter {
+    /**
+     * @param {Object} options - Transport options
+     * @param {Object} options.botUser - User the bot sends messages as
+     */
+    constructor(options = {}) {
+        super();
+        this.botUser = options.botUser || { id: 1, is_bot: true, first_name: 'LexicalGem', username: 'LexicalGemBot' };
+        this.textCallbacks = [];
+        this.users = new Map();
+        this.chats = new Map();
+        // Group chat ID -> administrator IDs, creator first
+        this.chatAdmins = new Map();
+        // `${chatId}:${messageId}` -> message sent by the bot
+        this.messages = new Map();
+        // Actions performed by the bot, oldest first
+        this.sent = [];
+        this.nextMessageId = 1;
+        this.nextUpdateId = 1;
+        this.nextQueryId = 1;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start accepting updates
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.isRunning = true;
+    }
+
+    /**
+     * Stop accepting updates
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Register a callback for text messages matching a pattern
+     * @param {RegExp} regexp - Message pattern
+     * @param {Function} callback - Called with the message and the match
+     */
+    onText(regexp, callback) {
+        this.textCallbacks.push({ regexp, callback });
+    }
+
+    /**
+     * Dispatch an update to the bot, like Telegram would
+     * @param {Object} update - Telegram update
+     * @returns {Promise<void>} - Resolves when every handler has finished
+     */
+    async processUpdate(update) {
+        if (update.message) {
+            const { message } = update;
+            await this.dispatch('message', message);
+
+            if (message.text) {
+                const matches = this.textCallbacks
+                    .map(({ regexp, callback }) => {
+                        regexp.lastIndex = 0;
+                        return { callback, match: regexp.exec(message.text) };
+                    })
+                    .filter(({ match }) => match);
+
+                await Promise.all(matches.map(({ callback, match }) => callback(message, match)));
+            }
+        } else if (update.callback_query) {
+            await this.dispatch('callback_query', update.callback_query);
+        } else if (update.inline_query) {
+            await this.dispatch('inline_query', update.inline_query);
+        }
+    }
+
+    /**
+     * Call every listener of an event and wait for them
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     * @returns {Promise<void>}
+     */
+    async dispatch(event, payload) {
+        await Promise.all(this.listeners(event).map(listener => listener(payload)));
+    }
+
+    /**
+     * Register a simulated user
+     * @param {Object} user - Telegram user (id, username, first_name, language_code)
+     * @returns {Object} - User
+     */
+    addUser(user) {
+        const registered = { is_bot: false, first_name: user.username || `User ${user.id}`, ...user };
+        this.users.set(registered.id, registered);
+        this.chats.set(registered.id, {
+            id: registered.id,
+            type: 'private',
+            first_name: registered.first_name,
+            username: registered.username
+        });
+        return registered;
+    }
+
+    /**
+     * Register a simulated group chat
+     * @param {Object} chat - Telegram chat (negative id, title)
+     * @param {Array} admins - IDs of the group's administrators, the first one being its creator
+     * @returns {Object} - Chat
+     */
+    addGroup(chat, admins = []) {
+        const registered = { type: 'group', title: `Group ${chat.id}`, ...chat };
+        this.chats.set(registered.id, registered);
+        this.chatAdmins.set(registered.id, [...admins]);
+        return registered;
+    }
+
+    /**
+     * Get a known chat, or a minimal one for unknown IDs
+     * @param {number} chatId - Chat ID
+     * @returns {Object} - Chat
+     */
+    getChat(chatId) {
+        return this.chats.get(chatId) || { id: chatId, type: chatId < 0 ? 'group' : 'private' };
+    }
+
+    /**
+     * Send a text message as a user
+     * @param {Object} from - Sending user
+     * @param {string} text - Message text
+     * @param {number} chatId - Chat to send in (the user's private chat by default)
+     * @returns {Promise<Array>} - Actions the bot performed in response
+     */
+    async sendText(from, text, chatId = from.id) {
+        const message = {
+            message_id: this.nextMessageId++,
+            date: Math.floor(Date.now() / 1000),
+            from,
+            chat: this.getChat(chatId),
+            text
+        };
+
+        return this.simulate({ message });
+    }
+
+    /**
+     * Press an inline keyboard button as a user
+     * @param {Object} from - Pressing user
+     * @param {Object} message - Message with the keyboard
+     * @param {string} data - Callback data of the button
+     * @returns {Promise<Array>} - Actions the bot performed in response
+     */
+    async pressButton(from, message, data) {
+        return this.simulate({
+            callback_query: {
+                id: String(this.nextQueryId++),
+                from,
+                message,
+                chat_instance: String(message.chat.id),
+                data
+            }
+        });
+    }
+
+    /**
+     * Type an inline query as a user
+     * @param {Object} from - Querying user
+     * @param {string} query - Query text
+     * @returns {Promise<Array>} - Actions the bot performed in response
+     */
+    async sendInlineQuery(from, query) {
+        return this.simulate({
+            inline_query: {
+                id: String(this.nextQueryId++),
+                from,
+                query,
+                offset: ''
+            }
+        });
+    }
+
+    /**
+     * Process a simulated update
+     * @param {Object} update - Update without its ID
+     * @returns {Promise<Array>} - Actions the bot performed in response
+     */
+    async simulate(update) {
+        const start = this.sent.length;
+        await this.processUpdate({ update_id: this.nextUpdateId++, ...update });
+        return this.sent.slice(start);
+    }
+
+    /**
+     * Record an action performed by the bot
+     * @param {Object} action - Method name and arguments
+     */
+    record(action) {
+        this.sent.push(action);
+        this.emit('sent', action);
+    }
+
+    /**
+     * Forget the recorded actions
+     */
+    clearSent() {
+        this.sent = [];
+    }
+
+    /**
+     * Find a message sent by the bot
+     * @param {number} chatId - Chat ID
+     * @param {number} messageId - Message ID
+     * @returns {Object|undefined} - Message
+     */
+    getMessage(chatId, messageId) {
+        return this.messages.get(`${chatId}:${messageId}`);
+    }
+
+    async sendMessage(chatId, text, options = {}) {
+        const message = {
+            message_id: this.nextMessageId++,
+            date: Math.floor(Date.now() / 1000),
+            from: this.botUser,
+            chat: this.getChat(chatId),
+            text,
+            reply_markup: options.reply_markup
+        };
+
+        this.messages.set(`${chatId}:${message.message_id}`, message);
+        this.record({ method: 'sendMessage', chatId, text, options, message });
+        return message;
+    }
+
+    async editMessageText(text, options = {}) {
+        const message = this.getMessage(options.chat_id, options.message_id);
+        if (!message) {
+            throw new Error('Bad Request: message to edit not found');
+        }
+
+        message.text = text;
+        message.reply_markup = options.reply_markup;
+        this.record({ method: 'editMessageText', chatId: options.chat_id, text, options, message });
+        return message;
+    }
+
+    async sendDocument(chatId, document, options = {}, fileOptions = {}) {
+        const message = {
+            message_id: this.nextMessageId++,
+            date: Math.floor(Date.now() / 1000),
+            from: this.botUser,
+            chat: this.getChat(chatId),
+            document: {
+                file_name: fileOptions.filename,
+                mime_type: fileOptions.contentType,
+                file_size: Buffer.isBuffer(document) ? document.length : undefined
+            },
+            caption: options.caption
+        };
+
+        this.messages.set(`${chatId}:${message.message_id}`, message);
+        this.record({ method: 'sendDocument', chatId, document, options, fileOptions, message });
+        return message;
+    }
+
+    async getChatMember(chatId, userId) {
+        const chat = this.getChat(chatId);
+        const admins = this.chatAdmins.get(chatId) || [];
+        const user = this.users.get(userId) || { id: userId, is_bot: false, first_name: `User ${userId}` };
+        let status = 'member';
+
+        if (chat.type === 'private') {
+            status = chatId === userId ? 'member' : 'left';
+        } else if (admins[0] === userId) {
+            status = 'creator';
+        } else if (admins.includes(userId)) {
+            status = 'administrator';
+        }
+
+        return { user, status };
+    }
+
+    async answerCallbackQuery(callbackQueryId, options = {}) {
+        this.record({ method: 'answerCallbackQuery', callbackQueryId, options });
+        return true;
+    }
+
+    async answerInlineQuery(inlineQueryId, results, options = {}) {
+        this.record({ method: 'answerInlineQuery', inlineQueryId, results, options });
+        return true;
+    }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,82 @@
+const TelegramBot = require('node-telegram-bot-api');
+const Logger = require('../utils/Logger');
+const WebhookServer = require('../bot/WebhookServer');
+
+/**
+ * Telegram Bot API transport.
+ * The only module that talks to node-telegram-bot-api: receives updates by
+ * long polling or through the built-in webhook server.
+ */
+class TelegramTransport extends TelegramBot {
+    /**
+     * @param {string} token - Bot token
+     * @param {Object} options - Transport options
+     * @param {string} options.mode - 'polling' or 'webhook'
+     * @param {Object} options.botOptions - node-telegram-bot-api options
+     * @param {Object} options.webhook - Webhook configuration
+     */
+    constructor(token, options = {}) {
+        super(token, options.botOptions);
+        this.mode = options.mode || 'polling';
+        this.webhook = options.webhook || {};
+        this.webhookServer = null;
+    }
+
+    /**
+     * Start receiving updates via webhook or polling
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.mode === 'webhook') {
+            const webhook = this.webhook;
+
+            this.webhookServer = new WebhookServer(webhook, update => this.processUpdate(update));
+            await this.webhookServer.start();
+
+            const webhookUrl = webhook.url.replace(/\/+$/, '') + webhook.path;
+            const options = {
+                allowed_updates: JSON.stringify(['message', 'callback_query', 'inline_query'])
+            };
+
+            if (webhook.secretToken) {
+                options.secret_token = webhook.secretToken;
+            }
+
+            await this.setWebHook(webhookUrl, options);
+            Logger.success('Webhook registered', { url: webhookUrl });
+            return;
+        }
+
+        // A leftover webhook makes getUpdates fail, so clear it first
+        await this.deleteWebHook();
+        await this.startPolling();
+        Logger.success('Polling for updates');
+    }
+
+    /**
+     * Stop receiving updates
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.mode === 'webhook') {
+            if (this.webhook.deleteOnStop) {
+                try {
+                    await this.deleteWebHook();
+                    Logger.info('Webhook unregistered');
+                } catch (error) {
+                    Logger.error('Failed to unregister webhook', { error: error.message });
+                }
+            }
+
+            if (this.webhookServer) {
+                await this.webhookServer.stop();
+                this.webhookServer = null;
+            }
+            return;
+        }
+
+        await this.stopPolling();
+    }
+}
+
+module.exports = TelegramTransport;
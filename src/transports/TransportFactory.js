@@ -0,0 +1,48 @@
+const MemoryTransport = require('./MemoryTransport');
+const ConsoleTransport = require('./ConsoleTransport');
+
+const MODES = ['polling', 'webhook', 'console', 'memory'];
+
+class TransportFactory {
+    static get MODES() {
+        return MODES;
+    }
+
+    /**
+     * Check if a mode runs without Telegram (no token or network needed)
+     * @param {string} mode - Transport mode
+     * @returns {boolean} - True for console and memory
+     */
+    static isLocal(mode) {
+        return mode === 'console' || mode === 'memory';
+    }
+
+    /**
+     * Create the transport for a mode
+     * @param {string} mode - polling, webhook, console or memory
+     * @param {Object} config - Bot configuration
+     * @returns {TelegramTransport|ConsoleTransport|MemoryTransport} - Transport
+     */
+    static create(mode, config = {}) {
+        switch (mode) {
+            case 'memory':
+                return new MemoryTransport();
+            case 'console':
+                return new ConsoleTransport(config.transport?.console);
+            case 'polling':
+            case 'webhook': {
+                // Loaded on demand so local transports work without the Telegram client
+                const TelegramTransport = require('./TelegramTransport');
+                return new TelegramTransport(config.botToken, {
+                    mode,
+                    botOptions: config.botOptions,
+                    webhook: config.transport?.webhook
+                });
+            }
+            default:
+                throw new Error(`Unknown transport mode: ${mode}`);
+        }
+    }
+}
+
+module.exports = TransportFactory;
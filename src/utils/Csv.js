@@ -0,0 +1,112 @@
+class Csv {
+    /**
+     * Serialize rows as delimited text (RFC 4180 quoting, CRLF line endings)
+     * @param {Array} rows - Rows of cell values
+     * @param {string} delimiter - Cell delimiter
+     * @returns {string} - Delimited text
+     */
+    static stringify(rows, delimiter = ',') {
+        return rows
+            .map(row => row.map(value => this.escape(value, delimiter)).join(delimiter))
+            .map(line => `${line}\r\n`)
+            .join('');
+    }
+
+    /**
+     * Quote a cell when it contains the delimiter, quotes or line breaks
+     * @param {*} value - Cell value
+     * @param {string} delimiter - Cell delimiter
+     * @returns {string} - Cell text
+     */
+    static escape(value, delimiter = ',') {
+        const text = value === null || value === undefined ? '' : String(value);
+
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Parse delimited text into rows, honoring quoted cells; blank lines
+     * and a leading byte order mark are ignored
+     * @param {string} text - Delimited text
+     * @param {string} delimiter - Cell delimiter
+     * @returns {Array} - Rows of cell strings, each with its 1-based line number in `row.line`
+     */
+    static parse(text, delimiter = ',') {
+        const source = text.replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endRow = () => {
+            row.push(cell);
+            if (row.length > 1 || row[0].trim() !== '') {
+                row.line = rowLine;
+                rows.push(row);
+            }
+            row = [];
+            cell = '';
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            endRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * Guess the delimiter of delimited text from its first line
+     * @param {string} text - Delimited text
+     * @returns {string} - Tab, comma or semicolon
+     */
+    static detectDelimiter(text) {
+        const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+        const counts = ['\t', ',', ';'].map(delimiter => ({
+            delimiter,
+            count: firstLine.split(delimiter).length - 1
+        }));
+
+        return counts.reduce((best, candidate) => (candidate.count > best.count ? candidate : best)).delimiter;
+    }
+}
+
+module.exports = Csv;
@@ -0,0 +1,105 @@
+class DateUtils {
+    /**
+     * Check if a string is a valid IANA time zone
+     * @param {string} timeZone - Time zone name (e.g. Europe/Madrid)
+     * @returns {boolean} - True if valid
+     */
+    static isValidTimeZone(timeZone) {
+        return this.normalizeTimeZone(timeZone) !== null;
+    }
+
+    /**
+     * Get the canonical name of a time zone (e.g. europe/madrid → Europe/Madrid)
+     * @param {string} timeZone - Time zone name
+     * @returns {string|null} - Canonical name or null if invalid
+     */
+    static normalizeTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') {
+            return null;
+        }
+
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a HH:MM time string
+     * @param {string} time - Time string
+     * @returns {number|null} - Minutes after midnight or null if invalid
+     */
+    static parseTime(time) {
+        const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+        if (!match) {
+            return null;
+        }
+
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+
+    /**
+     * Format minutes after midnight as HH:MM
+     * @param {number} minutes - Minutes after midnight
+     * @returns {string} - Time string
+     */
+    static formatTime(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Check if a string is a real YYYY-MM-DD calendar date
+     * @param {string} dateKey - Date string
+     * @returns {boolean} - True if valid
+     */
+    static isValidDateKey(dateKey) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '')) {
+            return false;
+        }
+
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === dateKey;
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     * @param {string} dateKey - Date string
+     * @param {number} days - Days to add (negative to subtract)
+     * @returns {string} - Shifted date string
+     */
+    static addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get the calendar date and time of day in a time zone
+     * @param {Date} date - Instant to convert
+     * @param {string} timeZone - IANA time zone
+     * @returns {Object} - Local date (YYYY-MM-DD) and minutes after midnight
+     */
+    static getLocalParts(date = new Date(), timeZone = 'UTC') {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+}
+
+module.exports = DateUtils;
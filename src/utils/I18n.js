@@ -0,0 +1,137 @@
+const Logger = require('./Logger');
+
+const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = {
+    en: require('../locales/en'),
+    es: require('../locales/es')
+};
+
+class I18n {
+    static get DEFAULT_LOCALE() {
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * Translate a message key
+     * Lookup falls back from the locale to English; nested keys use dots
+     * (e.g. `REVIEW_GRADES.good`)
+     * @param {string} locale - Locale code
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {placeholder} interpolation
+     * @returns {string} - Translated message (the key itself if missing everywhere)
+     */
+    static t(locale, key, params = {}) {
+        const message = this.lookup(locale, key);
+
+        if (typeof message !== 'string') {
+            Logger.warn('Missing translation', { locale, key });
+            return key;
+        }
+
+        return this.interpolate(message, params);
+    }
+
+    /**
+     * Find a message in the fallback chain of a locale
+     * @param {string} locale - Locale code
+     * @param {string} key - Message key
+     * @returns {*} - Message or undefined
+     */
+    static lookup(locale, key) {
+        const path = key.split('.');
+
+        for (const candidate of this.getFallbackChain(locale)) {
+            const message = path.reduce((node, part) => (node == null ? undefined : node[part]), CATALOGS[candidate]);
+            if (message !== undefined) {
+                return message;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Replace {name} placeholders, leaving unknown ones untouched
+     * @param {string} message - Message template
+     * @param {Object} params - Placeholder values
+     * @returns {string} - Interpolated message
+     */
+    static interpolate(message, params = {}) {
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Get the locales to try for a locale, most specific first
+     * @param {string} locale - Locale code (e.g. `es-MX`)
+     * @returns {Array} - Supported locales ending with the default
+     */
+    static getFallbackChain(locale) {
+        const chain = [];
+        const normalized = (locale || '').toLowerCase().replace('_', '-');
+        const language = normalized.split('-')[0];
+
+        [normalized, language, DEFAULT_LOCALE].forEach(candidate => {
+            if (CATALOGS[candidate] && !chain.includes(candidate)) {
+                chain.push(candidate);
+            }
+        });
+
+        return chain;
+    }
+
+    /**
+     * Resolve a Telegram language_code to a supported locale
+     * @param {string} languageCode - IETF language tag
+     * @returns {string} - Supported locale
+     */
+    static resolveLocale(languageCode) {
+        return this.getFallbackChain(languageCode)[0];
+    }
+
+    /**
+     * Check if a locale has a catalog
+     * @param {string} locale - Locale code
+     * @returns {boolean} - True if supported
+     */
+    static isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(CATALOGS, locale);
+    }
+
+    /**
+     * Get all supported locales
+     * @returns {Array} - Locale codes
+     */
+    static getSupportedLocales() {
+        return Object.keys(CATALOGS);
+    }
+
+    /**
+     * Get the display name of a locale in its own language
+     * @param {string} locale - Locale code
+     * @returns {string} - Language name
+     */
+    static getLanguageName(locale) {
+        return this.t(locale, 'LANGUAGE_NAME');
+    }
+
+    /**
+     * Get the display name of a word pack, named after its language when
+     * the pack ID is a language code (e.g. `es` → "Spanish")
+     * @param {string} pack - Pack ID
+     * @param {string} locale - Locale to name the pack in
+     * @returns {string} - Pack name (the ID itself if it isn't a language)
+     */
+    static getPackName(pack, locale = DEFAULT_LOCALE) {
+        try {
+            const name = new Intl.DisplayNames([locale, DEFAULT_LOCALE], { type: 'language' }).of(pack);
+            return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+        } catch (error) {
+            return pack;
+        }
+    }
+}
+
+module.exports = I18n;
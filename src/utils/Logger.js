@@ -1,4 +1,16 @@
-const chalk = require('chalk');
+const ConsoleSink = require('../logging/ConsoleSink');
+const FileSink = require('../logging/FileSink');
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are secrets (botToken, secret_token, password, ...)
+const SECRET_KEY_PATTERN = /(token|secret|password|authorization|apikey)$/i;
+
+// Keys whose values identify a person beyond their numeric ID
+const PII_KEYS = new Set(['username', 'firstname', 'lastname', 'phonenumber']);
+
+// Telegram bot tokens (also inside API URLs like /bot<token>/sendMessage)
+const BOT_TOKEN_PATTERN = /\d{5,}:[A-Za-z0-9_-]{30,}/g;
 
 class Logger {
     constructor() {
@@ -8,28 +20,231 @@ class Logger {
             INFO: 2,
             DEBUG: 3
         };
-        
+
         this.currentLevel = this.levels.INFO;
         this.startTime = new Date();
+        this.format = 'pretty';
+        this.redactEnabled = true;
+        this.sinks = [new ConsoleSink({ format: this.format })];
+        // Fields added to every entry (see child())
+        this.context = {};
+    }
+
+    /**
+     * Apply the logging configuration
+     * @param {Object} options - Logging configuration
+     * @param {string} options.level - error, warn, info or debug
+     * @param {string} options.format - pretty or json
+     * @param {boolean} options.redact - Mask secrets and personal data
+     * @param {boolean} options.console - Log to the console
+     * @param {Object} options.file - File sink options (see FileSink)
+     */
+    configure(options = {}) {
+        if (options.level) {
+            this.setLevel(options.level);
+        }
+
+        if (options.format) {
+            this.format = options.format === 'json' ? 'json' : 'pretty';
+        }
+
+        if (options.redact !== undefined) {
+            this.redactEnabled = options.redact !== false;
+        }
+
+        const sinks = [];
+        if (options.console !== false) {
+            sinks.push(new ConsoleSink({ format: this.format }));
+        }
+
+        let fileError = null;
+        if (options.file?.enabled) {
+            const fileSink = new FileSink(options.file);
+            try {
+                fileSink.open();
+                sinks.push(fileSink);
+            } catch (error) {
+                fileError = error;
+            }
+        }
+
+        this.close();
+        this.sinks = sinks;
+
+        if (fileError) {
+            this.error('File logging disabled, could not open log file', {
+                path: options.file.path,
+                error: fileError.message
+            });
+        }
     }
 
     setLevel(level) {
-        this.currentLevel = this.levels[level.toUpperCase()] || this.levels.INFO;
+        const value = this.levels[String(level).toUpperCase()];
+        this.currentLevel = value !== undefined ? value : this.levels.INFO;
+    }
+
+    /**
+     * Add a sink that receives every entry
+     * A sink has `write(line, entry)`, and optionally `format` and `close()`
+     * @param {Object} sink - Log sink
+     */
+    addSink(sink) {
+        this.sinks.push(sink);
+    }
+
+    /**
+     * Close every sink
+     */
+    close() {
+        this.sinks.forEach(sink => {
+            if (typeof sink.close === 'function') {
+                sink.close();
+            }
+        });
+    }
+
+    /**
+     * Create a logger that adds context (e.g. userId, chatId, command) to
+     * every entry; it shares the level, format and sinks of this logger
+     * @param {Object} context - Context fields
+     * @returns {Logger} - Child logger
+     */
+    child(context = {}) {
+        const child = Object.create(this);
+        child.context = { ...this.context, ...context };
+        return child;
+    }
+
+    /**
+     * Write an entry to every sink
+     * @param {string} level - Level label
+     * @param {number} severity - Level the entry is filtered by
+     * @param {string} message - Log message
+     * @param {*} data - Extra data
+     */
+    log(level, severity, message, data = null) {
+        if (this.currentLevel < severity) {
+            return;
+        }
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            uptime: this.getUptime(),
+            level,
+            message: this.redactEnabled ? this.redactString(message) : message,
+            context: this.sanitize(this.context),
+            data: data === null ? null : this.sanitize(data)
+        };
+
+        this.sinks.forEach(sink => {
+            try {
+                sink.write(this.formatEntry(entry, sink.format || this.format), entry);
+            } catch (error) {
+                // Never log through a failing sink
+                console.error(`Log sink failed: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Format an entry as a line
+     * @param {Object} entry - Log entry
+     * @param {string} format - pretty or json
+     * @returns {string} - Formatted line
+     */
+    formatEntry(entry, format) {
+        if (format === 'json') {
+            const { timestamp, level, message, uptime, context, data } = entry;
+            return JSON.stringify({
+                timestamp,
+                level,
+                message,
+                uptime,
+                ...context,
+                ...(data !== null && { data })
+            });
+        }
+
+        return this.formatMessage(entry);
     }
 
-    formatMessage(level, message, data = null) {
-        const timestamp = new Date().toISOString();
-        const uptime = this.getUptime();
-        
-        let formattedMessage = `[${timestamp}] [${uptime}] [${level}] ${message}`;
-        
-        if (data) {
-            formattedMessage += ` | ${JSON.stringify(data)}`;
+    formatMessage(entry) {
+        let formattedMessage = `[${entry.timestamp}] [${entry.uptime}] [${entry.level}] ${entry.message}`;
+
+        const hasContext = Object.keys(entry.context).length > 0;
+        let details = entry.data;
+        if (hasContext) {
+            details = entry.data !== null && typeof entry.data === 'object' && !Array.isArray(entry.data)
+                ? { ...entry.context, ...entry.data }
+                : { ...entry.context, ...(entry.data !== null && { data: entry.data }) };
+        }
+
+        if (details) {
+            formattedMessage += ` | ${JSON.stringify(details)}`;
         }
-        
+
         return formattedMessage;
     }
 
+    /**
+     * Copy log data into plain JSON values, masking secrets and personal
+     * data when redaction is enabled
+     * @param {*} value - Log data
+     * @param {WeakSet} seen - Objects being copied (breaks cycles)
+     * @returns {*} - Loggable copy
+     */
+    sanitize(value, seen = new WeakSet()) {
+        if (typeof value === 'string') {
+            return this.redactEnabled ? this.redactString(value) : value;
+        }
+
+        if (value instanceof Error) {
+            return this.sanitize({ message: value.message, stack: value.stack }, seen);
+        }
+
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        seen.add(value);
+
+        const copy = Array.isArray(value)
+            ? value.map(item => this.sanitize(item, seen))
+            : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+                key,
+                this.redactEnabled && this.isSensitiveKey(key) && item !== undefined && item !== null
+                    ? REDACTED
+                    : this.sanitize(item, seen)
+            ]));
+
+        // Only ancestors count as cycles, the same object may appear twice
+        seen.delete(value);
+        return copy;
+    }
+
+    /**
+     * Check if a data key holds a secret or personal data
+     * @param {string} key - Data key
+     * @returns {boolean} - True if its value must be masked
+     */
+    isSensitiveKey(key) {
+        const normalized = key.replace(/[_-]/g, '').toLowerCase();
+        return SECRET_KEY_PATTERN.test(normalized) || PII_KEYS.has(normalized);
+    }
+
+    /**
+     * Mask bot tokens inside free text
+     * @param {string} text - Text
+     * @returns {string} - Text without tokens
+     */
+    redactString(text) {
+        return String(text).replace(BOT_TOKEN_PATTERN, REDACTED);
+    }
+
     getUptime() {
         const now = new Date();
         const diff = now - this.startTime;
@@ -39,40 +254,28 @@ class Logger {
     }
 
     error(message, data = null) {
-        if (this.currentLevel >= this.levels.ERROR) {
-            console.error(chalk.red(this.formatMessage('ERROR', message, data)));
-        }
+        this.log('ERROR', this.levels.ERROR, message, data);
     }
 
     warn(message, data = null) {
-        if (this.currentLevel >= this.levels.WARN) {
-            console.warn(chalk.yellow(this.formatMessage('WARN', message, data)));
-        }
+        this.log('WARN', this.levels.WARN, message, data);
     }
 
     info(message, data = null) {
-        if (this.currentLevel >= this.levels.INFO) {
-            console.log(chalk.blue(this.formatMessage('INFO', message, data)));
-        }
+        this.log('INFO', this.levels.INFO, message, data);
     }
 
     debug(message, data = null) {
-        if (this.currentLevel >= this.levels.DEBUG) {
-            console.log(chalk.gray(this.formatMessage('DEBUG', message, data)));
-        }
+        this.log('DEBUG', this.levels.DEBUG, message, data);
     }
 
     success(message, data = null) {
-        if (this.currentLevel >= this.levels.INFO) {
-            console.log(chalk.green(this.formatMessage('SUCCESS', message, data)));
-        }
+        this.log('SUCCESS', this.levels.INFO, message, data);
     }
 
     bot(message, data = null) {
-        if (this.currentLevel >= this.levels.INFO) {
-            console.log(chalk.cyan(this.formatMessage('BOT', message, data)));
-        }
+        this.log('BOT', this.levels.INFO, message, data);
     }
 }
 
-module.exports = new Logger(); 
\ No newline at end of file
+module.exports = new Logger();
@@ -0,0 +1,101 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SM-2 spaced repetition scheduling.
+ * Cards are plain objects so they can be persisted as-is.
+ */
+class SpacedRepetition {
+    static get GRADES() {
+        // SM-2 quality scores (0-5) for each recall grade
+        return {
+            forgot: 1,
+            hard: 3,
+            good: 4,
+            easy: 5
+        };
+    }
+
+    static get DEFAULT_EASE() {
+        return 2.5;
+    }
+
+    static get MIN_EASE() {
+        return 1.3;
+    }
+
+    /**
+     * Create a new card, first due one day after the word was seen
+     * @param {number} seenAt - Timestamp the word was seen (ms)
+     * @returns {Object} - Scheduling fields of a new card
+     */
+    static createCard(seenAt = Date.now()) {
+        return {
+            ease: this.DEFAULT_EASE,
+            interval: 0,
+            repetitions: 0,
+            due: seenAt + DAY_MS,
+            lastReviewed: null,
+            reviews: 0,
+            lapses: 0
+        };
+    }
+
+    /**
+     * Check if a grade name is valid
+     * @param {string} grade - Grade name
+     * @returns {boolean} - True if valid
+     */
+    static isValidGrade(grade) {
+        return Object.prototype.hasOwnProperty.call(this.GRADES, grade);
+    }
+
+    /**
+     * Apply a recall grade to a card
+     * @param {Object} card - Card to review
+     * @param {string} grade - Grade name (forgot, hard, good, easy)
+     * @param {number} now - Review timestamp (ms)
+     * @returns {Object} - Updated card
+     */
+    static review(card, grade, now = Date.now()) {
+        if (!this.isValidGrade(grade)) {
+            throw new Error(`Invalid review grade: ${grade}`);
+        }
+
+        const quality = this.GRADES[grade];
+        let { ease, interval, repetitions, lapses } = card;
+
+        if (quality < 3) {
+            // Failed recall restarts the learning sequence
+            repetitions = 0;
+            interval = 1;
+            lapses++;
+        } else {
+            if (repetitions === 0) {
+                interval = 1;
+            } else if (repetitions === 1) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * ease);
+            }
+            repetitions++;
+        }
+
+        ease = Math.max(
+            this.MIN_EASE,
+            ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+
+        return {
+            ...card,
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            lapses,
+            due: now + interval * DAY_MS,
+            lastReviewed: now,
+            reviews: card.reviews + 1
+        };
+    }
+}
+
+module.exports = SpacedRepetition;
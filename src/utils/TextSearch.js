@@ -0,0 +1,66 @@
+class TextSearch {
+    /**
+     * Normalize text for matching: lowercase, trimmed, without diacritics
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    static normalize(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and
+     * adjacent transpositions (optimal string alignment)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Edit distance
+     */
+    static editDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const matrix = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+        for (let i = 0; i < rows; i++) matrix[i][0] = i;
+        for (let j = 0; j < cols; j++) matrix[0][j] = j;
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return matrix[a.length][b.length];
+    }
+
+    /**
+     * Maximum number of typos tolerated for a query of a given length
+     * @param {number} length - Query length
+     * @returns {number} - Allowed edit distance
+     */
+    static getTypoTolerance(length) {
+        if (length < 4) return 0;
+        if (length <= 6) return 1;
+        if (length <= 10) return 2;
+        return 3;
+    }
+}
+
+module.exports = TextSearch;
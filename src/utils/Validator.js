@@ -1,20 +1,85 @@
+const PARTS_OF_SPEECH = [
+    'noun',
+    'verb',
+    'adjective',
+    'adverb',
+    'pronoun',
+    'preposition',
+    'conjunction',
+    'interjection',
+    'phrase'
+];
+
 class Validator {
+    static get PARTS_OF_SPEECH() {
+        return PARTS_OF_SPEECH;
+    }
+
     /**
      * Validates if a word object has the required structure
      * @param {Object} word - Word object to validate
      * @returns {boolean} - True if valid, false otherwise
      */
     static isValidWord(word) {
-        return (
-            word &&
-            typeof word === 'object' &&
-            typeof word.word === 'string' &&
-            word.word.trim().length > 0 &&
-            typeof word.definition === 'string' &&
-            word.definition.trim().length > 0 &&
-            typeof word.emoji === 'string' &&
-            word.emoji.trim().length > 0
-        );
+        return this.getWordErrors(word).length === 0;
+    }
+
+    /**
+     * Lists the schema violations of a word object
+     * Required: word, definition, emoji
+     * Optional: pronunciation, partOfSpeech, etymology, source (strings),
+     * examples, synonyms, antonyms, categories (arrays of strings)
+     * @param {Object} word - Word object to validate
+     * @returns {Array} - Error messages (empty if valid)
+     */
+    static getWordErrors(word) {
+        if (!word || typeof word !== 'object' || Array.isArray(word)) {
+            return ['word entry must be an object'];
+        }
+
+        const errors = [];
+
+        ['word', 'definition', 'emoji'].forEach(field => {
+            if (!this.isNonEmptyString(word[field])) {
+                errors.push(`${field} is required`);
+            }
+        });
+
+        ['pronunciation', 'etymology', 'source'].forEach(field => {
+            if (word[field] !== undefined && !this.isNonEmptyString(word[field])) {
+                errors.push(`${field} must be a non-empty string`);
+            }
+        });
+
+        if (word.partOfSpeech !== undefined && !PARTS_OF_SPEECH.includes(word.partOfSpeech)) {
+            errors.push(`partOfSpeech must be one of: ${PARTS_OF_SPEECH.join(', ')}`);
+        }
+
+        ['examples', 'synonyms', 'antonyms', 'categories'].forEach(field => {
+            if (word[field] !== undefined && !this.isStringList(word[field])) {
+                errors.push(`${field} must be an array of non-empty strings`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Checks for a string with visible content
+     * @param {*} value - Value to check
+     * @returns {boolean} - True if non-empty string
+     */
+    static isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    /**
+     * Checks for an array of non-empty strings
+     * @param {*} value - Value to check
+     * @returns {boolean} - True if valid list
+     */
+    static isStringList(value) {
+        return Array.isArray(value) && value.every(item => this.isNonEmptyString(item));
     }
 
     /**
@@ -35,8 +100,9 @@ class Validator {
         const errors = [];
 
         words.forEach((word, index) => {
-            if (!this.isValidWord(word)) {
-                errors.push(`Invalid word structure at index ${index}`);
+            const wordErrors = this.getWordErrors(word);
+            if (wordErrors.length > 0) {
+                errors.push(`Invalid word structure at index ${index}: ${wordErrors.join(', ')}`);
             } else {
                 validWords.push(word);
             }
@@ -86,6 +152,50 @@ class Validator {
         return input.trim().replace(/[<>]/g, '');
     }
 
+    /**
+     * Validates webhook transport configuration
+     * @param {Object} webhook - Webhook configuration
+     * @returns {Object} - Validation result
+     */
+    static validateWebhookConfig(webhook) {
+        const errors = [];
+
+        if (!webhook || !this.isNonEmptyString(webhook.url)) {
+            errors.push('WEBHOOK_URL is required in webhook mode');
+        } else {
+            try {
+                const url = new URL(webhook.url);
+                if (url.protocol !== 'https:') {
+                    errors.push('WEBHOOK_URL must use https');
+                }
+            } catch (error) {
+                errors.push('WEBHOOK_URL is not a valid URL');
+            }
+        }
+
+        if (webhook?.path && !webhook.path.startsWith('/')) {
+            errors.push('WEBHOOK_PATH must start with /');
+        }
+
+        if (!Number.isInteger(webhook?.port) || webhook.port < 1 || webhook.port > 65535) {
+            errors.push('WEBHOOK_PORT must be a port number');
+        }
+
+        // Telegram only accepts these characters in secret_token
+        if (webhook?.secretToken && !/^[A-Za-z0-9_-]{1,256}$/.test(webhook.secretToken)) {
+            errors.push('WEBHOOK_SECRET_TOKEN must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+        }
+
+        if (Boolean(webhook?.certPath) !== Boolean(webhook?.keyPath)) {
+            errors.push('WEBHOOK_CERT_PATH and WEBHOOK_KEY_PATH must be set together');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
     /**
      * Validates environment variables
      * @param {Object} env - Environment object
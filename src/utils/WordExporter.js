@@ -0,0 +1,197 @@
+const Csv = require('./Csv');
+const I18n = require('./I18n');
+
+const LIST_FIELDS = ['categories', 'examples', 'synonyms', 'antonyms'];
+
+const CSV_COLUMNS = [
+    'word',
+    'definition',
+    'emoji',
+    'partOfSpeech',
+    'pronunciation',
+    'pack',
+    'categories',
+    'examples',
+    'synonyms',
+    'antonyms',
+    'etymology',
+    'source',
+    'discovered'
+];
+
+/**
+ * Renders a user's discovered words as downloadable files.
+ * Every format returns `{ content, filename, contentType }`, ready to be
+ * sent as a Telegram document.
+ */
+class WordExporter {
+    static get FORMATS() {
+        return ['csv', 'anki', 'md'];
+    }
+
+    /**
+     * Check if an export format is supported
+     * @param {string} format - Format name
+     * @returns {boolean} - True if supported
+     */
+    static isValidFormat(format) {
+        return this.FORMATS.includes(format);
+    }
+
+    /**
+     * Export words in a format
+     * @param {Array} words - Words with the optional seenAt (ms) and pack fields
+     * @param {string} format - csv, anki or md
+     * @param {Object} options - Export options
+     * @param {string} options.locale - Locale for Markdown labels
+     * @param {Date} options.date - Export date, used in the file name
+     * @returns {Object} - File content, name and content type
+     */
+    static export(words, format, options = {}) {
+        const date = (options.date || new Date()).toISOString().slice(0, 10);
+        const basename = `lexicalgem-words-${date}`;
+
+        switch (format) {
+            case 'csv':
+                return {
+                    content: this.toCsv(words),
+                    filename: `${basename}.csv`,
+                    contentType: 'text/csv'
+                };
+            case 'anki':
+                return {
+                    content: this.toAnki(words),
+                    filename: `${basename}.txt`,
+                    contentType: 'text/plain'
+                };
+            case 'md':
+                return {
+                    content: this.toMarkdown(words, options.locale),
+                    filename: `${basename}.md`,
+                    contentType: 'text/markdown'
+                };
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Render words as CSV with one column per field; lists are joined
+     * with "; " so the file can be imported back with the word CLI
+     * @param {Array} words - Words to export
+     * @returns {string} - CSV text with a byte order mark for spreadsheets
+     */
+    static toCsv(words) {
+        const rows = words.map(word => CSV_COLUMNS.map(column => {
+            if (column === 'discovered') {
+                return word.seenAt ? new Date(word.seenAt).toISOString().slice(0, 10) : '';
+            }
+
+            if (LIST_FIELDS.includes(column)) {
+                return Array.isArray(word[column]) ? word[column].join('; ') : '';
+            }
+
+            return word[column] || '';
+        }));
+
+        return `\uFEFF${Csv.stringify([CSV_COLUMNS, ...rows])}`;
+    }
+
+    /**
+     * Render words as an Anki notes file (File > Import): tab-separated
+     * Front, Back and Tags columns with HTML fields
+     * @param {Array} words - Words to export
+     * @returns {string} - Anki import text
+     */
+    static toAnki(words) {
+        const header = [
+            '#separator:tab',
+            '#html:true',
+            '#columns:Front\tBack\tTags',
+            '#tags column:3'
+        ].join('\n');
+
+        const rows = words.map(word => {
+            const front = `${word.emoji ? `${word.emoji} ` : ''}${this.escapeHtml(word.word)}`;
+
+            let back = this.escapeHtml(word.definition);
+            if (word.partOfSpeech) {
+                back = `<i>${this.escapeHtml(word.partOfSpeech)}</i><br>${back}`;
+            }
+            if (Array.isArray(word.examples) && word.examples.length > 0) {
+                back += `<br><br>${word.examples.map(example => `<i>${this.escapeHtml(example)}</i>`).join('<br>')}`;
+            }
+
+            const tags = ['lexicalgem', word.pack].filter(Boolean).map(tag => tag.replace(/\s+/g, '_'));
+
+            return [front, back, tags.join(' ')];
+        });
+
+        return `${header}\n${Csv.stringify(rows, '\t')}`;
+    }
+
+    /**
+     * Render words as a Markdown glossary sorted alphabetically
+     * @param {Array} words - Words to export
+     * @param {string} locale - Locale for the title and field labels
+     * @returns {string} - Markdown text
+     */
+    static toMarkdown(words, locale = I18n.DEFAULT_LOCALE) {
+        const label = field => I18n.t(locale, `WORD_DETAILS.${field}`);
+        const sorted = [...words].sort((a, b) => a.word.localeCompare(b.word, locale, { sensitivity: 'base' }));
+
+        const lines = [
+            `# ${I18n.t(locale, 'EXPORT_MD_TITLE')}`,
+            '',
+            I18n.t(locale, 'EXPORT_MD_SUMMARY', { count: words.length }),
+            ''
+        ];
+
+        sorted.forEach(word => {
+            lines.push(`## ${word.emoji ? `${word.emoji} ` : ''}${word.word}`, '');
+
+            const meta = [word.pronunciation, word.partOfSpeech && `*${word.partOfSpeech}*`].filter(Boolean);
+            if (meta.length > 0) {
+                lines.push(meta.join(' '), '');
+            }
+
+            lines.push(word.definition, '');
+
+            if (word.etymology) {
+                lines.push(`**${label('etymology')}:** ${word.etymology}`, '');
+            }
+            if (Array.isArray(word.examples) && word.examples.length > 0) {
+                lines.push(`**${label('examples')}:**`, '');
+                word.examples.forEach(example => lines.push(`- *${example}*`));
+                lines.push('');
+            }
+            if (Array.isArray(word.synonyms) && word.synonyms.length > 0) {
+                lines.push(`**${label('synonyms')}:** ${word.synonyms.join(', ')}`, '');
+            }
+            if (Array.isArray(word.antonyms) && word.antonyms.length > 0) {
+                lines.push(`**${label('antonyms')}:** ${word.antonyms.join(', ')}`, '');
+            }
+            if (word.source) {
+                lines.push(`**${label('source')}:** ${word.source}`, '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Escape text for an HTML field, keeping line breaks
+     * @param {string} text - Plain text
+     * @returns {string} - HTML text
+     */
+    static escapeHtml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\r?\n/g, '<br>');
+    }
+}
+
+module.exports = WordExporter;
@@ -0,0 +1,82 @@
+const I18n = require('./I18n');
+
+class WordFormatter {
+    /**
+     * Format a word for a Markdown message, including the optional
+     * structured fields (pronunciation, part of speech, etymology, examples,
+     * synonyms, antonyms, source) when the entry has them
+     * @param {Object} word - Word object
+     * @param {string} locale - Locale for field labels
+     * @returns {string} - Formatted word
+     */
+    static formatWord(word, locale = I18n.DEFAULT_LOCALE) {
+        let header = `${word.emoji} *${word.word}*`;
+
+        if (word.pronunciation) {
+            header += ` ${word.pronunciation}`;
+        }
+
+        if (word.partOfSpeech) {
+            header += ` _${word.partOfSpeech}_`;
+        }
+
+        const details = this.formatDetails(word, locale);
+        const text = `${header} — ${word.definition}`;
+
+        return details ? `${text}\n\n${details}` : text;
+    }
+
+    /**
+     * Shorten a definition to its first sentence
+     * @param {string} definition - Full definition
+     * @param {number} maxLength - Maximum length
+     * @returns {string} - Short definition
+     */
+    static summarizeDefinition(definition, maxLength = 160) {
+        const firstSentence = definition.split(/(?<=[.!?])\s+/)[0];
+
+        if (firstSentence.length <= maxLength) {
+            return firstSentence;
+        }
+
+        return `${firstSentence.slice(0, maxLength - 1).trim()}…`;
+    }
+
+    /**
+     * Format the optional structured fields of a word
+     * @param {Object} word - Word object
+     * @param {string} locale - Locale for field labels
+     * @returns {string} - Formatted details (empty if none)
+     */
+    static formatDetails(word, locale = I18n.DEFAULT_LOCALE) {
+        const lines = [];
+        const label = field => I18n.t(locale, `WORD_DETAILS.${field}`);
+
+        if (word.etymology) {
+            lines.push(`📜 *${label('etymology')}:* ${word.etymology}`);
+        }
+
+        if (Array.isArray(word.examples) && word.examples.length > 0) {
+            lines.push(`💬 *${label('examples')}:*`);
+            word.examples.forEach(example => {
+                lines.push(`• _${example}_`);
+            });
+        }
+
+        if (Array.isArray(word.synonyms) && word.synonyms.length > 0) {
+            lines.push(`🔗 *${label('synonyms')}:* ${word.synonyms.join(', ')}`);
+        }
+
+        if (Array.isArray(word.antonyms) && word.antonyms.length > 0) {
+            lines.push(`↔️ *${label('antonyms')}:* ${word.antonyms.join(', ')}`);
+        }
+
+        if (word.source) {
+            lines.push(`📖 *${label('source')}:* ${word.source}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = WordFormatter;
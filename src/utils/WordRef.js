@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+// Telegram rejects buttons whose callback data is longer than this
+const MAX_CALLBACK_BYTES = 64;
+
+/**
+ * References to words in Telegram payloads with byte limits.
+ * Buttons carry the word name when it fits, so they stay readable, and a
+ * short hash of the name (prefixed with `#`) when it doesn't.
+ */
+class WordRef {
+    /**
+     * Short stable hash of a word name
+     * @param {string} word - Word name
+     * @returns {string} - 12 URL-safe ASCII characters
+     */
+    static hash(word) {
+        return crypto.createHash('sha1').update(String(word)).digest('base64url').slice(0, 12);
+    }
+
+    /**
+     * Build callback data ending with a word reference
+     * @param {string} prefix - Callback prefix and arguments before the word
+     * @param {string} word - Word name
+     * @returns {string} - Callback data within Telegram's limit
+     */
+    static toCallbackData(prefix, word) {
+        const data = `${prefix}:${word}`;
+        return Buffer.byteLength(data) <= MAX_CALLBACK_BYTES ? data : `${prefix}:#${this.hash(word)}`;
+    }
+
+    /**
+     * Check if a reference is a hash rather than a word name
+     * @param {string} ref - Word reference from callback data
+     * @returns {boolean} - True for hashes
+     */
+    static isHash(ref) {
+        return String(ref).startsWith('#');
+    }
+
+    /**
+     * Find the word a reference points to
+     * @param {string} ref - Word name or `#` hash
+     * @param {Array} words - Objects with a `word` name
+     * @returns {Object|null} - Matching object or null
+     */
+    static find(ref, words) {
+        if (this.isHash(ref)) {
+            const hash = ref.slice(1);
+            return words.find(word => this.hash(word.word) === hash) || null;
+        }
+
+        return words.find(word => word.word === ref) || null;
+    }
+}
+
+module.exports = WordRef;